@@ -1,20 +1,55 @@
 import PIXI from "pixi.js";
 import _    from "lodash/fp";
 
-import {Vec2}   from "@ignavia/ella";
-import {Layout} from "@ignavia/earl";
+import {Vec2}                      from "@ignavia/ella";
+import {Graph, Node, Edge, Layout} from "@ignavia/earl";
 
-import {graphVisualizer} from "./graph/graph.js";
-import {nodeVisualizer}  from "./node/node.js";
-import {edgeVisualizer}  from "./edge/edge.js";
+import {graphVisualizer}        from "./graph/graph.js";
+import {nodeVisualizer}         from "./node/node.js";
+import {makeSVG as makeNodeSVG} from "./node/visualizer.js";
+import {edgeVisualizer}         from "./edge/edge.js";
+import {groupVisualizer}        from "./group/group.js";
 
+import Stylesheet       from "./Stylesheet.js";
 import CartesianFisheye from "./filters/CartesianFisheye.js";
 import PolarFisheye     from "./filters/PolarFisheye.js";
 
+import registry     from "./registry.js";
+import * as utils   from "./utils.js";
+import * as easings from "./easings.js";
+import * as svg     from "./io/svg.js";
+import * as graphml from "./io/graphml.js";
+import * as dot     from "./io/dot.js";
+import * as confs   from "./io/conf.js";
+
 /**
  * The main class of the library.
+ *
+ * A GraphView is an event emitter. It fires the following events:
+ *
+ * - "selectionchange" with {selectedNodes, selectedEdges}, the sets of
+ *   selected IDs after the change.
+ * - "nodeadded" with {id, displayObject} after a node graphic was added.
+ * - "noderemoved" with {id} after a node graphic was removed.
+ * - "edgeadded" with {id, displayObject} after an edge graphic was added.
+ * - "edgeremoved" with {id} after an edge graphic was removed.
+ * - "noderestyled" with {id, displayObject} after a node graphic was replaced
+ *   because its stylesheet configuration changed.
+ * - "edgerestyled" with {id, displayObject} after an edge graphic was replaced
+ *   because its stylesheet configuration changed.
+ * - "nodemoved" with {id, position, previousPosition} after a single node was
+ *   moved by GraphView#moveNode or by dragging it. The positions are Vec2s.
+ * - "viewportchange" with {position, scale} after the stage was panned,
+ *   zoomed or centered. Both values are Vec2s.
+ * - "layoutchange" with {layout} after a new layout was applied completely.
+ * - "groupadded" with {id, displayObject} after a group graphic was added.
+ * - "groupremoved" with {id} after a group graphic was removed.
+ * - "groupcollapsed" with {id, displayObject} after the members of a group
+ *   were replaced by a proxy node. The display object is the proxy.
+ * - "groupexpanded" with {id} after the proxy node of a group was replaced by
+ *   its members again.
  */
-export default class GraphView {
+export default class GraphView extends PIXI.utils.EventEmitter {
 
     /**
      * @param {Graph} graphObj
@@ -32,15 +67,44 @@ export default class GraphView {
      * @param {Map<String, Object>} options.edgeConfs
      * Maps from edge IDs to the configuration of the visualizer.
      *
-     * @param {Layout} layout
-     * The layout of the graph.
+     * @param {Stylesheet|Array<Object>} options.stylesheet
+     * Assigns configurations to nodes and edges with selectors. Instead of a
+     * stylesheet you can also pass its rules. The configurations in nodeConfs
+     * and edgeConfs are merged on top of the ones from the stylesheet.
+     *
+     * @param {Layout|Object} layout
+     * The layout of the graph. Instead of a layout object you can also pass an
+     * object with the name of a registered layout algorithm as type and its
+     * configuration as conf.
+     *
+     * @param {Boolean} options.liveBinding
+     * Whether to update the view automatically when nodes or edges are added
+     * to or removed from the graph. This can also be turned on later with
+     * bindGraph.
+     *
+     * @param {String} options.renderMode
+     * Use "continuous" to render the stage every frame or "onDemand" to render
+     * it only after something changed. Check the documentation of
+     * requestRender for details.
+     *
+     * @param {Number} options.multiEdgeSpacing
+     * The distance between the middles of edges that connect the same nodes.
+     * Such edges are drawn with the quadratic line style, unless another line
+     * style is set, and fanned out by changing the perpendicular offset of
+     * the control point. A perpendicular offset set in the configuration of
+     * an edge is kept. Use 0 to draw them on top of each other.
      */
     constructor(graphObj, {
-            graphConf = {},
-            nodeConfs = new Map(),
-            edgeConfs = new Map(),
-            layout    = new Layout(),
+            graphConf        = {},
+            nodeConfs        = new Map(),
+            edgeConfs        = new Map(),
+            stylesheet       = undefined,
+            layout           = new Layout(),
+            liveBinding      = false,
+            renderMode       = "continuous",
+            multiEdgeSpacing = 30,
         } = {}) {
+        super();
 
         /**
          * The graph getting displayed.
@@ -50,6 +114,22 @@ export default class GraphView {
          */
         this.graph = graphObj;
 
+        /**
+         * The configuration of the graph visualizer.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.graphConf = graphConf;
+
+        /**
+         * The configuration of the node visualizers.
+         *
+         * @type {Map<String, Object>}
+         * @private
+         */
+        this.nodeConfs = nodeConfs;
+
         /**
          * The configuration of the edge visualizers.
          *
@@ -58,9 +138,114 @@ export default class GraphView {
          */
         this.edgeConfs = edgeConfs;
 
+        /**
+         * The distance between the middles of edges that connect the same
+         * nodes.
+         *
+         * @type {Number}
+         * @private
+         */
+        this.multiEdgeSpacing = multiEdgeSpacing;
+
+        /**
+         * Maps from keys of node pairs to the IDs of the edges between them in
+         * either direction, in the order they were added. Self-loops are
+         * stored under the key of the pair of their node with itself.
+         *
+         * @type {Map<String, Array<String>>}
+         * @private
+         */
+        this.bundles = new Map();
+
+        /**
+         * Assigns configurations to nodes and edges with selectors.
+         *
+         * @type {Stylesheet}
+         * @private
+         */
+        this.stylesheet = undefined;
+
+        /**
+         * Restyles the graphics when the rules of the stylesheet change.
+         *
+         * @type {Function}
+         * @private
+         */
+        this.handleStylesheetChange = () => this.restyle();
+
+        /**
+         * The ID of the node under the mouse.
+         *
+         * @type {String}
+         * @private
+         */
+        this.hoveredNode = undefined;
+
+        /**
+         * The ID of the edge under the mouse.
+         *
+         * @type {String}
+         * @private
+         */
+        this.hoveredEdge = undefined;
+
+        /**
+         * Maps from node IDs to their degrees while many graphics are styled
+         * at once, so they are only counted once.
+         *
+         * @type {Map<String, Object>}
+         * @private
+         */
+        this.degrees = undefined;
+
+        /**
+         * The legend drawn on top of the stage.
+         *
+         * @type {Legend}
+         * @private
+         */
+        this.legend = undefined;
+
+        /**
+         * Draws the stage again when the legend changes.
+         *
+         * @type {Function}
+         * @private
+         */
+        this.handleLegendChange = () => this.requestRender();
+
+        /**
+         * Maps from group IDs to the state of the groups. Each state contains
+         * the set of member IDs, the configuration, the display object and,
+         * while the group is collapsed, the proxy node.
+         *
+         * @type {Map<String, Object>}
+         * @private
+         */
+        this.groups = new Map();
+
+        /**
+         * Maps from keys of the connected endpoints to the edges that replace
+         * the edges of collapsed members.
+         *
+         * @type {Map<String, EdgeGraphic>}
+         * @private
+         */
+        this.proxyEdges = new Map();
+
+        /**
+         * Maps from the IDs of the edges hidden because one of their endpoints
+         * is in a collapsed group to their visibility before.
+         *
+         * @type {Map<String, Boolean>}
+         * @private
+         */
+        this.reroutedEdges = new Map();
+
         const {
             renderer,
             stage,
+            groupContainer,
             selectedNodeContainer,
             nodeContainer,
             selectedEdgeContainer,
@@ -83,6 +268,15 @@ export default class GraphView {
          */
         this.stage = stage;
 
+        /**
+         * The container for the group display objects. It is drawn below the
+         * edges and nodes.
+         *
+         * @type {DisplayObject}
+         * @private
+         */
+        this.groupContainer = groupContainer || this.stage.addChildAt(new PIXI.Container(), 0);
+
         /**
          * The container for selected node display objects.
          *
@@ -153,6 +347,67 @@ export default class GraphView {
          */
         this.renderRequestId = undefined;
 
+        /**
+         * Either "continuous" or "onDemand".
+         *
+         * @type {String}
+         * @private
+         */
+        this.renderMode = renderMode;
+
+        /**
+         * Whether the render loop was started.
+         *
+         * @type {Boolean}
+         * @private
+         */
+        this.renderLoopActive = false;
+
+        /**
+         * Whether the stage changed since it was rendered the last time.
+         *
+         * @type {Boolean}
+         * @private
+         */
+        this.dirty = true;
+
+        /**
+         * The functions to call before each frame is rendered. A function is
+         * removed once it returns false.
+         *
+         * @type {Set<Function>}
+         * @private
+         */
+        this.animations = new Set();
+
+        /**
+         * Identifies the layout transition that is currently running. Older
+         * transitions stop once this changes.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.layoutTransition = undefined;
+
+        /**
+         * Identifies the camera movement that is currently running. Older
+         * movements stop once this changes.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.cameraTransition = undefined;
+
+        /**
+         * Maps from the names of the wrapped graph methods to the original
+         * method, whether it was an own property of the graph and the wrapper
+         * while the graph is bound to the view.
+         *
+         * @type {Map<String, Object>}
+         * @private
+         */
+        this.graphBinding = undefined;
+
         /**
          * The cartesian fisheye filter.
          *
@@ -185,7 +440,22 @@ export default class GraphView {
          */
         this.sizeScalingMidpoint = 0.5;
 
+        this.stage.on("regionselect",   ({polygon, operation}) => this.selectRegion(polygon, operation));
+        this.stage.on("viewportchange", () => this.emitViewportChange());
+        this.stage.on("renderrequest",  () => this.requestRender());
+
+        this.renderer.view.addEventListener("mousemove", () => {
+            if (this.isFollowingMouse()) {
+                this.requestRender();
+            }
+        });
+
+        this.setStylesheet(stylesheet);
         this.init(nodeConfs, edgeConfs, layout);
+
+        if (liveBinding) {
+            this.bindGraph();
+        }
     }
 
     /**
@@ -202,8 +472,168 @@ export default class GraphView {
      */
     init(nodeConfs, edgeConfs, layout) {
         this.setFilterArea();
-        this.visualizeNodes(nodeConfs, layout);
-        this.visualizeEdges();
+        this.withDegrees(() => {
+            const resolvedNodeConfs = new Map();
+            for (let nodeObj of this.graph.iterNodes()) {
+                resolvedNodeConfs.set(nodeObj.id, this.resolveNodeConf(nodeObj.id, nodeConfs.get(nodeObj.id)));
+            }
+
+            this.visualizeNodes(nodeConfs, this.resolveLayout(layout, resolvedNodeConfs));
+            this.visualizeEdges();
+        });
+    }
+
+    /**
+     * Keeps the view in sync with the graph from now on. Whenever nodes or
+     * edges are added to or removed from the graph, the corresponding
+     * graphics are added or removed as well. The configurations passed to the
+     * constructor are used for new elements if they contain their IDs.
+     */
+    bindGraph() {
+        if (this.graphBinding) {
+            return;
+        }
+
+        const binding = new Map();
+        for (let name of mutatingGraphMethods) {
+            const original = this.graph[name];
+            if (typeof original !== "function") {
+                continue;
+            }
+
+            // Wrappers of unbound views can stay in the chain of other views
+            const wrapper = (...args) => {
+                const result = original.apply(this.graph, args);
+                if (this.graphBinding === binding) {
+                    this.syncWithGraph();
+                }
+                return result;
+            };
+
+            binding.set(name, {
+                original,
+                own: Object.prototype.hasOwnProperty.call(this.graph, name),
+                wrapper,
+            });
+            this.graph[name] = wrapper;
+        }
+        this.graphBinding = binding;
+    }
+
+    /**
+     * Stops keeping the view in sync with the graph.
+     */
+    unbindGraph() {
+        if (!this.graphBinding) {
+            return;
+        }
+
+        for (let [name, {original, own, wrapper}] of this.graphBinding) {
+
+            // Another view might have wrapped the method afterwards
+            if (this.graph[name] !== wrapper) {
+                continue;
+            }
+
+            if (own) {
+                this.graph[name] = original;
+            } else {
+                delete this.graph[name];
+            }
+        }
+        this.graphBinding = undefined;
+    }
+
+    /**
+     * Adds graphics for nodes and edges that are part of the graph but not of
+     * the view and removes graphics whose elements are no longer part of the
+     * graph. If a stylesheet is set, only the nodes whose degree changed and
+     * their incident edges are restyled.
+     */
+    syncWithGraph() {
+        const changedNodeIds = this.withDegrees(() => this.syncGraphics());
+        if (this.stylesheet) {
+            this.restyleElements(changedNodeIds, []);
+        }
+    }
+
+    /**
+     * Adds and removes graphics so they match the elements of the graph.
+     *
+     * @return {Set<String>}
+     * The IDs of the endpoints of added and removed edges. Their degrees
+     * changed, so they and their incident edges might need to be restyled.
+     * The new graphics already use the current degrees.
+     *
+     * @private
+     */
+    syncGraphics() {
+        const changedNodeIds = new Set();
+
+        const nodeIds = new Set();
+        for (let nodeObj of this.graph.iterNodes()) {
+            nodeIds.add(nodeObj.id);
+            if (!this.nodes.has(nodeObj.id)) {
+                this.addNode(nodeObj, this.nodeConfs.get(nodeObj.id));
+            }
+        }
+
+        const edgeIds = new Set();
+        for (let edgeObj of this.graph.iterEdges()) {
+            edgeIds.add(edgeObj.id);
+            if (!this.edges.has(edgeObj.id) &&
+                this.nodes.has(edgeObj.sourceId) &&
+                this.nodes.has(edgeObj.targetId)) {
+                this.addEdge(edgeObj, this.edgeConfs.get(edgeObj.id));
+                changedNodeIds.add(edgeObj.sourceId);
+                changedNodeIds.add(edgeObj.targetId);
+            }
+        }
+
+        for (let [edgeId, edgeG] of [...this.edges]) {
+            if (!edgeIds.has(edgeId)) {
+                this.removeEdge(edgeId);
+                changedNodeIds.add(edgeG.sourceId);
+                changedNodeIds.add(edgeG.targetId);
+            }
+        }
+
+        for (let nodeId of [...this.nodes.keys()]) {
+            if (!nodeIds.has(nodeId)) {
+                this.removeNode(nodeId);
+            }
+        }
+
+        return changedNodeIds;
+    }
+
+    /**
+     * Computes the layout if only a description of the layout algorithm is
+     * given.
+     *
+     * @param {Layout|Object} layout
+     * The layout or an object with the type and the configuration of the
+     * layout algorithm.
+     *
+     * @param {Map<String, Object>} nodeConfs
+     * Maps from node IDs to the configuration of the visualizer. This is used
+     * to measure the nodes.
+     *
+     * @return {Layout}
+     * The layout.
+     *
+     * @private
+     */
+    resolveLayout(layout, nodeConfs) {
+        if (layout instanceof Layout) {
+            return layout;
+        }
+
+        const layoutFunction = registry.get(["layout", layout.type]);
+        return layoutFunction(
+            this.graph,
+            Object.assign({nodeConfs}, layout.conf)
+        );
     }
 
     /**
@@ -246,20 +676,20 @@ export default class GraphView {
      * @param {Object} conf
      * The configuration of the vsualizer.
      *
-     * @param {Vec2} position
-     * Where to move the created graphic.
+     * @param {Vec2} [position]
+     * Where to move the created graphic. If this is omitted, the position is
+     * derived from the ID of the node, so it is the same every time.
      */
     addNode(nodeObj, conf, position) {
-        const displayObject = nodeVisualizer(conf);
-        displayObject.earlId = nodeObj.id;
-        this.storeScale(displayObject);
+        this.nodeConfs.set(nodeObj.id, conf);
+        const displayObject = this.makeNodeGraphic(nodeObj.id);
 
         if (position) {
             displayObject.x = position.x;
             displayObject.y = position.y;
         } else {
-            displayObject.x = Math.random() * this.renderer.width;
-            displayObject.y = Math.random() * this.renderer.height;
+            displayObject.x = utils.hashString(`x${nodeObj.id}`) / 0xffffffff * this.renderer.width;
+            displayObject.y = utils.hashString(`y${nodeObj.id}`) / 0xffffffff * this.renderer.height;
         }
 
         this.nodes.set(nodeObj.id, displayObject);
@@ -269,21 +699,48 @@ export default class GraphView {
         } else {
             this.nodeContainer.addChild(displayObject);
         }
+
+        this.requestRender();
+        this.emit("nodeadded", {id: nodeObj.id, displayObject});
     }
 
     /**
-     * Removes the node graphic with the given ID from the scene.
+     * Removes the node graphic with the given ID from the scene. The graphics
+     * of incident edges are removed as well.
      *
      * @param {String} nodeId
      * The ID of the graphic to remove.
      */
     removeNode(nodeId) {
-        const nodeG = this.getNodeDisplayObjectById(nodeId);
+        for (let [edgeId, edgeG] of [...this.edges]) {
+            if (edgeG.sourceId === nodeId || edgeG.targetId === nodeId) {
+                this.removeEdge(edgeId);
+            }
+        }
+
+        const nodeG       = this.getNodeDisplayObjectById(nodeId);
+        const wasSelected = this.selectedNodes.delete(nodeId);
+        if (this.hoveredNode === nodeId) {
+            this.hoveredNode = undefined;
+        }
 
-        this.selectedNodes.delete(nodeId);
+        this.nodeConfs.delete(nodeId);
         this.nodeContainer.removeChild(nodeG);
         this.selectedNodeContainer.removeChild(nodeG);
         this.nodes.delete(nodeId);
+
+        for (let [groupId, group] of this.groups) {
+            if (group.members.delete(nodeId)) {
+                group.visibility.delete(nodeId);
+                this.updateGroup(groupId);
+            }
+        }
+
+        this.requestRender();
+        this.emit("noderemoved", {id: nodeId});
+        if (wasSelected) {
+            this.emitSelectionChange();
+        }
     }
 
     /**
@@ -305,7 +762,25 @@ export default class GraphView {
      * @param {Set<String>} nodesToSelect
      * The IDs of the nodes to select.
      */
-    selectNodes(nodesToSelect) { // TODO: deselect selected nodes and select the new ones
+    selectNodes(nodesToSelect) {
+        this.highlightNodes(nodesToSelect);
+        this.emitSelectionChange();
+    }
+
+    /**
+     * Moves the given nodes to the container for selected nodes and all others
+     * to the normal container.
+     *
+     * @param {Set<String>} nodesToSelect
+     * The IDs of the nodes to select.
+     *
+     * @private
+     */
+    highlightNodes(nodesToSelect) {
+        const changed = [...this.nodes.keys()].filter(id =>
+            this.selectedNodes.has(id) !== nodesToSelect.has(id)
+        );
+
         for (let [id, node] of this.nodes) {
             if (nodesToSelect.has(id)) {
                 this.nodeContainer.removeChild(node);
@@ -317,6 +792,10 @@ export default class GraphView {
         }
 
         this.selectedNodes = nodesToSelect;
+
+        if (this.stylesheet && this.stylesheet.usesState("selected")) {
+            this.restyleElements(changed, []);
+        }
     }
 
     /**
@@ -341,19 +820,13 @@ export default class GraphView {
      * The configuration of the visualizer.
      */
     addEdge(edgeObj, conf) {
-        const sourceG = this.nodes.get(edgeObj.sourceId);
-        const targetG = this.nodes.get(edgeObj.targetId);
-
-        const displayObject = edgeVisualizer(
-            new Vec2(sourceG.x, sourceG.y),
-            new Vec2(targetG.x, targetG.y),
-            conf
-        );
-        displayObject.earlId = edgeObj.id;
-        this.storeScale(displayObject.getArrow());
-        this.storeScale(displayObject.getDecal());
+        const bundle = this.getBundle(edgeObj.sourceId, edgeObj.targetId);
+        bundle.push(edgeObj.id);
+        this.bundles.set(getBundleKey(edgeObj.sourceId, edgeObj.targetId), bundle);
 
         this.edgeConfs.set(edgeObj.id, conf);
+        const displayObject = this.makeEdgeGraphic(edgeObj.id, edgeObj.sourceId, edgeObj.targetId);
+
         this.edges.set(edgeObj.id, displayObject);
 
         if (this.selectedEdges.has(edgeObj.id)) {
@@ -361,6 +834,17 @@ export default class GraphView {
         } else {
             this.edgeContainer.addChild(displayObject);
         }
+
+        if (bundle.length > 1) {
+            this.restyleBundle(edgeObj.sourceId, edgeObj.targetId);
+        }
+
+        if (this.hasCollapsedGroups()) {
+            this.rerouteEdge(edgeObj.id);
+        }
+
+        this.requestRender();
+        this.emit("edgeadded", {id: edgeObj.id, displayObject});
     }
 
     /**
@@ -373,10 +857,31 @@ export default class GraphView {
         const edgeG = this.getEdgeDisplayObjectById(edgeId);
 
         this.edgeConfs.delete(edgeId);
-        this.selectedEdges.delete(edgeId);
+        const wasSelected = this.selectedEdges.delete(edgeId);
+        if (this.hoveredEdge === edgeId) {
+            this.hoveredEdge = undefined;
+        }
         this.edgeContainer.removeChild(edgeG);
         this.selectedEdgeContainer.removeChild(edgeG);
         this.edges.delete(edgeId);
+
+        const bundle = this.getBundle(edgeG.sourceId, edgeG.targetId).filter(id => id !== edgeId);
+        if (bundle.length > 0) {
+            this.bundles.set(getBundleKey(edgeG.sourceId, edgeG.targetId), bundle);
+            this.restyleBundle(edgeG.sourceId, edgeG.targetId);
+        } else {
+            this.bundles.delete(getBundleKey(edgeG.sourceId, edgeG.targetId));
+        }
+
+        if (this.reroutedEdges.delete(edgeId)) {
+            this.removeFromProxyEdge(edgeId, edgeG.sourceId, edgeG.targetId);
+        }
+
+        this.requestRender();
+        this.emit("edgeremoved", {id: edgeId});
+        if (wasSelected) {
+            this.emitSelectionChange();
+        }
     }
 
     /**
@@ -398,7 +903,25 @@ export default class GraphView {
      * @param {Set<String>} edgesToSelect
      * The IDs of the edges to select.
      */
-    selectEdges(edgesToSelect) { // deselect selected edges and select the new ones
+    selectEdges(edgesToSelect) {
+        this.highlightEdges(edgesToSelect);
+        this.emitSelectionChange();
+    }
+
+    /**
+     * Moves the given edges to the container for selected edges and all others
+     * to the normal container.
+     *
+     * @param {Set<String>} edgesToSelect
+     * The IDs of the edges to select.
+     *
+     * @private
+     */
+    highlightEdges(edgesToSelect) {
+        const changed = [...this.edges.keys()].filter(id =>
+            this.selectedEdges.has(id) !== edgesToSelect.has(id)
+        );
+
         for (let [id, edge] of this.edges) {
             if (edgesToSelect.has(id)) {
                 this.edgeContainer.removeChild(edge);
@@ -409,17 +932,601 @@ export default class GraphView {
             }
         }
         this.selectedEdges = edgesToSelect;
-    }
 
-    /**
-     * Centers the stage.
-     */
-    center() {
-        const br = this.getBoundingRectangle();
-        this.stage.scale.x = 1;
-        this.stage.scale.y = 1;
-        this.stage.x = (this.renderer.width  - br.minX - br.maxX) / 2;
-        this.stage.y = (this.renderer.height - br.minY - br.maxY) / 2;
+        if (this.stylesheet && this.stylesheet.usesState("selected")) {
+            this.restyleElements([], changed);
+        }
+    }
+
+    /**
+     * Replaces the stylesheet. All graphics are restyled afterwards.
+     *
+     * @param {Stylesheet|Array<Object>} stylesheet
+     * The new stylesheet or its rules. Pass undefined to only use the
+     * configurations in nodeConfs and edgeConfs.
+     */
+    setStylesheet(stylesheet) {
+        if (Array.isArray(stylesheet)) {
+            stylesheet = new Stylesheet(stylesheet);
+        }
+
+        if (this.stylesheet) {
+            this.stylesheet.removeListener("change", this.handleStylesheetChange);
+        }
+        this.stylesheet = stylesheet;
+        if (this.stylesheet) {
+            this.stylesheet.on("change", this.handleStylesheetChange);
+        }
+
+        this.restyle();
+    }
+
+    /**
+     * Returns the stylesheet.
+     *
+     * @return {Stylesheet}
+     * The stylesheet or undefined if there is none.
+     */
+    getStylesheet() {
+        return this.stylesheet;
+    }
+
+    /**
+     * Applies the current rules of the stylesheet. Only graphics whose
+     * configuration changed are replaced. This happens automatically when the
+     * rules change, but has to be called after changing the attributes of
+     * nodes or edges.
+     */
+    restyle() {
+        if (this.stylesheet && this.stylesheet.usesState("hover")) {
+            for (let displayObject of [...this.nodes.values(), ...this.edges.values()]) {
+                displayObject.interactive = true;
+            }
+        }
+
+        this.restyleElements(this.nodes.keys(), this.edges.keys());
+    }
+
+    /**
+     * Restyles the given nodes and edges as well as the edges incident to the
+     * given nodes.
+     *
+     * @param {Iterable<String>} nodeIds
+     * The IDs of the nodes to restyle.
+     *
+     * @param {Iterable<String>} edgeIds
+     * The IDs of the edges to restyle.
+     *
+     * @private
+     */
+    restyleElements(nodeIds, edgeIds) {
+        nodeIds = new Set(nodeIds);
+        edgeIds = new Set(edgeIds);
+
+        this.withDegrees(() => {
+            const restyledNodes = [...nodeIds].filter(id => this.nodes.has(id) && this.restyleNode(id));
+
+            for (let [edgeId, edgeG] of [...this.edges]) {
+                if (edgeIds.has(edgeId) || nodeIds.has(edgeG.sourceId) || nodeIds.has(edgeG.targetId)) {
+                    this.restyleEdge(edgeId);
+                }
+            }
+
+            this.updateIncidentEdges(restyledNodes);
+        });
+    }
+
+    /**
+     * Replaces the graphic of the given node if its configuration changed.
+     * The position, the visibility and the place in the drawing order are
+     * kept and the old graphic is destroyed. A node that is being dragged is
+     * restyled once it is dropped.
+     *
+     * @param {String} nodeId
+     * The ID of the node.
+     *
+     * @return {Boolean}
+     * Whether the graphic was replaced.
+     *
+     * @private
+     */
+    restyleNode(nodeId) {
+        const oldG = this.getNodeDisplayObjectById(nodeId);
+        const conf = this.resolveNodeConf(nodeId, this.nodeConfs.get(nodeId));
+        if (_.isEqual(conf, oldG.visualizerConf)) {
+            return false;
+        }
+
+        if (utils.getRoot(oldG).pointerOwner === oldG) {
+            if (!oldG.restylePending) {
+                oldG.restylePending = true;
+                // Wait until the draggable behavior is done with the old graphic
+                oldG.once("dragend", () => Promise.resolve().then(() => this.restyleElements([nodeId], [])));
+            }
+            return false;
+        }
+
+        const newG = this.makeNodeGraphic(nodeId, conf);
+        newG.x       = oldG.x;
+        newG.y       = oldG.y;
+        newG.visible = oldG.visible;
+        replaceDisplayObject(oldG, newG);
+        this.nodes.set(nodeId, newG);
+        this.updateIncidentEdges([nodeId]);
+
+        this.requestRender();
+        this.emit("noderestyled", {id: nodeId, displayObject: newG});
+        return true;
+    }
+
+    /**
+     * Replaces the graphic of the given edge if its configuration changed.
+     * The visibility and the place in the drawing order are kept and the old
+     * graphic is destroyed.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @return {Boolean}
+     * Whether the graphic was replaced.
+     *
+     * @private
+     */
+    restyleEdge(edgeId) {
+        const oldG = this.getEdgeDisplayObjectById(edgeId);
+        const conf = this.resolveEdgeConf(edgeId, oldG.sourceId, oldG.targetId, this.edgeConfs.get(edgeId));
+        if (_.isEqual(conf, oldG.visualizerConf)) {
+            return false;
+        }
+
+        const newG = this.makeEdgeGraphic(edgeId, oldG.sourceId, oldG.targetId, conf);
+        newG.visible = oldG.visible;
+        replaceDisplayObject(oldG, newG);
+        this.edges.set(edgeId, newG);
+
+        this.requestRender();
+        this.emit("edgerestyled", {id: edgeId, displayObject: newG});
+        return true;
+    }
+
+    /**
+     * Creates the graphic of a node and connects it to the view.
+     *
+     * @param {String} nodeId
+     * The ID of the node.
+     *
+     * @param {Object} [conf]
+     * The configuration of the visualizer. It is resolved from the stylesheet
+     * and nodeConfs if it is omitted.
+     *
+     * @return {DisplayObject}
+     * The created graphic.
+     *
+     * @private
+     */
+    makeNodeGraphic(nodeId, conf = this.resolveNodeConf(nodeId, this.nodeConfs.get(nodeId))) {
+        const displayObject = nodeVisualizer(conf);
+        displayObject.earlId         = nodeId;
+        displayObject.visualizerConf = conf;
+        this.storeScale(displayObject);
+
+        displayObject.on("dragstart", ()   => this.moveNodeToTop(nodeId));
+        displayObject.on("dragmove",  drag => this.handleNodeDrag(nodeId, drag));
+        displayObject.on("mouseover", ()   => this.hoverNode(nodeId));
+        displayObject.on("mouseout",  ()   => {
+            if (this.hoveredNode === nodeId) {
+                this.hoverNode(undefined);
+            }
+        });
+
+        if (this.stylesheet && this.stylesheet.usesState("hover")) {
+            displayObject.interactive = true;
+        }
+
+        return displayObject;
+    }
+
+    /**
+     * Creates the graphic of an edge and connects it to the view. The graphics
+     * of its source and target have to exist already.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @param {String} sourceId
+     * The ID of the source node.
+     *
+     * @param {String} targetId
+     * The ID of the target node.
+     *
+     * @param {Object} [conf]
+     * The configuration of the visualizer. It is resolved from the stylesheet
+     * and edgeConfs if it is omitted.
+     *
+     * @return {EdgeGraphic}
+     * The created graphic.
+     *
+     * @private
+     */
+    makeEdgeGraphic(edgeId, sourceId, targetId,
+            conf = this.resolveEdgeConf(edgeId, sourceId, targetId, this.edgeConfs.get(edgeId))) {
+        const sourceG = this.getNodeDisplayObjectById(sourceId);
+        const targetG = this.getNodeDisplayObjectById(targetId);
+
+        const displayObject = edgeVisualizer(
+            new Vec2(sourceG.x, sourceG.y),
+            new Vec2(targetG.x, targetG.y),
+            conf,
+            {source: sourceG, target: targetG}
+        );
+        displayObject.earlId         = edgeId;
+        displayObject.sourceId       = sourceId;
+        displayObject.targetId       = targetId;
+        displayObject.visualizerConf = conf;
+        this.storeScale(displayObject.getArrow());
+        this.storeScale(displayObject.getDecal());
+
+        displayObject.on("mouseover", () => this.hoverEdge(edgeId));
+        displayObject.on("mouseout",  () => {
+            if (this.hoveredEdge === edgeId) {
+                this.hoverEdge(undefined);
+            }
+        });
+
+        if (this.stylesheet && this.stylesheet.usesState("hover")) {
+            displayObject.interactive = true;
+        }
+
+        return displayObject;
+    }
+
+    /**
+     * Computes the configuration of a node visualizer. The given
+     * configuration is merged on top of the one from the stylesheet.
+     *
+     * @param {String} nodeId
+     * The ID of the node.
+     *
+     * @param {Object} conf
+     * The configuration for this node in particular.
+     *
+     * @return {Object}
+     * The final configuration.
+     *
+     * @private
+     */
+    resolveNodeConf(nodeId, conf) {
+        if (!this.stylesheet) {
+            return conf;
+        }
+
+        const styledConf = this.stylesheet.computeConf(this.describeNode(nodeId));
+        return styledConf ? utils.adjustConf(styledConf, conf) : conf;
+    }
+
+    /**
+     * Computes the configuration of an edge visualizer. The given
+     * configuration is merged on top of the one from the stylesheet. Self-loops
+     * use the loop line style unless another one is set and are fanned out
+     * around their node. Edges that connect the same nodes are fanned out with
+     * the quadratic line style. The color, width and dash of edges without
+     * line style type are kept when the line style is switched.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @param {String} sourceId
+     * The ID of the source node.
+     *
+     * @param {String} targetId
+     * The ID of the target node.
+     *
+     * @param {Object} conf
+     * The configuration for this edge in particular.
+     *
+     * @return {Object}
+     * The final configuration.
+     *
+     * @private
+     */
+    resolveEdgeConf(edgeId, sourceId, targetId, conf) {
+        if (this.stylesheet) {
+            const styledConf = this.stylesheet.computeConf({
+                group:    "edge",
+                id:       edgeId,
+                object:   this.graph.getEdgeById(edgeId) || {id: edgeId, sourceId, targetId},
+                selected: this.selectedEdges.has(edgeId),
+                hovered:  this.hoveredEdge === edgeId,
+                source:   this.describeNode(sourceId),
+                target:   this.describeNode(targetId),
+            });
+            if (styledConf) {
+                conf = utils.adjustConf(styledConf, conf);
+            }
+        }
+
+        const lineStyleType = _.get(["lineStyle", "type"], conf);
+        const bundle        = this.getBundle(sourceId, targetId);
+        if (!bundle.includes(edgeId)) {
+            bundle.push(edgeId);
+        }
+
+        const isLoop     = sourceId === targetId && (lineStyleType === undefined || lineStyleType === "loop");
+        const isParallel = sourceId !== targetId && bundle.length > 1 && this.multiEdgeSpacing !== 0 &&
+            (lineStyleType === undefined || lineStyleType === "quadratic");
+
+        // Edges without line style type are linear, which keeps color, width
+        // and dash directly in its configuration instead of the line option
+        if (lineStyleType === undefined && (isLoop || isParallel)) {
+            conf = moveLinearLineConf(conf);
+        }
+
+        if (isLoop) {
+            conf = utils.adjustConf({
+                lineStyle: {
+                    type: "loop",
+                    conf: {
+                        index: bundle.indexOf(edgeId),
+                        count: bundle.length,
+                    },
+                },
+            }, conf);
+        } else if (isParallel) {
+
+            // The control point is offset relative to the direction of the
+            // edge, so edges in the opposite direction need the opposite sign
+            const offset = 2 * this.multiEdgeSpacing * (bundle.indexOf(edgeId) - (bundle.length - 1) / 2);
+            conf = utils.adjustConf({
+                lineStyle: {
+                    type: "quadratic",
+                    conf: {
+                        controlPoint: {
+                            perpendicular: sourceId < targetId ? offset : -offset,
+                        },
+                    },
+                },
+            }, conf);
+        }
+
+        return conf;
+    }
+
+    /**
+     * Returns the IDs of the edges between the given nodes in either
+     * direction.
+     *
+     * @param {String} sourceId
+     * The ID of one node.
+     *
+     * @param {String} targetId
+     * The ID of the other node.
+     *
+     * @return {Array<String>}
+     * A copy of the IDs of the edges in the order they were added.
+     *
+     * @private
+     */
+    getBundle(sourceId, targetId) {
+        return [...(this.bundles.get(getBundleKey(sourceId, targetId)) || [])];
+    }
+
+    /**
+     * Restyles the edges between the given nodes, so they are fanned out
+     * again after an edge was added or removed.
+     *
+     * @param {String} sourceId
+     * The ID of one node.
+     *
+     * @param {String} targetId
+     * The ID of the other node.
+     *
+     * @private
+     */
+    restyleBundle(sourceId, targetId) {
+        for (let edgeId of this.getBundle(sourceId, targetId)) {
+            if (this.edges.has(edgeId)) {
+                this.restyleEdge(edgeId);
+            }
+        }
+    }
+
+    /**
+     * Describes a node for the selectors of the stylesheet.
+     *
+     * @param {String} nodeId
+     * The ID of the node.
+     *
+     * @return {Object}
+     * The description. Check the documentation of Stylesheet#computeConf for
+     * its structure.
+     *
+     * @private
+     */
+    describeNode(nodeId) {
+        const degrees = this.degrees || this.countDegrees();
+        return Object.assign({
+            group:    "node",
+            id:       nodeId,
+            object:   this.graph.getNodeById(nodeId) || {id: nodeId},
+            selected: this.selectedNodes.has(nodeId),
+            hovered:  this.hoveredNode === nodeId,
+        }, degrees.get(nodeId) || {degree: 0, indegree: 0, outdegree: 0});
+    }
+
+    /**
+     * Counts the incident edges of every node of the graph. Self-loops are
+     * counted twice for the degree.
+     *
+     * @return {Map<String, Object>}
+     * Maps from node IDs to objects with a degree, an indegree and an
+     * outdegree.
+     *
+     * @private
+     */
+    countDegrees() {
+        const result = new Map();
+        const get    = id => {
+            if (!result.has(id)) {
+                result.set(id, {degree: 0, indegree: 0, outdegree: 0});
+            }
+            return result.get(id);
+        };
+
+        for (let edgeObj of this.graph.iterEdges()) {
+            const source = get(edgeObj.sourceId);
+            const target = get(edgeObj.targetId);
+            source.degree++;
+            source.outdegree++;
+            target.degree++;
+            target.indegree++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Calls the given function while the degrees of the nodes are counted
+     * only once. Use this when many graphics are styled at once.
+     *
+     * @param {Function} f
+     * The function to call.
+     *
+     * @return {*}
+     * The result of the function.
+     *
+     * @private
+     */
+    withDegrees(f) {
+        if (this.degrees || !this.stylesheet) {
+            return f();
+        }
+
+        this.degrees = this.countDegrees();
+        try {
+            return f();
+        } finally {
+            this.degrees = undefined;
+        }
+    }
+
+    /**
+     * Sets the node under the mouse and restyles the affected graphics if
+     * the stylesheet uses the ":hover" pseudo-class.
+     *
+     * @param {String} nodeId
+     * The ID of the node or undefined if the mouse left it.
+     *
+     * @private
+     */
+    hoverNode(nodeId) {
+        const previous = this.hoveredNode;
+        if (previous === nodeId) {
+            return;
+        }
+
+        this.hoveredNode = nodeId;
+        if (this.stylesheet && this.stylesheet.usesState("hover")) {
+            this.restyleElements([previous, nodeId].filter(id => id !== undefined), []);
+        }
+    }
+
+    /**
+     * Sets the edge under the mouse and restyles the affected graphics if
+     * the stylesheet uses the ":hover" pseudo-class.
+     *
+     * @param {String} edgeId
+     * The ID of the edge or undefined if the mouse left it.
+     *
+     * @private
+     */
+    hoverEdge(edgeId) {
+        const previous = this.hoveredEdge;
+        if (previous === edgeId) {
+            return;
+        }
+
+        this.hoveredEdge = edgeId;
+        if (this.stylesheet && this.stylesheet.usesState("hover")) {
+            this.restyleElements([], [previous, edgeId].filter(id => id !== undefined));
+        }
+    }
+
+    /**
+     * Selects the nodes and edges inside the given polygon. A node is inside
+     * if its position is, an edge if the positions of its source and target
+     * are. Hidden graphics are ignored.
+     *
+     * @param {Array<Object>} polygon
+     * The corners of the polygon in stage coordinates. Each of them needs an
+     * x- and a y-coordinate.
+     *
+     * @param {String} [operation]
+     * Use "replace" to select only the graphics inside the polygon, "add" to
+     * add them to the current selection or "subtract" to remove them from it.
+     */
+    selectRegion(polygon, operation = "replace") {
+        const isInside = displayObject => displayObject.visible &&
+            utils.isPointInPolygon(displayObject, polygon);
+
+        const nodesInside = new Set();
+        for (let [id, nodeG] of this.nodes) {
+            if (isInside(nodeG)) {
+                nodesInside.add(id);
+            }
+        }
+
+        const edgesInside = new Set();
+        for (let [id, edgeG] of this.edges) {
+            if (edgeG.visible &&
+                nodesInside.has(edgeG.sourceId) &&
+                nodesInside.has(edgeG.targetId)) {
+                edgesInside.add(id);
+            }
+        }
+
+        this.highlightNodes(combineSelections(this.selectedNodes, nodesInside, operation));
+        this.highlightEdges(combineSelections(this.selectedEdges, edgesInside, operation));
+        this.emitSelectionChange();
+    }
+
+    /**
+     * Fires a "selectionchange" event with the current selection.
+     *
+     * @private
+     */
+    emitSelectionChange() {
+        this.requestRender();
+        this.emit("selectionchange", {
+            selectedNodes: this.selectedNodes,
+            selectedEdges: this.selectedEdges,
+        });
+    }
+
+    /**
+     * Fires a "viewportchange" event with the current position and scale of
+     * the stage.
+     *
+     * @private
+     */
+    emitViewportChange() {
+        this.requestRender();
+        this.emit("viewportchange", {
+            position: new Vec2(this.stage.x, this.stage.y),
+            scale:    new Vec2(this.stage.scale.x, this.stage.scale.y),
+        });
+    }
+
+    /**
+     * Centers the stage.
+     */
+    center() {
+        const br = this.getBoundingRectangle();
+        this.stage.scale.x = 1;
+        this.stage.scale.y = 1;
+        this.stage.x = (this.renderer.width  - br.minX - br.maxX) / 2;
+        this.stage.y = (this.renderer.height - br.minY - br.maxY) / 2;
+
+        this.emitViewportChange();
     }
 
     /**
@@ -439,7 +1546,8 @@ export default class GraphView {
             maxY: Number.NEGATIVE_INFINITY,
         };
 
-        for (let [, node] of this.nodes) {
+        const proxies = [...this.groups.values()].filter(group => group.collapsed).map(group => group.proxy);
+        for (let node of [...this.nodes.values(), ...proxies]) {
             if (node.visible) {
                 result.minX = Math.min(result.minX, node.x);
                 result.maxX = Math.max(result.maxX, node.x);
@@ -451,6 +1559,238 @@ export default class GraphView {
         return result;
     }
 
+    /**
+     * Returns the current camera, which consists of the point on the stage
+     * that is shown in the center of the view and the scale of the stage.
+     *
+     * @return {Object}
+     * The camera. The center is a Vec2 and the scale a number.
+     */
+    getCamera() {
+        return {
+            center: new Vec2(
+                (this.getWidth()  / 2 - this.stage.x) / this.stage.scale.x,
+                (this.getHeight() / 2 - this.stage.y) / this.stage.scale.y
+            ),
+            scale: this.stage.scale.x,
+        };
+    }
+
+    /**
+     * Moves the camera to show the given point in the center of the view and
+     * applies the given scale. The scale is clamped to the bounds configured
+     * for the zoom behavior.
+     *
+     * @param {Object} camera
+     * The camera to move to.
+     *
+     * @param {Vec2} [camera.center]
+     * The point on the stage to show in the center. The current one is kept if
+     * this is omitted.
+     *
+     * @param {Number} [camera.scale]
+     * The new scale. The current one is kept if this is omitted.
+     *
+     * @param {Object} [options]
+     * The options object.
+     *
+     * @param {Number} [options.duration]
+     * How long the camera movement should take in milliseconds.
+     *
+     * @param {String|Function} [options.easing]
+     * The name of a function in the easings module or a function that maps the
+     * progress of the movement to the eased progress.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the camera reached its destination.
+     */
+    flyTo({center, scale}, {duration = 1000, easing = "easeInOutCubic"} = {}) {
+        const transition      = {};
+        this.cameraTransition = transition;
+
+        const from = this.getCamera();
+        const to   = {
+            center: center || from.center,
+            scale:  this.clampScale(scale === undefined ? from.scale : scale),
+        };
+
+        if (duration <= 0) {
+            this.setCamera(to);
+            return Promise.resolve();
+        }
+
+        return this.tween(duration, easing, (t, progress) => {
+            if (this.cameraTransition !== transition) {
+                return false;
+            }
+
+            if (progress === 1) {
+                this.setCamera(to);
+                return;
+            }
+
+            this.setCamera({
+                center: new Vec2(
+                    from.center.x + (to.center.x - from.center.x) * t,
+                    from.center.y + (to.center.y - from.center.y) * t
+                ),
+                scale: from.scale * Math.pow(to.scale / from.scale, t),
+            });
+        });
+    }
+
+    /**
+     * Moves the camera so the given point on the stage is in the center of
+     * the view.
+     *
+     * @param {Vec2} point
+     * The point to center.
+     *
+     * @param {Object} [options]
+     * How to move the camera. Check the documentation of flyTo for the
+     * structure of this object. By default, the camera jumps to the point.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the camera reached its destination.
+     */
+    panTo(point, {duration = 0, easing} = {}) {
+        return this.flyTo({center: point}, {duration, easing});
+    }
+
+    /**
+     * Scales the stage. The anchor stays at the same place in the view.
+     *
+     * @param {Number} scale
+     * The new scale.
+     *
+     * @param {Vec2} [anchor]
+     * The point on the stage to zoom onto. This defaults to the point in the
+     * center of the view.
+     *
+     * @param {Object} [options]
+     * How to move the camera. Check the documentation of flyTo for the
+     * structure of this object. By default, the camera jumps to the new scale.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the camera reached its destination.
+     */
+    zoomTo(scale, anchor = this.getCamera().center, {duration = 0, easing} = {}) {
+        const from = this.getCamera();
+        scale      = this.clampScale(scale);
+
+        const ratio  = from.scale / scale;
+        const center = new Vec2(
+            anchor.x + (from.center.x - anchor.x) * ratio,
+            anchor.y + (from.center.y - anchor.y) * ratio
+        );
+
+        return this.flyTo({center, scale}, {duration, easing});
+    }
+
+    /**
+     * Scales and moves the stage so all visible graphics fit into the view.
+     * The graphics are measured without size scaling.
+     *
+     * @param {Number} [padding]
+     * The minimum distance between the graphics and the border of the view in
+     * pixels.
+     *
+     * @param {Object} [options]
+     * How to move the camera. Check the documentation of flyTo for the
+     * structure of this object. By default, the camera jumps to its new place.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the camera reached its destination.
+     */
+    fit(padding = 20, {duration = 0, easing} = {}) {
+
+        // Measure without size scaling, which the next frame applies again
+        this.restoreScales();
+        const bounds = this.stage.getLocalBounds();
+        this.requestRender();
+        if (bounds.width === 0 && bounds.height === 0) {
+            return this.panTo(new Vec2(bounds.x, bounds.y), {duration, easing});
+        }
+
+        const scale = Math.min(
+            Math.max(0, this.getWidth()  - 2 * padding) / bounds.width,
+            Math.max(0, this.getHeight() - 2 * padding) / bounds.height
+        );
+        const center = new Vec2(
+            bounds.x + bounds.width  / 2,
+            bounds.y + bounds.height / 2
+        );
+
+        return this.flyTo({center, scale}, {duration, easing});
+    }
+
+    /**
+     * Moves the camera to the node graphic with the given ID.
+     *
+     * @param {String} nodeId
+     * The ID of the node graphic.
+     *
+     * @param {Object} [options]
+     * How to move the camera. Check the documentation of flyTo for the
+     * structure of this object. By default, the camera jumps to the node.
+     *
+     * @param {Number} [options.scale]
+     * The scale to apply. The current scale is kept if this is omitted.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the camera reached its destination.
+     */
+    focusNode(nodeId, {scale, duration = 0, easing} = {}) {
+        const nodeG = this.getNodeDisplayObjectById(nodeId);
+        return this.flyTo({
+            center: new Vec2(nodeG.x, nodeG.y),
+            scale,
+        }, {duration, easing});
+    }
+
+    /**
+     * Moves the camera without animation.
+     *
+     * @param {Object} camera
+     * The new camera. Check the documentation of getCamera for its structure.
+     *
+     * @private
+     */
+    setCamera({center, scale}) {
+        this.stage.scale.x = scale;
+        this.stage.scale.y = scale;
+        this.stage.x       = this.getWidth()  / 2 - center.x * scale;
+        this.stage.y       = this.getHeight() / 2 - center.y * scale;
+
+        this.emitViewportChange();
+    }
+
+    /**
+     * Restricts the given scale to the bounds configured for the zoom
+     * behavior. If there is no zoom behavior, the scale is only required to
+     * be positive.
+     *
+     * @param {Number} scale
+     * The scale to restrict.
+     *
+     * @return {Number}
+     * The restricted scale.
+     *
+     * @private
+     */
+    clampScale(scale) {
+        const conf = this.stage.zoomConf;
+        if (!conf) {
+            return Math.max(Number.EPSILON, scale);
+        }
+
+        return _.clamp(
+            Math.max(conf.minScaleX, conf.minScaleY),
+            Math.min(conf.maxScaleX, conf.maxScaleY),
+            scale
+        );
+    }
+
     /**
      * Moves the node graphic with the given ID to the top.
      *
@@ -466,6 +1806,8 @@ export default class GraphView {
             this.nodeContainer.removeChild(nodeG);
             this.nodeContainer.addChild(nodeG);
         }
+
+        this.requestRender();
     }
 
     /**
@@ -483,31 +1825,274 @@ export default class GraphView {
             this.edgeContainer.removeChild(edgeG);
             this.edgeContainer.addChild(edgeG);
         }
+
+        this.requestRender();
+    }
+
+    /**
+     * Sets the layout of the graph and moves the nodes accordingly. The nodes
+     * can either jump to their new positions or move there smoothly. Starting
+     * a new transition stops the one that is currently running.
+     *
+     * @param {Layout} layout
+     * The new layout.
+     *
+     * @param {Object} [options]
+     * The options object.
+     *
+     * @param {Number} [options.duration]
+     * How long the transition should take in milliseconds. Set this to 0 to
+     * move the nodes immediately.
+     *
+     * @param {String|Function} [options.easing]
+     * The name of a function in the easings module or a function that maps the
+     * progress of the transition to the eased progress.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the nodes reached their new positions.
+     */
+    setLayout(layout, {duration = 0, easing = "easeInOutCubic"} = {}) {
+        const transition      = {};
+        this.layoutTransition = transition;
+
+        if (duration <= 0) {
+            this.stopRenderLoop();
+
+            for (let [id, position] of layout) {
+                const nodeG = this.getNodeDisplayObjectById(id);
+                if (nodeG) {
+                    nodeG.x = position.x;
+                    nodeG.y = position.y;
+                }
+            }
+
+            this.updateEdges();
+
+            this.startRenderLoop();
+            this.requestRender();
+            this.emit("layoutchange", {layout});
+            return Promise.resolve();
+        }
+
+        const moves = [];
+        for (let [id, position] of layout) {
+            const nodeG = this.getNodeDisplayObjectById(id);
+            if (nodeG) {
+                moves.push({
+                    id,
+                    nodeG,
+                    from: new Vec2(nodeG.x, nodeG.y),
+                    to:   position,
+                });
+            }
+        }
+        const nodeIds = moves.map(move => move.id);
+
+        return this.tween(duration, easing, (t, progress) => {
+            if (this.layoutTransition !== transition) {
+                return false;
+            }
+
+            // Custom easings might not end exactly at 1
+            if (progress === 1) {
+                t = 1;
+            }
+
+            for (let {nodeG, from, to} of moves) {
+                nodeG.x = from.x + (to.x - from.x) * t;
+                nodeG.y = from.y + (to.y - from.y) * t;
+            }
+            this.updateIncidentEdges(nodeIds);
+
+            if (progress === 1) {
+                this.emit("layoutchange", {layout});
+            }
+        });
+    }
+
+    /**
+     * Calls the given function once per frame with the eased progress of an
+     * animation.
+     *
+     * @param {Number} duration
+     * How long the animation should take in milliseconds.
+     *
+     * @param {String|Function} easing
+     * The name of a function in the easings module or a function that maps the
+     * progress of the animation to the eased progress.
+     *
+     * @param {Function} step
+     * The function to call. It gets the eased progress and the raw progress,
+     * which is exactly 1 in the last call. The animation is aborted if it
+     * returns false.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the animation is finished or aborted.
+     * It is rejected if the easing is unknown.
+     *
+     * @private
+     */
+    tween(duration, easing, step) {
+        const ease = typeof easing === "function" ? easing : easings[easing];
+        if (typeof ease !== "function") {
+            return Promise.reject(new Error(`Unknown easing "${easing}".`));
+        }
+
+        return new Promise(resolve => {
+            const startTime = Date.now();
+            this.animations.add(() => {
+                const t = Math.min(1, (Date.now() - startTime) / duration);
+                if (step(ease(t), t) === false || t === 1) {
+                    resolve();
+                    return false;
+                }
+                return true;
+            });
+            this.startRenderLoop();
+        });
+    }
+
+    /**
+     * Moves the endpoints of the edges incident to the given nodes, so they
+     * follow the nodes.
+     *
+     * @param {Iterable<String>} nodeIds
+     * The IDs of the nodes that moved.
+     *
+     * @private
+     */
+    updateIncidentEdges(nodeIds) {
+        nodeIds = new Set(nodeIds);
+        for (let [edgeId, edgeG] of this.edges) {
+            if (nodeIds.has(edgeG.sourceId) || nodeIds.has(edgeG.targetId)) {
+                this.updateEdge(edgeId);
+            }
+        }
+        this.updateGroups(nodeIds);
+    }
+
+    /**
+     * Moves the endpoints of the edge graphic with the given ID to the current
+     * positions of its source and target node graphics.
+     *
+     * @param {String} edgeId
+     * The ID of the edge graphic.
+     *
+     * @private
+     */
+    updateEdge(edgeId) {
+        const edgeG = this.getEdgeDisplayObjectById(edgeId);
+        if (!edgeG) {
+            return;
+        }
+
+        const sourceG = this.getNodeDisplayObjectById(edgeG.sourceId);
+        const targetG = this.getNodeDisplayObjectById(edgeG.targetId);
+        edgeG.update(
+            new Vec2(sourceG.x, sourceG.y),
+            new Vec2(targetG.x, targetG.y),
+            {source: sourceG, target: targetG}
+        );
+
+        this.requestRender();
+    }
+
+    /**
+     * Moves the endpoints of all edge graphics to the current positions of
+     * the node graphics.
+     *
+     * @private
+     */
+    updateEdges() {
+        for (let edgeId of this.edges.keys()) {
+            this.updateEdge(edgeId);
+        }
+        this.updateGroups();
+    }
+
+    /**
+     * Moves the nodes through the layouts yielded by the given iterator, one
+     * layout per frame. Use this to watch an iterative layout algorithm like
+     * the force-directed layout evolve.
+     *
+     * @param {Iterator<Layout>} layouts
+     * The layouts to show.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the iterator is exhausted.
+     */
+    animateLayout(layouts) {
+        let lastLayout = undefined;
+        return new Promise(resolve => {
+            this.animations.add(() => {
+                const {value: layout, done} = layouts.next();
+                if (done) {
+                    if (lastLayout) {
+                        this.emit("layoutchange", {layout: lastLayout});
+                    }
+                    resolve();
+                    return false;
+                }
+                lastLayout = layout;
+
+                for (let [id, position] of layout) {
+                    const nodeG = this.getNodeDisplayObjectById(id);
+                    if (nodeG) {
+                        nodeG.x = position.x;
+                        nodeG.y = position.y;
+                    }
+                }
+                this.updateEdges();
+
+                return true;
+            });
+            this.startRenderLoop();
+        });
+    }
+
+    /**
+     * Computes a layout with the algorithm registered under the given name
+     * and applies it.
+     *
+     * @param {String} type
+     * The name of the layout algorithm.
+     *
+     * @param {Object} [conf]
+     * The configuration to pass to the layout algorithm.
+     *
+     * @param {Object} [options]
+     * How to move the nodes to their new positions. Check the documentation of
+     * the setLayout method for the structure of this object.
+     *
+     * @return {Promise}
+     * A promise that is resolved once the nodes reached their new positions.
+     */
+    applyLayout(type, conf = {}, options = {}) {
+        const layoutFunction = registry.get(["layout", type]);
+        return this.setLayout(layoutFunction(
+            this.graph,
+            Object.assign({nodeSizes: this.getNodeSizes()}, conf)
+        ), options);
     }
 
     /**
-     * Sets the layout of the graph and moves the nodes accordingly.
+     * Returns the sizes of the node display objects. Layout algorithms can use
+     * those to prevent overlapping nodes. The sizes do not depend on filters
+     * that scale the nodes, like the size scaling filter.
      *
-     * @param {Layout} layout
-     * The new layout.
+     * @return {Map<String, Object>}
+     * Maps from node IDs to objects with a width and a height.
      */
-    setLayout(layout) {
-        this.stopRenderLoop();
-
-        for (let [id, position] of layout) {
-            const nodeG = this.getNodeDisplayObjectById(id);
-            if (nodeG) {
-                nodeG.x = position.x;
-                nodeG.y = position.y;
-            }
+    getNodeSizes() {
+        const result = new Map();
+        for (let [id, nodeG] of this.nodes) {
+            const bounds = nodeG.getLocalBounds();
+            result.set(id, {
+                width:  bounds.width  * Math.abs(nodeG.origScaleX),
+                height: bounds.height * Math.abs(nodeG.origScaleY),
+            });
         }
-
-        this.edges.clear();
-        this.edgeContainer.removeChildren();
-        this.selectedEdgeContainer.removeChildren();
-        this.visualizeEdges();
-
-        this.startRenderLoop();
+        return result;
     }
 
     /**
@@ -650,32 +2235,636 @@ export default class GraphView {
             sizeScalingMidpoint,
             sizeScalingSteepness
         );
+
+        this.requestRender();
+    }
+
+    /**
+     * Moves the node graphic with the given ID to the position.
+     *
+     * @param {String} nodeId
+     * The ID of the graphic.
+     *
+     * @param {Vec2} position
+     * Where to move the node.
+     */
+    moveNode(nodeId, position) {
+        const nodeG            = this.getNodeDisplayObjectById(nodeId);
+        const previousPosition = new Vec2(nodeG.x, nodeG.y);
+        nodeG.x = position.x;
+        nodeG.y = position.y;
+
+        this.updateIncidentEdges([nodeId]);
+        this.requestRender();
+        this.emit("nodemoved", {id: nodeId, position, previousPosition});
+    }
+
+    /**
+     * Updates the scene after a node graphic was dragged to a new position.
+     * The other selected nodes move along if the dragged node is selected and
+     * the behavior asks for it.
+     *
+     * @param {String} nodeId
+     * The ID of the dragged node graphic.
+     *
+     * @param {Object} drag
+     * The event emitted by the draggable behavior.
+     *
+     * @param {Vec2} drag.position
+     * The new position of the node graphic.
+     *
+     * @param {Vec2} drag.previousPosition
+     * The position of the node graphic before it was moved.
+     *
+     * @param {Boolean} drag.dragSelection
+     * Whether the other selected nodes should move along.
+     *
+     * @private
+     */
+    handleNodeDrag(nodeId, {position, previousPosition, dragSelection}) {
+        const moves = [{id: nodeId, position, previousPosition}];
+
+        if (dragSelection && this.selectedNodes.has(nodeId)) {
+            const delta = position.sub(previousPosition);
+            for (let selectedId of this.selectedNodes) {
+                const nodeG = this.getNodeDisplayObjectById(selectedId);
+                if (selectedId !== nodeId && nodeG) {
+                    const from = new Vec2(nodeG.x, nodeG.y);
+                    nodeG.x += delta.x;
+                    nodeG.y += delta.y;
+                    moves.push({
+                        id:               selectedId,
+                        position:         new Vec2(nodeG.x, nodeG.y),
+                        previousPosition: from,
+                    });
+                }
+            }
+        }
+
+        this.updateIncidentEdges(moves.map(move => move.id));
+        this.requestRender();
+        for (let move of moves) {
+            this.emit("nodemoved", move);
+        }
+    }
+
+    /**
+     * Adds a group that encloses the given member nodes. If a group with the
+     * same ID exists already, it is replaced.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     *
+     * @param {Iterable<String>} memberIds
+     * The IDs of the member nodes.
+     *
+     * @param {Object} conf
+     * The configuration of the group visualizer.
+     */
+    addGroup(groupId, memberIds, conf = {}) {
+        if (this.groups.has(groupId)) {
+            this.removeGroup(groupId);
+        }
+
+        const displayObject = groupVisualizer(conf);
+        displayObject.earlId = groupId;
+
+        this.groups.set(groupId, {
+            members:    new Set(memberIds),
+            conf,
+            displayObject,
+            collapsed:  false,
+            proxy:      undefined,
+            visibility: new Map(),
+        });
+        this.groupContainer.addChild(displayObject);
+        this.updateGroup(groupId);
+
+        this.emit("groupadded", {id: groupId, displayObject});
+    }
+
+    /**
+     * Removes the group with the given ID. It is expanded first if it is
+     * collapsed.
+     *
+     * @param {String} groupId
+     * The ID of the group to remove.
+     */
+    removeGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group) {
+            return;
+        }
+
+        if (group.collapsed) {
+            this.expandGroup(groupId);
+        }
+
+        this.groupContainer.removeChild(group.displayObject);
+        this.groups.delete(groupId);
+
+        this.requestRender();
+        this.emit("groupremoved", {id: groupId});
+    }
+
+    /**
+     * Returns the display object for the given group ID.
+     *
+     * @param {String} groupId
+     * The ID of the group to get the display object for.
+     *
+     * @return {GroupGraphic}
+     * The display object for the group.
+     */
+    getGroupDisplayObjectById(groupId) {
+        const group = this.groups.get(groupId);
+        return group && group.displayObject;
+    }
+
+    /**
+     * Returns the proxy node that replaces the members of the group with the
+     * given ID while it is collapsed.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     *
+     * @return {DisplayObject}
+     * The proxy node or undefined if the group is not collapsed.
+     */
+    getGroupProxyById(groupId) {
+        const group = this.groups.get(groupId);
+        return group && group.proxy;
+    }
+
+    /**
+     * Returns the IDs of the members of the given group.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     *
+     * @return {Set<String>}
+     * The IDs of the member nodes.
+     */
+    getGroupMembers(groupId) {
+        const group = this.groups.get(groupId);
+        return new Set(group ? group.members : []);
+    }
+
+    /**
+     * Tests if the group with the given ID is collapsed.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     *
+     * @return {Boolean}
+     * Whether the group is collapsed.
+     */
+    isGroupCollapsed(groupId) {
+        const group = this.groups.get(groupId);
+        return Boolean(group && group.collapsed);
+    }
+
+    /**
+     * Replaces the members of the group with a single proxy node in the
+     * center of the group. Edges between members are hidden and edges to
+     * other nodes are rerouted to the proxy. Parallel rerouted edges are
+     * aggregated into one.
+     *
+     * @param {String} groupId
+     * The ID of the group to collapse.
+     */
+    collapseGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group || group.collapsed) {
+            return;
+        }
+
+        const conf   = group.displayObject.conf.proxy;
+        const proxy  = nodeVisualizer(conf);
+        const center = group.displayObject.getCenter() || new Vec2(0, 0);
+        proxy.earlId         = groupId;
+        proxy.visualizerConf = conf;
+        proxy.x              = center.x;
+        proxy.y              = center.y;
+        proxy.on("dragmove", () => {
+            this.updateProxyEdges();
+            this.requestRender();
+        });
+        this.nodeContainer.addChild(proxy);
+
+        for (let nodeId of group.members) {
+            const nodeG = this.getNodeDisplayObjectById(nodeId);
+            if (nodeG) {
+                group.visibility.set(nodeId, nodeG.visible);
+                nodeG.visible = false;
+            }
+        }
+
+        group.collapsed             = true;
+        group.proxy                 = proxy;
+        group.displayObject.visible = false;
+
+        this.rerouteEdges();
+        this.requestRender();
+        this.emit("groupcollapsed", {id: groupId, displayObject: proxy});
+    }
+
+    /**
+     * Replaces the proxy node of the group with its members again. The
+     * members are moved along if the proxy was moved.
+     *
+     * @param {String} groupId
+     * The ID of the group to expand.
+     */
+    expandGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (!group || !group.collapsed) {
+            return;
+        }
+
+        for (let [nodeId, visible] of group.visibility) {
+            this.getNodeDisplayObjectById(nodeId).visible = visible;
+        }
+        group.visibility.clear();
+
+        group.collapsed             = false;
+        group.displayObject.visible = true;
+        this.updateGroup(groupId);
+
+        const center = group.displayObject.getCenter();
+        if (center) {
+            const delta = new Vec2(group.proxy.x, group.proxy.y).sub(center);
+            for (let nodeId of group.members) {
+                const nodeG = this.getNodeDisplayObjectById(nodeId);
+                nodeG.x += delta.x;
+                nodeG.y += delta.y;
+            }
+        }
+
+        this.nodeContainer.removeChild(group.proxy);
+        group.proxy.destroy(true, true);
+        group.proxy = undefined;
+
+        this.rerouteEdges();
+        this.updateIncidentEdges(group.members);
+        this.requestRender();
+        this.emit("groupexpanded", {id: groupId});
+    }
+
+    /**
+     * Collapses the group if it is expanded and expands it otherwise.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     */
+    toggleGroup(groupId) {
+        if (this.isGroupCollapsed(groupId)) {
+            this.expandGroup(groupId);
+        } else {
+            this.collapseGroup(groupId);
+        }
+    }
+
+    /**
+     * Tests if any group is collapsed.
+     *
+     * @return {Boolean}
+     * Whether a group is collapsed.
+     *
+     * @private
+     */
+    hasCollapsedGroups() {
+        for (let group of this.groups.values()) {
+            if (group.collapsed) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Returns the first collapsed group that contains the given node.
+     *
+     * @param {String} nodeId
+     * The ID of the node.
+     *
+     * @return {Object}
+     * The state of the group or undefined if there is none.
+     *
+     * @private
+     */
+    getCollapsedGroupOf(nodeId) {
+        for (let group of this.groups.values()) {
+            if (group.collapsed && group.members.has(nodeId)) {
+                return group;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Redraws the outline of the group with the given ID around its visible
+     * members.
+     *
+     * @param {String} groupId
+     * The ID of the group.
+     *
+     * @private
+     */
+    updateGroup(groupId) {
+        const group = this.groups.get(groupId);
+        if (group.collapsed) {
+            return;
+        }
+
+        const rects = [];
+        for (let nodeId of group.members) {
+            const nodeG = this.getNodeDisplayObjectById(nodeId);
+            if (nodeG && nodeG.visible) {
+                const bounds = nodeG.getLocalBounds();
+                rects.push({
+                    x:      nodeG.x + (bounds.x - nodeG.pivot.x) * nodeG.scale.x,
+                    y:      nodeG.y + (bounds.y - nodeG.pivot.y) * nodeG.scale.y,
+                    width:  bounds.width  * nodeG.scale.x,
+                    height: bounds.height * nodeG.scale.y,
+                });
+            }
+        }
+        group.displayObject.update(rects);
+
+        this.requestRender();
+    }
+
+    /**
+     * Redraws the outlines of the groups that contain any of the given nodes
+     * and moves the endpoints of the proxy edges.
+     *
+     * @param {Iterable<String>} [nodeIds]
+     * The IDs of the nodes that moved. If this is undefined, all groups are
+     * redrawn.
+     *
+     * @private
+     */
+    updateGroups(nodeIds) {
+        if (this.groups.size === 0) {
+            return;
+        }
+
+        const moved = nodeIds && new Set(nodeIds);
+        for (let [groupId, group] of this.groups) {
+            if (!moved || [...group.members].some(nodeId => moved.has(nodeId))) {
+                this.updateGroup(groupId);
+            }
+        }
+        this.updateProxyEdges();
+    }
+
+    /**
+     * Reroutes the edges and redraws the groups after the visibility of some
+     * graphics changed.
+     *
+     * @private
+     */
+    refreshGroups() {
+        if (this.hasCollapsedGroups()) {
+            this.rerouteEdges();
+        }
+        this.updateGroups();
+        this.requestRender();
+    }
+
+    /**
+     * Hides the edges incident to members of collapsed groups and replaces
+     * them by proxy edges between the proxy nodes and the remaining nodes.
+     * Edges with the same endpoints after rerouting are aggregated into one
+     * proxy edge.
+     *
+     * @private
+     */
+    rerouteEdges() {
+
+        // Undo the previous rerouting
+        for (let [edgeId, visible] of this.reroutedEdges) {
+            const edgeG = this.getEdgeDisplayObjectById(edgeId);
+            if (edgeG) {
+                edgeG.visible = visible;
+            }
+        }
+        this.reroutedEdges.clear();
+
+        for (let edgeG of this.proxyEdges.values()) {
+            this.edgeContainer.removeChild(edgeG);
+            edgeG.destroy(true, true);
+        }
+        this.proxyEdges.clear();
+
+        // Collect the edges to aggregate
+        const aggregates = new Map();
+        for (let edgeId of this.edges.keys()) {
+            const endpoints = this.hideReroutedEdge(edgeId);
+            if (endpoints) {
+                if (!aggregates.has(endpoints.key)) {
+                    aggregates.set(endpoints.key, {endpoints, edgeIds: []});
+                }
+                aggregates.get(endpoints.key).edgeIds.push(edgeId);
+            }
+        }
+
+        // Draw the proxy edges
+        for (let {endpoints, edgeIds} of aggregates.values()) {
+            this.drawProxyEdge(endpoints, edgeIds);
+        }
+
+        this.requestRender();
+    }
+
+    /**
+     * Reroutes a single edge that was added while groups are collapsed. Only
+     * the proxy edge it is aggregated into is redrawn.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @private
+     */
+    rerouteEdge(edgeId) {
+        const endpoints = this.hideReroutedEdge(edgeId);
+        if (endpoints) {
+            const proxyG = this.proxyEdges.get(endpoints.key);
+            this.drawProxyEdge(endpoints, proxyG ? [...proxyG.aggregatedIds, edgeId] : [edgeId]);
+        }
+    }
+
+    /**
+     * Removes a rerouted edge from the proxy edge it is aggregated into. The
+     * proxy edge is redrawn or removed if it was the last one.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @param {String} sourceId
+     * The ID of the source node of the edge.
+     *
+     * @param {String} targetId
+     * The ID of the target node of the edge.
+     *
+     * @private
+     */
+    removeFromProxyEdge(edgeId, sourceId, targetId) {
+        const endpoints = this.getProxyEndpoints(sourceId, targetId);
+        const proxyG    = endpoints && this.proxyEdges.get(endpoints.key);
+        if (proxyG && proxyG.aggregatedIds.includes(edgeId)) {
+            this.drawProxyEdge(endpoints, proxyG.aggregatedIds.filter(id => id !== edgeId));
+        }
+    }
+
+    /**
+     * Hides the given edge if one of its endpoints is in a collapsed group and
+     * remembers its visibility.
+     *
+     * @param {String} edgeId
+     * The ID of the edge.
+     *
+     * @return {Object}
+     * The endpoints of the proxy edge that replaces the edge or undefined if
+     * it needs none.
+     *
+     * @private
+     */
+    hideReroutedEdge(edgeId) {
+        const edgeG     = this.getEdgeDisplayObjectById(edgeId);
+        const endpoints = this.getProxyEndpoints(edgeG.sourceId, edgeG.targetId);
+        if (!endpoints) {
+            return undefined;
+        }
+
+        const wasVisible = edgeG.visible;
+        this.reroutedEdges.set(edgeId, wasVisible);
+        edgeG.visible = false;
+
+        return wasVisible && !endpoints.internal ? endpoints : undefined;
+    }
+
+    /**
+     * Computes the endpoints of the proxy edge that replaces edges between
+     * the given nodes.
+     *
+     * @param {String} sourceId
+     * The ID of the source node.
+     *
+     * @param {String} targetId
+     * The ID of the target node.
+     *
+     * @return {Object}
+     * The endpoints as source and target, the key of the proxy edge, the group
+     * whose configuration is used and whether both nodes are in the same
+     * group. If neither node is in a collapsed group, undefined is returned.
+     *
+     * @private
+     */
+    getProxyEndpoints(sourceId, targetId) {
+        const sourceGroup = this.getCollapsedGroupOf(sourceId);
+        const targetGroup = this.getCollapsedGroupOf(targetId);
+        if (!sourceGroup && !targetGroup) {
+            return undefined;
+        }
+
+        const source = sourceGroup ? {groupId: sourceGroup.displayObject.earlId} : {nodeId: sourceId};
+        const target = targetGroup ? {groupId: targetGroup.displayObject.earlId} : {nodeId: targetId};
+        return {
+            key:      JSON.stringify([source, target]),
+            source,
+            target,
+            group:    sourceGroup || targetGroup,
+            internal: sourceGroup === targetGroup,
+        };
+    }
+
+    /**
+     * Replaces the proxy edge between the given endpoints by one that
+     * aggregates the given edges.
+     *
+     * @param {Object} endpoints
+     * The endpoints of the proxy edge. Check the documentation of
+     * getProxyEndpoints for the structure of this object.
+     *
+     * @param {Array<String>} edgeIds
+     * The IDs of the aggregated edges. The proxy edge is only removed if this
+     * is empty.
+     *
+     * @private
+     */
+    drawProxyEdge({key, source, target, group}, edgeIds) {
+        const oldG = this.proxyEdges.get(key);
+        if (oldG) {
+            this.edgeContainer.removeChild(oldG);
+            oldG.destroy(true, true);
+            this.proxyEdges.delete(key);
+        }
+
+        if (edgeIds.length === 0) {
+            this.requestRender();
+            return;
+        }
+
+        let conf = group.displayObject.conf.proxyEdge;
+        if (typeof conf === "function") {
+            conf = conf(edgeIds);
+        } else if (!conf) {
+            conf = this.getEdgeDisplayObjectById(edgeIds[0]).visualizerConf;
+        }
+
+        const sourceG = this.getEndpointDisplayObject(source);
+        const targetG = this.getEndpointDisplayObject(target);
+        const edgeG   = edgeVisualizer(
+            new Vec2(sourceG.x, sourceG.y),
+            new Vec2(targetG.x, targetG.y),
+            conf,
+            {source: sourceG, target: targetG}
+        );
+        edgeG.aggregatedIds  = edgeIds;
+        edgeG.proxySource    = source;
+        edgeG.proxyTarget    = target;
+        edgeG.visualizerConf = conf;
+
+        this.edgeContainer.addChild(edgeG);
+        this.proxyEdges.set(key, edgeG);
+        this.requestRender();
+    }
+
+    /**
+     * Moves the endpoints of the proxy edges to the current positions of
+     * their nodes.
+     *
+     * @private
+     */
+    updateProxyEdges() {
+        for (let edgeG of this.proxyEdges.values()) {
+            const sourceG = this.getEndpointDisplayObject(edgeG.proxySource);
+            const targetG = this.getEndpointDisplayObject(edgeG.proxyTarget);
+            edgeG.update(
+                new Vec2(sourceG.x, sourceG.y),
+                new Vec2(targetG.x, targetG.y),
+                {source: sourceG, target: targetG}
+            );
+        }
     }
 
     /**
-     * Moves the node graphic with the given ID to the position.
+     * Returns the display object at an endpoint of a proxy edge.
      *
-     * @param {String} nodeId
-     * The ID of the graphic.
+     * @param {Object} endpoint
+     * Either {groupId} for a proxy node or {nodeId} for a regular node.
      *
-     * @param {Vec2} position
-     * Where to move the node.
+     * @return {DisplayObject}
+     * The display object of the endpoint.
+     *
+     * @private
      */
-    moveNode(nodeId, position) {
-        const nodeG = this.getNodeDisplayObjectById(nodeId);
-        nodeG.x = position.x;
-        nodeG.y = position.y;
-
-        const nodeObj = this.graph.getNodeById(nodeId);
-        for (let edgeId of nodeObj.iterIncidentEdges()) {
-            const edgeG   = this.getEdgeDisplayObjectById(edgeId);
-            const edgeObj = this.graph.getEdgeById(edgeId);
-
-            this.edges.delete(edgeId);
-            this.edgeContainer.removeChild(edgeG);
-            this.selectedEdgeContainer.removeChild(edgeG);
-            this.addEdge(edgeObj);
-        }
+    getEndpointDisplayObject({groupId, nodeId}) {
+        return groupId !== undefined ?
+            this.getGroupProxyById(groupId) :
+            this.getNodeDisplayObjectById(nodeId);
     }
 
     /**
@@ -689,8 +2878,8 @@ export default class GraphView {
      * The edges to keep.
      */
     filterGraph(nodesToKeep, edgesToKeep) {
-        for (let [id, node] of this.nodes) {
-            node.visible = nodesToKeep.has(id);
+        for (let id of this.nodes.keys()) {
+            this.setNodeVisibility(id, nodesToKeep.has(id));
         }
 
         this.filterEdges(edgesToKeep);
@@ -704,9 +2893,11 @@ export default class GraphView {
      * The edges to keep.
      */
     filterEdges(edgesToKeep) {
-        for (let [id, edge] of this.edges) {
-            edge.visible = edgesToKeep.has(id);
+        for (let id of this.edges.keys()) {
+            this.setEdgeVisibility(id, edgesToKeep.has(id));
         }
+
+        this.refreshGroups();
     }
 
     /**
@@ -716,17 +2907,101 @@ export default class GraphView {
     resetFilters() {
         this.resetNodeFilter();
 
-        for (let [id, edge] of this.edges) {
-            edge.visible = true;
+        for (let id of this.edges.keys()) {
+            this.setEdgeVisibility(id, true);
         }
+
+        this.refreshGroups();
     }
 
     /**
      * Resets the node filter. All node graphics are visible again afterwards.
      */
     resetNodeFilter() {
-        for (let [id, node] of this.nodes) {
-            node.visible = true;
+        for (let id of this.nodes.keys()) {
+            this.setNodeVisibility(id, true);
+        }
+
+        this.refreshGroups();
+    }
+
+    /**
+     * Shows or hides the node graphic with the given ID. If the node is a
+     * member of a collapsed group, the visibility is applied once the group
+     * is expanded again.
+     *
+     * @param {String} nodeId
+     * The ID of the node graphic.
+     *
+     * @param {Boolean} visible
+     * Whether the graphic should be visible.
+     *
+     * @private
+     */
+    setNodeVisibility(nodeId, visible) {
+        const group = this.getCollapsedGroupOf(nodeId);
+        if (group) {
+            group.visibility.set(nodeId, visible);
+        } else {
+            this.nodes.get(nodeId).visible = visible;
+        }
+    }
+
+    /**
+     * Returns whether the node graphic with the given ID is shown by the
+     * filters. Members of collapsed groups count as shown if they are
+     * visible once the group is expanded.
+     *
+     * @param {String} nodeId
+     * The ID of the node graphic.
+     *
+     * @return {Boolean}
+     * Whether the graphic is shown.
+     *
+     * @private
+     */
+    getNodeVisibility(nodeId) {
+        const group = this.getCollapsedGroupOf(nodeId);
+        return group ? group.visibility.get(nodeId) : this.nodes.get(nodeId).visible;
+    }
+
+    /**
+     * Returns whether the edge graphic with the given ID is shown by the
+     * filters. Edges replaced by proxy edges count as shown if they are
+     * visible once the groups are expanded.
+     *
+     * @param {String} edgeId
+     * The ID of the edge graphic.
+     *
+     * @return {Boolean}
+     * Whether the graphic is shown.
+     *
+     * @private
+     */
+    getEdgeVisibility(edgeId) {
+        return this.reroutedEdges.has(edgeId) ?
+            this.reroutedEdges.get(edgeId) :
+            this.edges.get(edgeId).visible;
+    }
+
+    /**
+     * Shows or hides the edge graphic with the given ID. If the edge is
+     * replaced by a proxy edge, the visibility is applied once the groups are
+     * expanded again.
+     *
+     * @param {String} edgeId
+     * The ID of the edge graphic.
+     *
+     * @param {Boolean} visible
+     * Whether the graphic should be visible.
+     *
+     * @private
+     */
+    setEdgeVisibility(edgeId, visible) {
+        if (this.reroutedEdges.has(edgeId)) {
+            this.reroutedEdges.set(edgeId, visible);
+        } else {
+            this.edges.get(edgeId).visible = visible;
         }
     }
 
@@ -742,6 +3017,318 @@ export default class GraphView {
     resize(width, height) {
         this.renderer.resize(width, height);
         this.setFilterArea(width, height);
+        this.requestRender();
+    }
+
+    /**
+     * Shows the given legend. It is drawn behind the graph, so the graph
+     * stays interactive, and is neither panned nor zoomed. Exported images
+     * include it on top of the graph.
+     *
+     * @param {Legend} legend
+     * The legend to show. Pass undefined to remove the current one.
+     */
+    setLegend(legend) {
+        if (this.legend) {
+            this.legend.removeListener("change", this.handleLegendChange);
+        }
+        this.legend = legend;
+        if (this.legend) {
+            this.legend.on("change", this.handleLegendChange);
+        }
+
+        this.requestRender();
+    }
+
+    /**
+     * Returns the legend.
+     *
+     * @return {Legend}
+     * The legend or undefined if there is none.
+     */
+    getLegend() {
+        return this.legend;
+    }
+
+    /**
+     * Returns the configurations the graphics were created with. Those
+     * include the rules of the stylesheet. Pass the result to
+     * entriesFromConfs to create a legend of the styles in use.
+     *
+     * @param {String} [group]
+     * Either "node" or "edge".
+     *
+     * @return {Map<String, Object>}
+     * Maps from IDs to the configurations of the visualizers.
+     */
+    getVisualizerConfs(group = "node") {
+        const graphics = group === "node" ? this.nodes : this.edges;
+
+        const result = new Map();
+        for (let [id, displayObject] of graphics) {
+            result.set(id, displayObject.visualizerConf);
+        }
+        return result;
+    }
+
+    /**
+     * Creates an SVG document of the graph. Nodes, lines, arrows and decals
+     * are drawn with vector primitives if their style has a registered SVG
+     * style. Other styles are embedded as images. Filters are not applied.
+     *
+     * @param {Object} [options]
+     * The options object.
+     *
+     * @param {String} [options.region]
+     * Use "viewport" to export the part of the graph that is visible right
+     * now or "all" to export the whole graph.
+     *
+     * @param {Number} [options.padding]
+     * The space around the graph if the region is "all".
+     *
+     * @param {Color} [options.background]
+     * The background color of the image. This defaults to the background
+     * color of the renderer. Set this to null for a transparent background.
+     *
+     * @param {Boolean} [options.legend]
+     * Whether to include the legend. It is put at its position relative to the
+     * exported region.
+     *
+     * @return {String}
+     * The SVG document.
+     */
+    exportSVG({region = "all", padding = 20, background = undefined, legend = true} = {}) {
+        this.restoreScales();
+
+        let content = "";
+        for (let groupG of this.groupContainer.children) {
+            if (groupG.visible) {
+                content += groupG.toSVG();
+            }
+        }
+        for (let container of [this.edgeContainer, this.selectedEdgeContainer]) {
+            for (let edgeG of container.children) {
+                if (edgeG.visible) {
+                    content += edgeG.toSVG();
+                }
+            }
+        }
+        for (let container of [this.nodeContainer, this.selectedNodeContainer]) {
+            for (let nodeG of container.children) {
+                if (nodeG.visible) {
+                    content += svg.makeGroup(
+                        svg.makeTransform(nodeG),
+                        makeNodeSVG(nodeG.visualizerConf, nodeG),
+                        nodeG.alpha
+                    );
+                }
+            }
+        }
+
+        this.requestRender();
+
+        let viewBox = new PIXI.Rectangle(0, 0, this.getWidth(), this.getHeight());
+        if (region === "all") {
+            const bounds = this.stage.getLocalBounds();
+            viewBox = new PIXI.Rectangle(
+                bounds.x      - padding,
+                bounds.y      - padding,
+                bounds.width  + 2 * padding,
+                bounds.height + 2 * padding
+            );
+        } else {
+            content = svg.makeGroup(svg.makeTransform(this.stage), content);
+        }
+
+        if (legend && this.legend && this.legend.visible) {
+            this.legend.place(viewBox.width, viewBox.height);
+            content += svg.makeGroup(`translate(${viewBox.x} ${viewBox.y})`, this.legend.toSVG());
+        }
+
+        if (background === undefined) {
+            background = {hex: this.renderer.backgroundColor, alpha: 1};
+        }
+
+        return svg.makeDocument(viewBox, content, background);
+    }
+
+    /**
+     * Creates a GraphML document of the graph. It contains the current
+     * positions, the selection and the configurations of the visualizers.
+     * Check the documentation of graphml.serialize for details.
+     *
+     * @return {String}
+     * The GraphML document.
+     */
+    exportGraphML() {
+        return graphml.serialize(this);
+    }
+
+    /**
+     * Creates a description of the graph in the DOT language of Graphviz.
+     * Check the documentation of dot.serialize for details.
+     *
+     * @param {Object} [options]
+     * The options object. Check the documentation of dot.serialize for its
+     * structure.
+     *
+     * @return {String}
+     * The DOT source.
+     */
+    exportDOT(options) {
+        return dot.serialize(this, options);
+    }
+
+    /**
+     * Captures the current state of the view in an object that can be passed
+     * to JSON.stringify. It contains the graph, the configurations of the
+     * visualizers, the rules of the stylesheet, the positions of the nodes,
+     * the viewport, the selection, the visibility filters, the groups and the
+     * settings of configureFilters. Use GraphView.fromJSON to restore the view.
+     *
+     * Colors, vectors, maps and sets in the configurations are kept. Functions,
+     * like event handlers of behaviors, cannot be serialized and are dropped.
+     *
+     * @return {Object}
+     * The serializable state.
+     */
+    toJSON() {
+        const nodeObjs = [...this.graph.iterNodes()];
+        const edgeObjs = [...this.graph.iterEdges()];
+
+        return {
+            version: 1,
+            graph: {
+                nodes: nodeObjs.map(nodeObj => ({
+                    id:         nodeObj.id,
+                    attributes: confs.encode(nodeObj.attributes),
+                })),
+                edges: edgeObjs.map(edgeObj => ({
+                    id:         edgeObj.id,
+                    sourceId:   edgeObj.sourceId,
+                    targetId:   edgeObj.targetId,
+                    attributes: confs.encode(edgeObj.attributes),
+                })),
+            },
+            graphConf:        confs.encode(this.graphConf),
+            nodeConfs:        confs.encode(this.nodeConfs),
+            edgeConfs:        confs.encode(this.edgeConfs),
+            stylesheet:       this.stylesheet && this.stylesheet.getRules().map(({selector, conf}) => ({
+                selector,
+                conf: confs.encode(conf),
+            })),
+            renderMode:       this.renderMode,
+            multiEdgeSpacing: this.multiEdgeSpacing,
+            positions:        [...this.nodes].map(([id, nodeG]) => [id, {x: nodeG.x, y: nodeG.y}]),
+            viewport: {
+                x:      this.stage.x,
+                y:      this.stage.y,
+                scaleX: this.stage.scale.x,
+                scaleY: this.stage.scale.y,
+            },
+            selection: {
+                nodes: [...this.selectedNodes],
+                edges: [...this.selectedEdges],
+            },
+            hidden: {
+                nodes: [...this.nodes.keys()].filter(id => !this.getNodeVisibility(id)),
+                edges: [...this.edges.keys()].filter(id => !this.getEdgeVisibility(id)),
+            },
+            groups: [...this.groups].map(([id, group]) => ({
+                id,
+                members:   [...group.members],
+                conf:      confs.encode(group.conf),
+                collapsed: group.collapsed,
+                position:  group.proxy && {x: group.proxy.x, y: group.proxy.y},
+            })),
+            filters: {
+                cartesianFisheyeCenterHeight: this.cartesianFisheye.centerHeight,
+                polarFisheyeCenterHeight:     this.polarFisheye.centerHeight,
+                polarFisheyeRadius:           this.polarFisheye.radius,
+                sizeScalingMidpoint:          this.sizeScalingMidpoint,
+                sizeScalingSteepness:         this.sizeScalingSteepness,
+            },
+        };
+    }
+
+    /**
+     * Creates a view from a state captured by toJSON.
+     *
+     * @param {Object|String} json
+     * The state or its JSON string.
+     *
+     * @param {Object} [options]
+     * Additional options for the constructor, like liveBinding. They override
+     * the stored values.
+     *
+     * @return {GraphView}
+     * The restored view.
+     */
+    static fromJSON(json, options = {}) {
+        const state = typeof json === "string" ? JSON.parse(json) : json;
+
+        const graphObj = new Graph();
+        for (let {id, attributes} of state.graph.nodes) {
+            const nodeObj = new Node(id);
+            if (attributes !== undefined) {
+                nodeObj.attributes = confs.decode(attributes);
+            }
+            graphObj.addNodes(nodeObj);
+        }
+        for (let {id, sourceId, targetId, attributes} of state.graph.edges) {
+            const edgeObj = new Edge(sourceId, targetId, id);
+            if (attributes !== undefined) {
+                edgeObj.attributes = confs.decode(attributes);
+            }
+            graphObj.addEdges(edgeObj);
+        }
+
+        const layout = new Layout();
+        for (let [id, {x, y}] of state.positions) {
+            layout.moveNodeTo(graphObj.getNodeById(id), new Vec2(x, y));
+        }
+
+        const result = new GraphView(graphObj, Object.assign({
+            graphConf:        confs.decode(state.graphConf),
+            nodeConfs:        confs.decode(state.nodeConfs),
+            edgeConfs:        confs.decode(state.edgeConfs),
+            stylesheet:       state.stylesheet && state.stylesheet.map(({selector, conf}) => ({
+                selector,
+                conf: confs.decode(conf),
+            })),
+            renderMode:       state.renderMode,
+            multiEdgeSpacing: state.multiEdgeSpacing,
+            layout,
+        }, options));
+
+        result.stage.position.set(state.viewport.x, state.viewport.y);
+        result.stage.scale.set(state.viewport.scaleX, state.viewport.scaleY);
+        result.emitViewportChange();
+
+        result.selectNodes(new Set(state.selection.nodes));
+        result.selectEdges(new Set(state.selection.edges));
+
+        for (let id of state.hidden.nodes) {
+            result.getNodeDisplayObjectById(id).visible = false;
+        }
+        for (let id of state.hidden.edges) {
+            result.getEdgeDisplayObjectById(id).visible = false;
+        }
+
+        for (let {id, members, conf, collapsed, position} of state.groups || []) {
+            result.addGroup(id, members, confs.decode(conf));
+            if (collapsed) {
+                result.collapseGroup(id);
+                if (position) {
+                    result.getGroupProxyById(id).position.set(position.x, position.y);
+                    result.updateProxyEdges();
+                }
+            }
+        }
+
+        result.configureFilters(state.filters);
+
+        return result;
     }
 
     /**
@@ -775,18 +3362,184 @@ export default class GraphView {
     }
 
     /**
-     * Starts the render loop.
+     * Renders the graph to an offscreen image.
+     *
+     * @param {Object} [options]
+     * The options object.
+     *
+     * @param {String} [options.format]
+     * Either "png" or "jpeg".
+     *
+     * @param {Number} [options.quality]
+     * The quality of JPEG images between 0 and 1.
+     *
+     * @param {Number} [options.scale]
+     * The number of image pixels per pixel on the screen. Use 2 or more for
+     * high-DPI images.
+     *
+     * @param {String} [options.region]
+     * Use "viewport" to export the part of the graph that is visible right
+     * now or "all" to export the whole graph.
+     *
+     * @param {Number} [options.padding]
+     * The space around the graph if the region is "all".
+     *
+     * @param {Color} [options.background]
+     * The background color of the image. This defaults to the background
+     * color of the renderer. Set this to null for a transparent background,
+     * which is only supported by PNG images.
+     *
+     * @param {Boolean} [options.filters]
+     * Whether to apply the fisheye filters and the size scaling.
+     *
+     * @param {String} [options.output]
+     * Either "blob", "dataURL" or "canvas". The last one returns the canvas
+     * itself, which is useful in Node where canvases have no toBlob method.
+     *
+     * @param {Boolean} [options.legend]
+     * Whether to include the legend. It is put at its position relative to the
+     * exported region.
+     *
+     * @return {Promise<Blob|String|Canvas>}
+     * A promise that is resolved with the image.
+     */
+    exportImage({
+        format     = "png",
+        quality    = 0.92,
+        scale      = 1,
+        region     = "viewport",
+        padding    = 20,
+        background = undefined,
+        filters    = false,
+        output     = "blob",
+        legend     = true,
+    } = {}) {
+
+        // Measure and draw the nodes without size scaling
+        if (!filters) {
+            this.restoreScales();
+        }
+
+        let area = new PIXI.Rectangle(0, 0, this.getWidth(), this.getHeight());
+        if (region === "all") {
+            const bounds = this.stage.getLocalBounds();
+            area = new PIXI.Rectangle(
+                bounds.x      - padding,
+                bounds.y      - padding,
+                bounds.width  + 2 * padding,
+                bounds.height + 2 * padding
+            );
+        }
+        const width  = Math.max(1, Math.ceil(area.width  * scale));
+        const height = Math.max(1, Math.ceil(area.height * scale));
+
+        const matrix = new PIXI.Matrix();
+        if (region === "all") {
+            matrix.translate(-area.x, -area.y);
+        } else {
+            matrix.scale(this.stage.scale.x, this.stage.scale.y);
+            matrix.translate(this.stage.x, this.stage.y);
+        }
+        matrix.scale(scale, scale);
+
+        const stageFilters    = this.stage.filters;
+        const stageFilterArea = this.stage.filterArea;
+        if (filters) {
+            this.stage.filterArea = new PIXI.Rectangle(0, 0, width, height);
+        } else {
+            this.stage.filters = null;
+        }
+
+        const renderTexture = new PIXI.RenderTexture(this.renderer, width, height);
+        renderTexture.render(this.stage, matrix);
+
+        this.stage.filters    = stageFilters;
+        this.stage.filterArea = stageFilterArea;
+        this.requestRender();
+
+        const canvas  = document.createElement("canvas");
+        canvas.width  = width;
+        canvas.height = height;
+
+        const context = canvas.getContext("2d");
+        if (background !== null) {
+            const color = background || {hex: this.renderer.backgroundColor, alpha: 1};
+            context.globalAlpha = color.alpha;
+            context.fillStyle   = utils.hexToCSS(color.hex);
+            context.fillRect(0, 0, width, height);
+            context.globalAlpha = 1;
+        }
+        context.drawImage(renderTexture.getCanvas(), 0, 0);
+        renderTexture.destroy(true);
+
+        if (legend && this.legend && this.legend.visible) {
+            this.legend.place(width / scale, height / scale);
+
+            const legendMatrix = new PIXI.Matrix();
+            legendMatrix.translate(this.legend.x, this.legend.y);
+            legendMatrix.scale(scale, scale);
+
+            const legendTexture = new PIXI.RenderTexture(this.renderer, width, height);
+            legendTexture.render(this.legend, legendMatrix);
+            context.drawImage(legendTexture.getCanvas(), 0, 0);
+            legendTexture.destroy(true);
+        }
+
+        const mimeType = `image/${format}`;
+        if (output === "canvas") {
+            return Promise.resolve(canvas);
+        }
+        if (output === "dataURL") {
+            return Promise.resolve(canvas.toDataURL(mimeType, quality));
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+    }
+
+    /**
+     * Starts the render loop. In the "onDemand" render mode the stage is only
+     * drawn if something changed.
      */
     startRenderLoop() {
+        this.renderLoopActive = true;
+        this.dirty            = true;
         if (!this.renderRequestId) {
             this.animate();
         }
     }
 
+    /**
+     * Marks the stage as changed, so it is drawn in the next frame. GraphView
+     * and the predefined behaviors call this whenever they change the scene.
+     * Call this yourself if you change display objects directly, for instance
+     * in an event handler, and use the "onDemand" render mode. Behaviors can
+     * let the stage emit a "renderrequest" event instead.
+     */
+    requestRender() {
+        this.dirty = true;
+        if (this.renderLoopActive && !this.renderRequestId) {
+            this.renderRequestId = requestAnimationFrame(() => this.animate());
+        }
+    }
+
+    /**
+     * Checks if a filter that depends on the mouse position is active. The
+     * stage has to be drawn again whenever the mouse moves then.
+     *
+     * @return {Boolean}
+     * Whether a filter follows the mouse.
+     *
+     * @private
+     */
+    isFollowingMouse() {
+        return Boolean(this.stage.filters && this.stage.filters.length > 0) ||
+            this.sizeScalingSteepness !== 0;
+    }
+
     /**
      * Stops the render loop.
      */
     stopRenderLoop() {
+        this.renderLoopActive = false;
         if (this.renderRequestId) {
             cancelAnimationFrame(this.renderRequestId);
             this.renderRequestId = undefined;
@@ -928,9 +3681,8 @@ export default class GraphView {
             const decalDistortion = this.computeDistortion(decalG, mousePos.sub(edgePos), maximumDistance);
             this.distortScale(decalG, decalDistortion);
 
-            const edgeObj          = this.graph.getEdgeById(edgeG.earlId);
-            const sourceG          = this.getNodeDisplayObjectById(edgeObj.sourceId);
-            const targetG          = this.getNodeDisplayObjectById(edgeObj.targetId);
+            const sourceG          = this.getNodeDisplayObjectById(edgeG.sourceId);
+            const targetG          = this.getNodeDisplayObjectById(edgeG.targetId);
             const sourceDistortion = this.computeDistortion(sourceG, mousePos, maximumDistance);
             const targetDistortion = this.computeDistortion(targetG, mousePos, maximumDistance);
             edgeG.getLine().alpha = Math.max(
@@ -943,19 +3695,152 @@ export default class GraphView {
     }
 
     /**
-     * Repeatedly draws the stage.
+     * Repeatedly draws the stage. In the "onDemand" render mode, the stage is
+     * only drawn if it changed and the next frame is only requested while
+     * animations are running.
      *
      * @private
      */
     animate() {
-        this.cartesianFisheye.focus = this.getRelativeMousePosition();
-        this.polarFisheye.focus     = this.getRelativeMousePosition();
+        for (let animation of this.animations) {
+            if (!animation()) {
+                this.animations.delete(animation);
+            }
+        }
+
+        const continuous = this.renderMode === "continuous";
+        if (continuous || this.dirty) {
+            this.cartesianFisheye.focus = this.getRelativeMousePosition();
+            this.polarFisheye.focus     = this.getRelativeMousePosition();
+
+            if (this.sizeScalingSteepness !== 0) {
+                this.scaleDisplayObjects();
+            }
+
+            // The interaction manager hit-tests the last rendered object, so
+            // the stage is drawn after the legend
+            const clearBeforeRender = this.renderer.clearBeforeRender;
+            if (this.renderLegend()) {
+                this.renderer.clearBeforeRender = false;
+            }
+            this.renderer.render(this.stage);
+            this.renderer.clearBeforeRender = clearBeforeRender;
+            this.dirty = false;
+        }
+
+        if (continuous || this.animations.size > 0) {
+            this.renderRequestId = requestAnimationFrame(() => this.animate());
+        } else {
+            this.renderRequestId = undefined;
+        }
+    }
 
-        if (this.sizeScalingSteepness !== 0) {
-            this.scaleDisplayObjects();
+    /**
+     * Draws the legend, so the stage can be drawn over it without clearing
+     * the view.
+     *
+     * @return {Boolean}
+     * Whether the legend was drawn.
+     *
+     * @private
+     */
+    renderLegend() {
+        if (!this.legend || !this.legend.visible) {
+            return false;
         }
 
-        this.renderer.render(this.stage);
-        this.renderRequestId = requestAnimationFrame(() => this.animate());
+        this.legend.place(this.getWidth(), this.getHeight());
+        this.renderer.render(this.legend);
+        return true;
+    }
+}
+
+/**
+ * The methods of a graph that add or remove nodes or edges. Those are wrapped
+ * by GraphView#bindGraph.
+ *
+ * @type {Array<String>}
+ */
+const mutatingGraphMethods = ["addNodes", "addEdges", "removeNodes", "removeEdges"];
+
+/**
+ * Puts a display object in place of another one in the same container. The
+ * old display object is destroyed along with its textures.
+ *
+ * @param {DisplayObject} oldDisplayObject
+ * The display object to replace.
+ *
+ * @param {DisplayObject} newDisplayObject
+ * The display object to insert.
+ */
+function replaceDisplayObject(oldDisplayObject, newDisplayObject) {
+    const container = oldDisplayObject.parent;
+    container.addChildAt(newDisplayObject, container.getChildIndex(oldDisplayObject));
+    container.removeChild(oldDisplayObject);
+    oldDisplayObject.destroy(true, true);
+}
+
+/**
+ * Moves the color, width and dash of the linear line style to the line option
+ * that the curved line styles use instead. Values that are already set in the
+ * line option take precedence.
+ *
+ * @param {Object} conf
+ * The configuration of an edge visualizer.
+ *
+ * @return {Object}
+ * The adjusted configuration.
+ */
+function moveLinearLineConf(conf) {
+    const keys     = ["color", "width", "dash"];
+    const lineConf = _.get(["lineStyle", "conf"], conf);
+    const line     = _.pick(keys, lineConf);
+    if (_.isEmpty(line)) {
+        return conf;
+    }
+
+    return _.set(["lineStyle", "conf"], utils.adjustConf({line}, _.omit(keys, lineConf)), conf);
+}
+
+/**
+ * Computes the key under which the edges between two nodes are stored. It does
+ * not depend on the direction.
+ *
+ * @param {String} sourceId
+ * The ID of one node.
+ *
+ * @param {String} targetId
+ * The ID of the other node.
+ *
+ * @return {String}
+ * The key.
+ */
+function getBundleKey(sourceId, targetId) {
+    return JSON.stringify(sourceId < targetId ? [sourceId, targetId] : [targetId, sourceId]);
+}
+
+/**
+ * Combines the current selection with the IDs inside a selected region.
+ *
+ * @param {Set<String>} current
+ * The IDs that are currently selected.
+ *
+ * @param {Set<String>} region
+ * The IDs inside the region.
+ *
+ * @param {String} operation
+ * Either "replace", "add" or "subtract".
+ *
+ * @return {Set<String>}
+ * The IDs to select.
+ */
+function combineSelections(current, region, operation) {
+    switch (operation) {
+    case "add":
+        return new Set([...current, ...region]);
+    case "subtract":
+        return new Set([...current].filter(id => !region.has(id)));
+    default:
+        return region;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,548 @@
+import _ from "lodash";
+
+import {Vec2}                    from "@ignavia/ella";
+import {Color, predefinedColors} from "@ignavia/util";
+
+import {nodeVisualizer}         from "./node/node.js";
+import {makeSVG as makeNodeSVG} from "./node/visualizer.js";
+import {edgeVisualizer}         from "./edge/edge.js";
+
+import * as utils   from "./utils.js";
+import * as mappers from "./mappers.js";
+import * as svg     from "./io/svg.js";
+
+/**
+ * The default configuration of a legend.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * Where to put the legend. Use "topLeft", "topRight", "bottomLeft" or
+     * "bottomRight" to put it into a corner of the view or an object with an
+     * x- and a y-coordinate for the position of its top left corner.
+     *
+     * @type {String|Object}
+     */
+    position: "topRight",
+
+    /**
+     * The distance to the edges of the view if the legend is in a corner.
+     *
+     * @type {Number}
+     */
+    margin: 10,
+
+    /**
+     * The space between the border and the entries.
+     *
+     * @type {Number}
+     */
+    padding: 10,
+
+    /**
+     * The background color of the legend.
+     *
+     * @type {Color}
+     */
+    backgroundColor: new Color(255, 255, 255, 0.9),
+
+    /**
+     * The border around the legend.
+     *
+     * @type {Object}
+     */
+    border: {
+
+        /**
+         * The color of the border.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.lightGray,
+
+        /**
+         * The radius of the corners.
+         *
+         * @type {Number}
+         */
+        radius: 4,
+
+        /**
+         * The line-width of the border.
+         *
+         * @type {Number}
+         */
+        width: 1
+    },
+
+    /**
+     * The size of the square node glyphs are scaled down to.
+     *
+     * @type {Number}
+     */
+    glyphSize: 20,
+
+    /**
+     * The length of the edge samples.
+     *
+     * @type {Number}
+     */
+    edgeLength: 40,
+
+    /**
+     * The gap between two entries and between a sample and its label.
+     *
+     * @type {Number}
+     */
+    gap: 6,
+
+    /**
+     * The heading of the legend. Leave this empty to omit it.
+     *
+     * @type {String}
+     */
+    title: "",
+
+    /**
+     * How the labels look. Check the documentation of utils.makeText for the
+     * structure of this object.
+     *
+     * @type {Object}
+     */
+    text: {
+        align:      "left",
+        dropShadow: {
+            angle:    Math.PI / 4,
+            color:    predefinedColors.gray,
+            distance: 0
+        },
+        fillColor: predefinedColors.black,
+        font: {
+            family: "Arial",
+            size:   12,
+            style:  "normal",
+            weight: "normal"
+        },
+        stroke: {
+            color:     predefinedColors.white,
+            thickness: 0
+        },
+        wordWrapWidth: 0
+    }
+};
+
+/**
+ * A list of sample node glyphs and edges with labels that explains what the
+ * styles of a graph mean.
+ *
+ * Each entry has a label and either the configuration of a node visualizer as
+ * node or the configuration of an edge visualizer as edge. Entries with only a
+ * label are drawn as headings. Use entriesFromMappings and entriesFromConfs to
+ * create them.
+ *
+ * Pass the legend to GraphView#setLegend to show it. It is drawn behind the
+ * stage and is neither panned nor zoomed. A legend fires a "change" event
+ * whenever it has to be drawn again.
+ */
+export default class Legend extends PIXI.Container {
+
+    /**
+     * @param {Array<Object>} [entries]
+     * The entries to show.
+     *
+     * @param {Object} [conf]
+     * Check the documentation of the default configuration for the structure
+     * of this object.
+     */
+    constructor(entries = [], conf = {}) {
+        super();
+
+        /**
+         * The configuration of the legend.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.conf = utils.adjustConf(defaultConf, conf);
+
+        /**
+         * The entries to show.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this.entries = entries;
+
+        /**
+         * The drawn parts of the legend. Each of them has a kind ("background",
+         * "text", "node" or "edge"), a displayObject and for nodes a conf.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this.items = [];
+
+        /**
+         * The width of the legend.
+         *
+         * @type {Number}
+         * @private
+         */
+        this.legendWidth = 0;
+
+        /**
+         * The height of the legend.
+         *
+         * @type {Number}
+         * @private
+         */
+        this.legendHeight = 0;
+
+        this.draw();
+    }
+
+    /**
+     * Replaces the entries.
+     *
+     * @param {Array<Object>} entries
+     * The new entries.
+     */
+    setEntries(entries) {
+        this.entries = entries;
+        this.draw();
+        this.emit("change");
+    }
+
+    /**
+     * Returns the entries.
+     *
+     * @return {Array<Object>}
+     * The entries.
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Moves the legend.
+     *
+     * @param {String|Object} position
+     * A corner or the position of the top left corner. Check the documentation
+     * of the default configuration for details.
+     */
+    setPosition(position) {
+        this.conf.position = position;
+        this.emit("change");
+    }
+
+    /**
+     * Moves the legend to its position in a view of the given size.
+     *
+     * @param {Number} width
+     * The width of the view.
+     *
+     * @param {Number} height
+     * The height of the view.
+     */
+    place(width, height) {
+        const {position, margin} = this.conf;
+        if (typeof position === "object") {
+            this.x = position.x;
+            this.y = position.y;
+            return;
+        }
+
+        this.x = position.endsWith("Right")    ? width  - margin - this.legendWidth  : margin;
+        this.y = position.startsWith("bottom") ? height - margin - this.legendHeight : margin;
+    }
+
+    /**
+     * Creates the SVG markup of the legend at its current position.
+     *
+     * @return {String}
+     * The SVG markup.
+     */
+    toSVG() {
+        const content = this.items.map(({kind, displayObject, conf}) => {
+            switch (kind) {
+            case "node":
+                return svg.makeGroup(
+                    svg.makeTransform(displayObject),
+                    makeNodeSVG(conf, displayObject),
+                    displayObject.alpha
+                );
+            case "edge":
+                return displayObject.toSVG();
+            default:
+                return svg.fromDisplayObject(displayObject);
+            }
+        }).join("");
+
+        return svg.makeGroup(svg.makeTransform(this), content, this.alpha);
+    }
+
+    /**
+     * Creates the display objects of the entries.
+     *
+     * @private
+     */
+    draw() {
+        this.removeChildren();
+        for (let {displayObject} of this.items) {
+            displayObject.destroy(true);
+        }
+        this.items = [];
+
+        const {padding, glyphSize, edgeLength, gap} = this.conf;
+        const hasEdges     = this.entries.some(entry => entry.edge);
+        const sampleWidth  = hasEdges ? Math.max(glyphSize, edgeLength) : glyphSize;
+        const labelX       = padding + sampleWidth + gap;
+
+        let width = 0;
+        let y     = padding;
+
+        const addText = (s, x, style = this.conf.text) => {
+            const text = utils.makeText(style, s);
+            this.items.push({kind: "text", displayObject: text});
+            text.x = x;
+            width  = Math.max(width, x + text.width);
+            return text;
+        };
+
+        if (this.conf.title) {
+            const titleStyle = utils.adjustConf(this.conf.text, {font: {weight: "bold"}});
+            const title      = addText(this.conf.title, padding, titleStyle);
+            title.y = y;
+            y += title.height + gap;
+        }
+
+        for (let entry of this.entries) {
+            if (!entry.node && !entry.edge) {
+                const heading = addText(entry.label, padding);
+                heading.y = y;
+                y += heading.height + gap;
+                continue;
+            }
+
+            const sample = entry.node ?
+                this.makeNodeSample(entry.node) :
+                this.makeEdgeSample(entry.edge);
+            const label  = addText(entry.label, labelX);
+
+            const rowHeight = Math.max(sample.height, label.height);
+            sample.y += y + rowHeight / 2;
+            sample.x += padding + (entry.node ? sampleWidth / 2 : (sampleWidth - edgeLength) / 2);
+            label.y   = y + (rowHeight - label.height) / 2;
+
+            y += rowHeight + gap;
+        }
+
+        this.legendWidth  = width + padding;
+        this.legendHeight = this.entries.length > 0 || this.conf.title ? y - gap + padding : 2 * padding;
+
+        const background = utils.makeRoundedRect(
+            this.conf,
+            this.legendWidth,
+            this.legendHeight,
+            this.conf.border.radius
+        );
+        background.x = this.legendWidth  / 2;
+        background.y = this.legendHeight / 2;
+        this.items.unshift({kind: "background", displayObject: background});
+
+        for (let {displayObject} of this.items) {
+            this.addChild(displayObject);
+        }
+    }
+
+    /**
+     * Creates a node glyph that fits into the glyph size. It is centered
+     * around the origin.
+     *
+     * @param {Object} conf
+     * The configuration of the node visualizer.
+     *
+     * @return {DisplayObject}
+     * The glyph.
+     *
+     * @private
+     */
+    makeNodeSample(conf) {
+        const glyph = nodeVisualizer(conf);
+        glyph.x = 0;
+        glyph.y = 0;
+
+        const size   = Math.max(glyph.width, glyph.height);
+        const factor = size > this.conf.glyphSize ? this.conf.glyphSize / size : 1;
+        glyph.scale.x *= factor;
+        glyph.scale.y *= factor;
+
+        this.items.push({kind: "node", displayObject: glyph, conf});
+        return glyph;
+    }
+
+    /**
+     * Creates a horizontal edge that starts at the origin.
+     *
+     * @param {Object} conf
+     * The configuration of the edge visualizer.
+     *
+     * @return {DisplayObject}
+     * The edge.
+     *
+     * @private
+     */
+    makeEdgeSample(conf) {
+        const edge = edgeVisualizer(new Vec2(0, 0), new Vec2(this.conf.edgeLength, 0), conf);
+        this.items.push({kind: "edge", displayObject: edge});
+        return edge;
+    }
+}
+
+/**
+ * Creates legend entries that explain mappings created for mappers.mapNodes
+ * or mappers.mapEdges. Every mapping gets a heading with its label or the
+ * name of its attribute, followed by one entry per category or by samples
+ * from the domain of its scale. Mappings with a custom scale function only get
+ * the heading.
+ *
+ * @param {Graph} graphObj
+ * The graph the mappings are applied to. Domains and categories are computed
+ * from its elements like in mapNodes and mapEdges.
+ *
+ * @param {Object} mappings
+ * Maps from visual properties to mappings. A mapping can have a label for the
+ * heading.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.group]
+ * Either "node" or "edge".
+ *
+ * @param {String} [options.type]
+ * The name of the node style or line style. It defaults to "simple" for nodes
+ * and to "linear" for edges.
+ *
+ * @param {Object} [options.conf]
+ * The configuration of the visualizer the mapped values are merged into.
+ *
+ * @param {Number} [options.samples]
+ * How many values to show for numeric mappings.
+ *
+ * @return {Array<Object>}
+ * The entries.
+ */
+export function entriesFromMappings(graphObj, mappings, {
+        group   = "node",
+        type    = group === "node" ? "simple" : "linear",
+        conf    = {},
+        samples = 3,
+    } = {}) {
+    const elements = [...(group === "node" ? graphObj.iterNodes() : graphObj.iterEdges())];
+
+    const result = [];
+    for (let [property, mapping] of Object.entries(mappings)) {
+        const mapper = mappers.makeAttributeMapper(mapping, elements);
+        elements.forEach(mapper);
+
+        result.push({
+            label: mapping.label || (typeof mapping.attribute === "string" ? mapping.attribute : property),
+        });
+
+        for (let {label, value} of describeScale(mapper.scale, samples)) {
+            result.push({
+                label,
+                [group]: utils.adjustConf(conf, mappers.makeConf(group, type, {[property]: value})),
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Creates one legend entry for each distinct configuration.
+ *
+ * @param {Map<String, Object>} confs
+ * Maps from IDs to the configurations of the visualizers, for example the
+ * result of GraphView#getVisualizerConfs.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.group]
+ * Either "node" or "edge".
+ *
+ * @param {Function} [options.label]
+ * Gets a configuration and the IDs of the elements that use it and returns the
+ * label. By default up to three of the IDs are listed.
+ *
+ * @return {Array<Object>}
+ * The entries.
+ */
+export function entriesFromConfs(confs, {group = "node", label = listIds} = {}) {
+    const distinct = [];
+    for (let [id, conf] of confs) {
+        const existing = distinct.find(candidate => _.isEqual(candidate.conf, conf));
+        if (existing) {
+            existing.ids.push(id);
+        } else {
+            distinct.push({conf, ids: [id]});
+        }
+    }
+
+    return distinct.map(({conf, ids}) => ({
+        label:   label(conf, ids),
+        [group]: conf,
+    }));
+}
+
+/**
+ * Lists up to three IDs.
+ *
+ * @param {Object} conf
+ * The configuration. It is ignored.
+ *
+ * @param {Array<String>} ids
+ * The IDs to list.
+ *
+ * @return {String}
+ * The label.
+ *
+ * @ignore
+ */
+function listIds(conf, ids) {
+    return ids.length > 3 ? `${ids.slice(0, 3).join(", ")}, …` : ids.join(", ");
+}
+
+/**
+ * Lists the values a scale can produce together with labels.
+ *
+ * @param {Function} scale
+ * A scale created by mappers.makeScale or mappers.makeOrdinal.
+ *
+ * @param {Number} samples
+ * How many values to pick from the domain of numeric scales.
+ *
+ * @return {Array<Object>}
+ * Objects with a label and a value.
+ *
+ * @ignore
+ */
+function describeScale(scale, samples) {
+    if (scale.categories) {
+        return [...scale.categories].map(([category, value]) => ({
+            label: String(category),
+            value,
+        }));
+    }
+    if (scale.domain) {
+        return mappers.sampleDomain(scale, samples).map(x => ({
+            label: String(Number(x.toPrecision(3))),
+            value: scale(x),
+        }));
+    }
+    return [];
+}
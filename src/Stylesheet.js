@@ -0,0 +1,694 @@
+import * as utils from "./utils.js";
+
+/**
+ * The operators that can be used in attribute selectors. The longer ones come
+ * first, so they are tried before their prefixes.
+ *
+ * @type {Array<String>}
+ * @ignore
+ */
+const operators = ["!=", ">=", "<=", "^=", "$=", "*=", "=", ">", "<"];
+
+/**
+ * The pseudo-classes that describe the state of an element.
+ *
+ * @type {Set<String>}
+ * @ignore
+ */
+const statePseudoClasses = new Set(["selected", "hover"]);
+
+/**
+ * The pseudo-classes that take a selector for the source or target of an edge.
+ *
+ * @type {Set<String>}
+ * @ignore
+ */
+const endpointPseudoClasses = new Set(["source", "target"]);
+
+/**
+ * The attributes of nodes that are computed from the graph.
+ *
+ * @type {Set<String>}
+ * @ignore
+ */
+const degreeAttributes = new Set(["degree", "indegree", "outdegree"]);
+
+/**
+ * A list of rules that assign visualizer configurations to nodes and edges
+ * with CSS-like selectors. This way a single rule can style thousands of
+ * elements instead of a configuration per ID.
+ *
+ * A selector consists of an optional type ("node", "edge" or "*") followed by
+ * any number of these conditions:
+ *
+ * - "#id" matches the element with the given ID. Quote IDs with special
+ *   characters like #"a b".
+ * - "[name]" matches elements that have the attribute.
+ * - "[name op value]" compares the attribute with the value. The operators are
+ *   =, !=, >, >=, <, <=, ^= (starts with), $= (ends with) and *= (contains).
+ *   Values are numbers, true, false or strings, which can be quoted.
+ *   Attributes are read with utils.getAttribute, so paths like "meta.weight"
+ *   work. For nodes, "degree", "indegree" and "outdegree" are computed.
+ * - ":selected" and ":hover" match elements in this state.
+ * - ":source(selector)" and ":target(selector)" match edges whose source or
+ *   target node matches the given selector.
+ *
+ * Several selectors can be separated by commas. Examples are
+ * "node[degree >= 5]", "edge:source(#hub)" and "node:selected, edge:selected".
+ *
+ * The configurations of all matching rules are merged with utils.adjustConf.
+ * Rules with a higher specificity win over rules with a lower one. The
+ * specificity counts IDs first, then attributes and pseudo-classes and then
+ * types, like in CSS. Between rules with the same specificity the later one
+ * wins.
+ *
+ * A stylesheet is an event emitter. It fires a "change" event whenever its
+ * rules change, so views using it can restyle their elements.
+ */
+export default class Stylesheet extends PIXI.utils.EventEmitter {
+
+    /**
+     * @param {Array<Object>} [rules]
+     * The initial rules. Each of them needs a selector string and the
+     * configuration to apply as conf.
+     */
+    constructor(rules = []) {
+        super();
+
+        /**
+         * The rules in the order they were added.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this.rules = rules.map(({selector, conf}) => makeRule(selector, conf));
+    }
+
+    /**
+     * Adds a rule after all other rules.
+     *
+     * @param {String} selector
+     * Which elements the rule applies to.
+     *
+     * @param {Object} conf
+     * The configuration to apply to the matching elements.
+     *
+     * @return {Object}
+     * The created rule. Pass it to updateRule or removeRule to change it later.
+     */
+    addRule(selector, conf) {
+        const rule = makeRule(selector, conf);
+        this.rules.push(rule);
+        this.emit("change");
+        return rule;
+    }
+
+    /**
+     * Replaces the configuration of the given rule.
+     *
+     * @param {Object} rule
+     * The rule returned by addRule or getRules.
+     *
+     * @param {Object} conf
+     * The new configuration.
+     */
+    updateRule(rule, conf) {
+        if (!this.rules.includes(rule)) {
+            return;
+        }
+
+        rule.conf = conf;
+        this.emit("change");
+    }
+
+    /**
+     * Removes the given rule.
+     *
+     * @param {Object} rule
+     * The rule returned by addRule or getRules.
+     */
+    removeRule(rule) {
+        const index = this.rules.indexOf(rule);
+        if (index < 0) {
+            return;
+        }
+
+        this.rules.splice(index, 1);
+        this.emit("change");
+    }
+
+    /**
+     * Replaces all rules.
+     *
+     * @param {Array<Object>} rules
+     * The new rules. Each of them needs a selector string and the
+     * configuration to apply as conf.
+     */
+    setRules(rules) {
+        this.rules = rules.map(({selector, conf}) => makeRule(selector, conf));
+        this.emit("change");
+    }
+
+    /**
+     * Returns the rules in the order they were added. Each of them has a
+     * selector and a conf property.
+     *
+     * @return {Array<Object>}
+     * The rules.
+     */
+    getRules() {
+        return [...this.rules];
+    }
+
+    /**
+     * Tests whether any selector depends on the given state.
+     *
+     * @param {String} state
+     * Either "selected" or "hover".
+     *
+     * @return {Boolean}
+     * Whether the state is used.
+     */
+    usesState(state) {
+        return this.rules.some(rule => rule.states.has(state));
+    }
+
+    /**
+     * Merges the configurations of all rules matching the given element.
+     *
+     * @param {Object} element
+     * Describes the element. It has the properties group ("node" or "edge"),
+     * id, object (the earl node or edge), selected and hovered. Nodes also
+     * have degree, indegree and outdegree, edges have source and target, which
+     * describe their incident nodes.
+     *
+     * @return {Object}
+     * The merged configuration or undefined if no rule matches.
+     */
+    computeConf(element) {
+        const matches = [];
+        this.rules.forEach((rule, index) => {
+            const specificity = matchSelectorList(rule.alternatives, element);
+            if (specificity) {
+                matches.push({rule, index, specificity});
+            }
+        });
+
+        if (matches.length === 0) {
+            return undefined;
+        }
+
+        matches.sort((a, b) => compareSpecificities(a.specificity, b.specificity) || a.index - b.index);
+        return matches.reduce((conf, {rule}) => utils.adjustConf(conf, rule.conf), {});
+    }
+}
+
+/**
+ * Parses the selector and creates a rule.
+ *
+ * @param {String} selector
+ * The selector of the rule.
+ *
+ * @param {Object} conf
+ * The configuration of the rule.
+ *
+ * @return {Object}
+ * The rule.
+ *
+ * @ignore
+ */
+function makeRule(selector, conf) {
+    const parser       = new SelectorParser(selector);
+    const alternatives = parser.parseSelectorList();
+    parser.expectEnd();
+
+    return {selector, conf, alternatives, states: parser.states};
+}
+
+/**
+ * Parses selectors into lists of compound selectors.
+ *
+ * @ignore
+ */
+class SelectorParser {
+
+    /**
+     * @param {String} source
+     * The selector to parse.
+     */
+    constructor(source) {
+
+        /**
+         * The selector to parse.
+         *
+         * @type {String}
+         */
+        this.source = source;
+
+        /**
+         * The index of the next character to read.
+         *
+         * @type {Number}
+         */
+        this.pos = 0;
+
+        /**
+         * The state pseudo-classes used by the selector.
+         *
+         * @type {Set<String>}
+         */
+        this.states = new Set();
+    }
+
+    /**
+     * Parses compound selectors separated by commas.
+     *
+     * @return {Array<Object>}
+     * The compound selectors.
+     */
+    parseSelectorList() {
+        const result = [this.parseCompound()];
+        while (this.skip(",")) {
+            result.push(this.parseCompound());
+        }
+        return result;
+    }
+
+    /**
+     * Parses a type followed by conditions.
+     *
+     * @return {Object}
+     * The compound selector.
+     */
+    parseCompound() {
+        this.skipWhitespace();
+
+        const result = {
+            type:       "*",
+            ids:        [],
+            attributes: [],
+            states:     [],
+            endpoints:  [],
+        };
+
+        let empty = true;
+        if (this.skip("*")) {
+            empty = false;
+        } else if (/[A-Za-z]/.test(this.peek())) {
+            result.type = this.readIdentifier();
+            if (result.type !== "node" && result.type !== "edge") {
+                this.fail(`Unknown type "${result.type}"`);
+            }
+            empty = false;
+        }
+
+        for (;;) {
+            if (this.skip("#")) {
+                result.ids.push(this.peek() === '"' || this.peek() === "'" ?
+                    this.readString() :
+                    this.readIdentifier());
+            } else if (this.skip("[")) {
+                result.attributes.push(this.parseAttribute());
+            } else if (this.skip(":")) {
+                this.parsePseudoClass(result);
+            } else {
+                break;
+            }
+            empty = false;
+        }
+
+        if (empty) {
+            this.fail("Expected a selector");
+        }
+
+        this.skipWhitespace();
+        return result;
+    }
+
+    /**
+     * Parses the inside of an attribute selector. The opening bracket was
+     * already read.
+     *
+     * @return {Object}
+     * The attribute condition.
+     */
+    parseAttribute() {
+        this.skipWhitespace();
+        const name = this.peek() === '"' || this.peek() === "'" ?
+            this.readString() :
+            this.readMatch(/[\w.$-]+/y, "an attribute name");
+        this.skipWhitespace();
+
+        if (this.skip("]")) {
+            return {name, operator: undefined, value: undefined};
+        }
+
+        const operator = operators.find(op => this.source.startsWith(op, this.pos));
+        if (!operator) {
+            this.fail("Expected an operator");
+        }
+        this.pos += operator.length;
+        this.skipWhitespace();
+
+        const value = this.parseValue();
+        this.skipWhitespace();
+        this.expect("]");
+
+        return {name, operator, value};
+    }
+
+    /**
+     * Parses the value of an attribute condition.
+     *
+     * @return {String|Number|Boolean}
+     * The value.
+     */
+    parseValue() {
+        if (this.peek() === '"' || this.peek() === "'") {
+            return this.readString();
+        }
+
+        const word = this.readMatch(/[^\s\]]+/y, "a value");
+        if (word === "true" || word === "false") {
+            return word === "true";
+        }
+        if (word.trim() !== "" && !isNaN(Number(word))) {
+            return Number(word);
+        }
+        return word;
+    }
+
+    /**
+     * Parses a pseudo-class. The colon was already read.
+     *
+     * @param {Object} compound
+     * The compound selector to add the condition to.
+     */
+    parsePseudoClass(compound) {
+        const name = this.readIdentifier();
+
+        if (statePseudoClasses.has(name)) {
+            compound.states.push(name);
+            this.states.add(name);
+        } else if (endpointPseudoClasses.has(name)) {
+            this.expect("(");
+            compound.endpoints.push({name, alternatives: this.parseSelectorList()});
+            this.expect(")");
+        } else {
+            this.fail(`Unknown pseudo-class ":${name}"`);
+        }
+    }
+
+    /**
+     * Reads a string in single or double quotes. Backslashes escape the next
+     * character.
+     *
+     * @return {String}
+     * The content of the string.
+     */
+    readString() {
+        const quote = this.source[this.pos++];
+        let result  = "";
+        while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+            if (this.source[this.pos] === "\\") {
+                this.pos++;
+            }
+            result += this.source[this.pos++];
+        }
+        this.expect(quote);
+        return result;
+    }
+
+    /**
+     * Reads an identifier.
+     *
+     * @return {String}
+     * The identifier.
+     */
+    readIdentifier() {
+        return this.readMatch(/[\w-]+/y, "an identifier");
+    }
+
+    /**
+     * Reads the text matched by the given sticky pattern at the current
+     * position.
+     *
+     * @param {RegExp} pattern
+     * The pattern to match.
+     *
+     * @param {String} description
+     * Describes what was expected for the error message.
+     *
+     * @return {String}
+     * The matched text.
+     */
+    readMatch(pattern, description) {
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.source);
+        if (!match) {
+            this.fail(`Expected ${description}`);
+        }
+        this.pos += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Returns the next character without reading it.
+     *
+     * @return {String}
+     * The next character or an empty string at the end.
+     */
+    peek() {
+        return this.source.charAt(this.pos);
+    }
+
+    /**
+     * Reads the given string if it comes next, ignoring leading whitespace.
+     *
+     * @param {String} s
+     * The string to read.
+     *
+     * @return {Boolean}
+     * Whether the string was read.
+     */
+    skip(s) {
+        const start = this.pos;
+        this.skipWhitespace();
+        if (this.source.startsWith(s, this.pos)) {
+            this.pos += s.length;
+            return true;
+        }
+        this.pos = start;
+        return false;
+    }
+
+    /**
+     * Reads the given string or throws an error if it does not come next.
+     *
+     * @param {String} s
+     * The string to read.
+     */
+    expect(s) {
+        if (!this.skip(s)) {
+            this.fail(`Expected "${s}"`);
+        }
+    }
+
+    /**
+     * Throws an error if there are characters left.
+     */
+    expectEnd() {
+        this.skipWhitespace();
+        if (this.pos < this.source.length) {
+            this.fail("Unexpected character");
+        }
+    }
+
+    /**
+     * Skips whitespace.
+     */
+    skipWhitespace() {
+        while (/\s/.test(this.peek())) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Throws an error that points to the current position.
+     *
+     * @param {String} message
+     * Describes the problem.
+     */
+    fail(message) {
+        throw new SyntaxError(`${message} at position ${this.pos} of selector "${this.source}"`);
+    }
+}
+
+/**
+ * Matches the element against a list of compound selectors.
+ *
+ * @param {Array<Object>} alternatives
+ * The compound selectors.
+ *
+ * @param {Object} element
+ * The element to test.
+ *
+ * @return {Array<Number>}
+ * The highest specificity of the matching compound selectors or undefined if
+ * none matches.
+ *
+ * @ignore
+ */
+function matchSelectorList(alternatives, element) {
+    let result = undefined;
+    for (let compound of alternatives) {
+        const specificity = matchCompound(compound, element);
+        if (specificity && (!result || compareSpecificities(specificity, result) > 0)) {
+            result = specificity;
+        }
+    }
+    return result;
+}
+
+/**
+ * Matches the element against a compound selector.
+ *
+ * @param {Object} compound
+ * The compound selector.
+ *
+ * @param {Object} element
+ * The element to test.
+ *
+ * @return {Array<Number>}
+ * The specificity of the selector or undefined if it does not match.
+ *
+ * @ignore
+ */
+function matchCompound(compound, element) {
+    if (compound.type !== "*" && compound.type !== element.group) {
+        return undefined;
+    }
+    if (!compound.ids.every(id => id === String(element.id))) {
+        return undefined;
+    }
+    if (!compound.attributes.every(condition => matchAttribute(condition, element))) {
+        return undefined;
+    }
+    if (!compound.states.every(state => state === "selected" ? element.selected : element.hovered)) {
+        return undefined;
+    }
+
+    const specificity = [
+        compound.ids.length,
+        compound.attributes.length + compound.states.length + compound.endpoints.length,
+        compound.type === "*" ? 0 : 1,
+    ];
+
+    for (let {name, alternatives} of compound.endpoints) {
+        const node = element.group === "edge" ? element[name] : undefined;
+        const nodeSpecificity = node && matchSelectorList(alternatives, node);
+        if (!nodeSpecificity) {
+            return undefined;
+        }
+        nodeSpecificity.forEach((n, i) => specificity[i] += n);
+    }
+
+    return specificity;
+}
+
+/**
+ * Tests an attribute condition.
+ *
+ * @param {Object} condition
+ * The condition with a name, an operator and a value.
+ *
+ * @param {Object} element
+ * The element to test.
+ *
+ * @return {Boolean}
+ * Whether the condition holds.
+ *
+ * @ignore
+ */
+function matchAttribute({name, operator, value}, element) {
+    const actual = element.group === "node" && degreeAttributes.has(name) ?
+        element[name] :
+        utils.getAttribute(name, element.object);
+
+    switch (operator) {
+    case undefined:
+        return actual !== undefined;
+    case "=":
+        return isEqual(actual, value);
+    case "!=":
+        return !isEqual(actual, value);
+    case ">":
+        return actual !== undefined && Number(actual) > value;
+    case ">=":
+        return actual !== undefined && Number(actual) >= value;
+    case "<":
+        return actual !== undefined && Number(actual) < value;
+    case "<=":
+        return actual !== undefined && Number(actual) <= value;
+    case "^=":
+        return actual !== undefined && String(actual).startsWith(String(value));
+    case "$=":
+        return actual !== undefined && String(actual).endsWith(String(value));
+    case "*=":
+        return actual !== undefined && String(actual).includes(String(value));
+    default:
+        return false;
+    }
+}
+
+/**
+ * Compares an attribute value with the value of a condition. Numbers are
+ * compared numerically, booleans strictly and everything else as strings.
+ *
+ * @param {*} actual
+ * The value of the attribute.
+ *
+ * @param {String|Number|Boolean} expected
+ * The value of the condition.
+ *
+ * @return {Boolean}
+ * Whether the values are equal.
+ *
+ * @ignore
+ */
+function isEqual(actual, expected) {
+    if (actual === undefined) {
+        return false;
+    }
+    if (typeof expected === "number") {
+        return Number(actual) === expected;
+    }
+    if (typeof expected === "boolean") {
+        return actual === expected;
+    }
+    return String(actual) === expected;
+}
+
+/**
+ * Compares two specificities.
+ *
+ * @param {Array<Number>} a
+ * The first specificity.
+ *
+ * @param {Array<Number>} b
+ * The second specificity.
+ *
+ * @return {Number}
+ * A negative number if a is lower, a positive one if it is higher and 0 if they
+ * are equal.
+ *
+ * @ignore
+ */
+function compareSpecificities(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return 0;
+}
@@ -1,6 +1,16 @@
-export GraphView  from "./GraphView.js";
-export *          from "./graph/graph.js";
-export *          from "./node/node.js";
-export *          from "./edge/edge.js";
-export registry   from "./registry.js";
-export * as utils from "./utils.js";
+export GraphView    from "./GraphView.js";
+export Stylesheet   from "./Stylesheet.js";
+export Legend       from "./Legend.js";
+export {entriesFromMappings, entriesFromConfs} from "./Legend.js";
+export *            from "./graph/graph.js";
+export *            from "./node/node.js";
+export *            from "./edge/edge.js";
+export *            from "./group/group.js";
+export *            from "./layouts/layouts.js";
+export registry     from "./registry.js";
+export * as utils   from "./utils.js";
+export * as easings from "./easings.js";
+export * as mappers from "./mappers.js";
+export * as svg     from "./io/svg.js";
+export * as graphml from "./io/graphml.js";
+export * as dot     from "./io/dot.js";
@@ -0,0 +1,93 @@
+/**
+ * Does not ease at all.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function linear(t) {
+    return t;
+}
+
+/**
+ * Starts slowly and accelerates.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeInQuad(t) {
+    return t * t;
+}
+
+/**
+ * Starts fast and decelerates.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeOutQuad(t) {
+    return t * (2 - t);
+}
+
+/**
+ * Accelerates until halfway and decelerates afterwards.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeInOutQuad(t) {
+    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+}
+
+/**
+ * Starts slowly and accelerates. The effect is stronger than with the
+ * quadratic version.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeInCubic(t) {
+    return t * t * t;
+}
+
+/**
+ * Starts fast and decelerates. The effect is stronger than with the quadratic
+ * version.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeOutCubic(t) {
+    return (t - 1) * (t - 1) * (t - 1) + 1;
+}
+
+/**
+ * Accelerates until halfway and decelerates afterwards. The effect is stronger
+ * than with the quadratic version.
+ *
+ * @param {Number} t
+ * The progress of the animation between 0 and 1.
+ *
+ * @return {Number}
+ * The eased progress.
+ */
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+}
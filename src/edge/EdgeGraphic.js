@@ -1,3 +1,7 @@
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as svg   from "../io/svg.js";
+
 /**
  * Bundles arrow, decal and line sprite into a single display object.
  */
@@ -10,12 +14,31 @@ export default class EdgeGraphic extends PIXI.Container {
      * @param {DisplayObject} decal
      * The decal sprite.
      *
-     * @param {DisplayObject} line
-     * The line sprite.
+     * @param {Object} conf
+     * The complete configuration of the edge visualizer. It is used to draw
+     * the line whenever the endpoints change.
+     *
+     * @param {Vec2} sourcePos
+     * The position of the source node.
+     *
+     * @param {Vec2} targetPos
+     * The position of the target node.
+     *
+     * @param {Object} [nodes]
+     * The display objects of the source and target node as source and target.
+     * If they are given, the line ends at their boundaries.
      */
-    constructor(arrow, decal, line) {
+    constructor(arrow, decal, conf, sourcePos, targetPos, nodes = {}) {
         super();
 
+        /**
+         * The configuration of the edge visualizer.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.conf = conf;
+
         /**
          * The arrow sprite.
          *
@@ -33,17 +56,163 @@ export default class EdgeGraphic extends PIXI.Container {
         this.decal = decal;
 
         /**
-         * The line sprite.
+         * The line. It is a graphics object that is redrawn whenever the
+         * endpoints change, unless the line style can only create sprites.
          *
          * @type {DisplayObject}
          * @private
          */
-        this.line = line;
+        this.line = new PIXI.Graphics();
+
+        /**
+         * The position of the source node.
+         *
+         * @type {Vec2}
+         * @private
+         */
+        this.sourcePos = sourcePos;
+
+        /**
+         * The position of the target node.
+         *
+         * @type {Vec2}
+         * @private
+         */
+        this.targetPos = targetPos;
+
+        /**
+         * The display objects of the source and target node.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.nodes = nodes;
+
+        /**
+         * Describes where the line ends. It is passed to the line style.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.endpoints = {};
 
         // Add sprites to container
-        this.addChild(line);
+        this.addChild(this.line);
         this.addChild(arrow);
         this.addChild(decal);
+
+        this.update(sourcePos, targetPos);
+    }
+
+    /**
+     * Draws the line for the given endpoints and moves arrow and decal along.
+     * Everything else, like behaviors, scales and the container the edge is
+     * in, is kept.
+     *
+     * @param {Vec2} sourcePos
+     * The position of the source node.
+     *
+     * @param {Vec2} targetPos
+     * The position of the target node.
+     *
+     * @param {Object} [nodes]
+     * The display objects of the source and target node as source and target.
+     * The ones passed before are kept if this is omitted.
+     */
+    update(sourcePos, targetPos, nodes = this.nodes) {
+        this.sourcePos = sourcePos;
+        this.targetPos = targetPos;
+        this.nodes     = nodes;
+        this.endpoints = this.computeEndpoints();
+
+        // Redraw the line
+        const lineStyle = registry.get(["edge", "lineStyle", this.conf.lineStyle.type]);
+        const line      = lineStyle(targetPos.sub(sourcePos), this.conf.lineStyle.conf, this.endpoints, this.line);
+        if (line !== this.line) {
+
+            // The line style created a new sprite instead
+            line.alpha = this.line.alpha;
+            this.removeChild(this.line);
+            this.line.destroy(true, true);
+            this.line = line;
+            this.addChildAt(line, 0);
+        }
+
+        // Move the decal
+        utils.setRotation(this.conf.rotation, this.decal);
+        rotateDecal(line.decal.angle, this.decal);
+        utils.setPosition(line.decal.pos, this.decal);
+
+        // Move the arrow
+        utils.setPosition(line.arrow.pos, this.arrow);
+        utils.setRotation(line.arrow.angle, this.arrow);
+
+        utils.setPosition(sourcePos, this);
+        this.hitArea = utils.computeHitArea(this.decal);
+    }
+
+    /**
+     * Describes where the line should end for the line style. The tests are
+     * relative to the position of the source node like the line itself.
+     *
+     * @return {Object}
+     * The tests for the source and target node, the position of the arrow and
+     * the position of the source node, which line styles with absolute
+     * points need.
+     *
+     * @private
+     */
+    computeEndpoints() {
+        const result = {
+            arrowPosition: this.conf.arrowPosition,
+            sourcePos:     this.sourcePos,
+        };
+
+        if (this.conf.clipToNodes) {
+            for (let end of ["source", "target"]) {
+                if (this.nodes[end]) {
+                    const isInside = utils.makeBoundaryTest(this.nodes[end]);
+                    result[end] = pos => isInside(this.sourcePos.add(pos));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Creates the SVG markup of this edge. The SVG styles registered for the
+     * line, arrow and decal styles are used. Sprites without an SVG style are
+     * embedded as images.
+     *
+     * @return {String}
+     * The SVG markup.
+     */
+    toSVG() {
+        const {lineStyle, arrowStyle, decalStyle} = this.conf;
+
+        const line = svg.fromStyle(
+            ["edge", "lineSVGStyle", lineStyle.type],
+            [this.targetPos.sub(this.sourcePos), lineStyle.conf, this.endpoints],
+            this.line
+        );
+        const arrow = svg.fromStyle(
+            ["edge", "arrowSVGStyle", arrowStyle.type],
+            [arrowStyle.conf],
+            this.arrow
+        );
+        const decal = svg.fromStyle(
+            ["edge", "decalSVGStyle", decalStyle.type],
+            [decalStyle.conf],
+            this.decal
+        );
+
+        return svg.makeGroup(svg.makeTransform(this),
+            svg.makeGroup("", line, this.line.alpha) +
+            svg.makeGroup(svg.makeTransform(this.arrow), arrow) +
+            svg.makeGroup(svg.makeTransform(this.decal), decal),
+            this.alpha
+        );
     }
 
     /**
@@ -67,12 +236,36 @@ export default class EdgeGraphic extends PIXI.Container {
     }
 
     /**
-     * Returns the line sprite.
+     * Returns the line. It is a graphics object unless the line style only
+     * creates sprites.
      *
      * @return {DisplayObject}
-     * The line sprite.
+     * The line.
      */
     getLine() {
         return this.line;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Rotates the given decal using the suggested angle.
+ *
+ * @param {Number} suggestedAngle
+ * The angle to rotate by. This is adjusted by the function to make the decal
+ * more readable.
+ *
+ * @param {DisplayObject} decal
+ * The display object to rotate.
+ */
+function rotateDecal(suggestedAngle, decal) {
+    if (decal.rotateToLine) {
+        if (suggestedAngle < 0) {
+            suggestedAngle += 2 * Math.PI;
+        }
+        if (Math.PI / 2 < suggestedAngle && suggestedAngle < 1.5 * Math.PI) {
+            utils.setRotation(suggestedAngle + Math.PI, decal);
+        } else {
+            utils.setRotation(suggestedAngle, decal);
+        }
+    }
+}
@@ -3,6 +3,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -91,6 +92,23 @@ export default function makeSprite(conf = {}) {
 }
 registry.addEdgeArrowStyle("triangle", makeSprite);
 
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(makeBox(conf), false);
+}
+registry.addEdgeArrowSVGStyle("triangle", makeSVG);
+
 /**
  * Creates the display object of the triangle.
  *
@@ -10,4 +10,15 @@ import {emptyDisplayObject} from "../../utils.js";
 export default function makeSprite() {
     return emptyDisplayObject;
 }
-registry.addEdgeDecalStyle("empty", makeSprite);
\ No newline at end of file
+registry.addEdgeDecalStyle("empty", makeSprite);
+
+/**
+ * Creates the SVG markup of the style.
+ *
+ * @return {String}
+ * The SVG markup, which is empty.
+ */
+export function makeSVG() {
+    return "";
+}
+registry.addEdgeDecalSVGStyle("empty", makeSVG);
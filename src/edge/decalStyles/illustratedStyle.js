@@ -2,6 +2,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -280,15 +281,45 @@ export const defaultConf = {
 export default function makeSprite(conf = {}) {
     conf = utils.adjustConf(defaultConf, conf);
 
+    const result = utils.makeCanvasSprite(makeContainer(conf));
+    result.rotateToLine = conf.rotateToLine;
+
+    return result;
+};
+registry.addEdgeDecalStyle("illustrated", makeSprite);
+
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(makeContainer(conf), false);
+}
+registry.addEdgeDecalSVGStyle("illustrated", makeSVG);
+
+/**
+ * Creates the image with its caption and the box around them.
+ *
+ * @param {Object} conf
+ * The complete configuration of the style.
+ *
+ * @return {DisplayObject}
+ * The created container.
+ */
+function makeContainer(conf) {
     const container = utils.makeCaptionedImage(conf, conf.image.path, conf.caption.text.label);
     const box       = utils.makeBox(conf.box, container);
     const margin    = utils.makeMargin(conf.box.margin, box);
     container.addChildAt(box, 0);
     container.addChildAt(margin, 0);
 
-    const result = utils.makeCanvasSprite(container);
-    result.rotateToLine = conf.rotateToLine;
-
-    return result;
-};
-registry.addEdgeDecalStyle("illustrated", makeSprite);
+    return container;
+}
@@ -2,6 +2,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -230,3 +231,20 @@ export default function makeSprite(conf = {}) {
     return result;
 };
 registry.addEdgeDecalStyle("labelled", makeSprite);
+
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(utils.makeBoxedLabel(conf, conf.text.label), false);
+}
+registry.addEdgeDecalSVGStyle("labelled", makeSVG);
@@ -12,6 +12,9 @@ export edgeIllustratedDecalStyle from "./decalStyles/illustratedStyle.js";
 export edgeLinearLineStyle       from "./lineStyles/linearStyle.js";
 export edgeQuadraticLineStyle    from "./lineStyles/quadraticStyle.js";
 export edgeCubicLineStyle        from "./lineStyles/cubicStyle.js";
+export edgeLoopLineStyle         from "./lineStyles/loopStyle.js";
+export edgePolylineLineStyle     from "./lineStyles/polylineStyle.js";
+export edgeOrthogonalLineStyle   from "./lineStyles/orthogonalStyle.js";
 
 export edgeEmptyBehavior         from "./behaviors/emptyBehavior.js";
 export edgeInteractiveBehavior   from "./behaviors/interactiveBehavior.js";
@@ -1,8 +1,8 @@
 import {predefinedColors} from "@ignavia/util";
-import {Vec2}             from "@ignavia/ella";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -24,6 +24,14 @@ export const defaultConf = {
      * @type {Number}
      */
     width: 2,
+
+    /**
+     * The lengths of the dashes and gaps of the line, alternating. Leave this
+     * empty for a solid line.
+     *
+     * @type {Array<Number>}
+     */
+    dash: [],
 };
 
 /**
@@ -36,21 +44,58 @@ export const defaultConf = {
  * Check the documentation of the default configuration for the structure of
  * this object.
  *
+ * @param {Object} [endpoints]
+ * Describes where the line should end and where to put the arrow. Check the
+ * documentation of utils.clipCurve for the structure of this object.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw the line on. A new sprite is created if this is
+ * undefined.
+ *
  * @return {DisplayObject}
- * The created sprite.
+ * The given graphics object or the created sprite.
  */
-export default function makeSprite(targetPos, conf = {}) {
+export default function makeSprite(targetPos, conf = {}, endpoints = {}, graphics) {
     conf = utils.adjustConf(defaultConf, conf);
 
-    const line   = utils.makeLine(conf, new Vec2(0, 0), targetPos);
-    const result = utils.makeCanvasSprite(line);
-    result.decal = computePosAndAngle(targetPos, 0.5);
-    result.arrow = computePosAndAngle(targetPos, 0.75);
+    const {start, end, arrow} = utils.clipCurve(t => targetPos.mul(t), endpoints);
+
+    const startPos = targetPos.mul(start);
+    const endPos   = targetPos.mul(end);
+    const result   = utils.makeLineSprite(graphics, g => utils.drawLine(g, conf, startPos, endPos));
+    result.decal   = computePosAndAngle(targetPos, (start + end) / 2);
+    result.arrow   = computePosAndAngle(targetPos, arrow);
 
     return result;
 };
 registry.addEdgeLineStyle("linear", makeSprite);
 
+/**
+ * Creates the SVG markup of the line using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * Where the line should end.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end. Check the documentation of
+ * utils.clipCurve for the structure of this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(targetPos, conf = {}, endpoints = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const {start, end} = utils.clipCurve(t => targetPos.mul(t), endpoints);
+
+    return svg.makeLine(conf, targetPos.mul(start), targetPos.mul(end));
+}
+registry.addEdgeLineSVGStyle("linear", makeSVG);
+
 /**
  * Computes the point and slope of the function at the given value.
  *
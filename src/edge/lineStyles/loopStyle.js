@@ -0,0 +1,230 @@
+import {predefinedColors} from "@ignavia/util";
+import {Vec2}             from "@ignavia/ella";
+
+import registry   from "../../registry.js";
+import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
+
+/**
+ * The default configuration of this style.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * How the line should look.
+     *
+     * @type {Object}
+     */
+    line: {
+
+        /**
+         * The color of the line.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.black,
+
+        /**
+         * The width of the line.
+         *
+         * @type {Number}
+         */
+        width: 2,
+
+        /**
+         * The lengths of the dashes and gaps of the line, alternating. Leave
+         * this empty for a solid line.
+         *
+         * @type {Array<Number>}
+         */
+        dash: []
+    },
+
+    /**
+     * The direction the loop points to as an angle in radians. 0 points to
+     * the right and -Math.PI / 2 upwards.
+     *
+     * @type {Number}
+     */
+    angle: -Math.PI / 2,
+
+    /**
+     * The distance between the boundary of the node and the tip of the loop.
+     * It is measured from the center of the node if the line is not clipped
+     * at the node.
+     *
+     * @type {Number}
+     */
+    size: 30,
+
+    /**
+     * The angle in radians between the two ends of the loop where they leave
+     * the node.
+     *
+     * @type {Number}
+     */
+    spread: Math.PI / 3,
+
+    /**
+     * The position of this loop among the loops of its node. The loops are
+     * fanned out around the angle, so they do not cover each other.
+     *
+     * @type {Number}
+     */
+    index: 0,
+
+    /**
+     * The number of loops of the node.
+     *
+     * @type {Number}
+     */
+    count: 1,
+};
+
+/**
+ * Creates a sprite using the given configuration. The loop starts and ends at
+ * the source node, so the position of the target node is ignored.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} conf
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end and where to put the arrow. Check the
+ * documentation of utils.clipCurve for the structure of this object.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw the line on. A new sprite is created if this is
+ * undefined.
+ *
+ * @return {DisplayObject}
+ * The given graphics object or the created sprite.
+ */
+export default function makeSprite(targetPos, conf = {}, endpoints = {}, graphics) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const [controlPoint1, controlPoint2] = computeControlPoints(conf, endpoints.source);
+    const f                              = computeFunction(controlPoint1, controlPoint2);
+    const df                             = computeDerivative(controlPoint1, controlPoint2);
+    const {start, end, arrow}            = utils.clipCurve(f, endpoints, 0.5);
+
+    const points = utils.trimBezier([new Vec2(0, 0), controlPoint1, controlPoint2, new Vec2(0, 0)], start, end);
+    const result = utils.makeLineSprite(graphics, g => utils.drawBezierCurve(g, conf.line, ...points));
+    result.decal = computePosAndAngle(f, df, 0.5);
+    result.arrow = computePosAndAngle(f, df, arrow);
+
+    return result;
+};
+registry.addEdgeLineStyle("loop", makeSprite);
+
+/**
+ * Creates the SVG markup of the line using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end. Check the documentation of
+ * utils.clipCurve for the structure of this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(targetPos, conf = {}, endpoints = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const [controlPoint1, controlPoint2] = computeControlPoints(conf, endpoints.source);
+    const f                              = computeFunction(controlPoint1, controlPoint2);
+    const {start, end}                   = utils.clipCurve(f, endpoints, 0.5);
+
+    return svg.makeBezierCurve(
+        conf.line,
+        ...utils.trimBezier([new Vec2(0, 0), controlPoint1, controlPoint2, new Vec2(0, 0)], start, end)
+    );
+}
+registry.addEdgeLineSVGStyle("loop", makeSVG);
+
+/**
+ * Computes the control points of the cubic bezier curve that draws the loop.
+ * They are placed so the tip of the loop is exactly size pixels away from the
+ * boundary of the node.
+ *
+ * @param {Object} conf
+ * The configuration of the style.
+ *
+ * @param {Function} [isInside]
+ * Tests whether a point is inside the node. The size is measured from the
+ * center of the node if this is undefined.
+ *
+ * @return {Array<Vec2>}
+ * The two control points.
+ */
+function computeControlPoints({angle, size, spread, index, count}, isInside) {
+    const step      = Math.min(spread, 2 * Math.PI / count);
+    const direction = angle + (index - (count - 1) / 2) * step;
+    const extent    = isInside ? utils.measureExtent(isInside, direction) : 0;
+    const distance  = (extent + size) * 4 / (3 * Math.cos(spread / 2));
+
+    return [direction - spread / 2, direction + spread / 2].map(alpha => new Vec2(
+        distance * Math.cos(alpha),
+        distance * Math.sin(alpha)
+    ));
+}
+
+/**
+ * Computes the function of the cubic bezier curve that starts and ends at the
+ * origin.
+ *
+ * @param {Vec2} p1
+ * The first control point.
+ *
+ * @param {Vec2} p2
+ * The second control point.
+ */
+function computeFunction(p1, p2) {
+    return t => p1.mul(3 * (1 - t)**2 * t).add(p2.mul(3 * (1 - t) * t**2));
+}
+
+/**
+ * Computes the derivative of the function of the cubic bezier curve that
+ * starts and ends at the origin.
+ *
+ * @param {Vec2} p1
+ * The first control point.
+ *
+ * @param {Vec2} p2
+ * The second control point.
+ */
+function computeDerivative(p1, p2) {
+    return t => p1.mul(3 * (1 - t) * (1 - 3 * t)).add(p2.mul(3 * t * (2 - 3 * t)));
+}
+
+/**
+ * Computes the point and slope of the function at the given value.
+ *
+ * @param {Function} f
+ * The function of the curve.
+ *
+ * @param {Function} df
+ * The derivative of the function.
+ *
+ * @param {Number} t
+ * How to move far along the line. 0 represents the start point (0, 0) and 1 is
+ * the end point.
+ */
+function computePosAndAngle(f, df, t) {
+    const slope = df(t);
+    return {
+        pos:   f(t),
+        angle: Math.atan2(slope.y, slope.x),
+    };
+}
@@ -0,0 +1,245 @@
+import {predefinedColors} from "@ignavia/util";
+import {Vec2}             from "@ignavia/ella";
+
+import {resolvePoints} from "./polylineStyle.js";
+import registry        from "../../registry.js";
+import * as utils      from "../../utils.js";
+import * as svg        from "../../io/svg.js";
+
+/**
+ * The default configuration of this style.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * How the line should look.
+     *
+     * @type {Object}
+     */
+    line: {
+
+        /**
+         * The color of the line.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.black,
+
+        /**
+         * The width of the line.
+         *
+         * @type {Number}
+         */
+        width: 2,
+
+        /**
+         * The lengths of the dashes and gaps of the line, alternating. Leave
+         * this empty for a solid line.
+         *
+         * @type {Array<Number>}
+         */
+        dash: []
+    },
+
+    /**
+     * The direction the line leaves each point in. Use "horizontal" or
+     * "vertical".
+     *
+     * @type {String}
+     */
+    direction: "horizontal",
+
+    /**
+     * Where the segment in the other direction is placed between two points,
+     * with 0 meaning at the first point and 1 at the second one.
+     *
+     * @type {Number}
+     */
+    midpoint: 0.5,
+
+    /**
+     * The points the line has to pass through, in order from the source to
+     * the target node. They have the same format as the points of the
+     * polyline style.
+     *
+     * @type {Array<Object>}
+     */
+    points: [],
+
+    /**
+     * The radius of the rounded corners. Use 0 for sharp corners.
+     *
+     * @type {Number}
+     */
+    radius: 0,
+};
+
+/**
+ * Creates a sprite using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} conf
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end and where to put the arrow. Check the
+ * documentation of utils.clipCurve for the structure of this object.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw the line on. A new sprite is created if this is
+ * undefined.
+ *
+ * @return {DisplayObject}
+ * The given graphics object or the created sprite.
+ */
+export default function makeSprite(targetPos, conf = {}, endpoints = {}, graphics) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const points              = computePoints(targetPos, conf, endpoints.sourcePos);
+    const f                   = utils.parametrizePolyline(points);
+    const {start, end, arrow} = utils.clipCurve(t => f(t).pos, endpoints);
+
+    const trimmed = utils.trimPolyline(points, start, end);
+    const result  = utils.makeLineSprite(graphics, g => utils.drawPolyline(g, conf.line, trimmed));
+    result.decal  = f((start + end) / 2);
+    result.arrow  = f(arrow);
+
+    return result;
+};
+registry.addEdgeLineStyle("orthogonal", makeSprite);
+
+/**
+ * Creates the SVG markup of the line using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end. Check the documentation of
+ * utils.clipCurve for the structure of this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(targetPos, conf = {}, endpoints = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const points       = computePoints(targetPos, conf, endpoints.sourcePos);
+    const f            = utils.parametrizePolyline(points);
+    const {start, end} = utils.clipCurve(t => f(t).pos, endpoints);
+
+    return svg.makePolyline(conf.line, utils.trimPolyline(points, start, end));
+}
+registry.addEdgeLineSVGStyle("orthogonal", makeSVG);
+
+/**
+ * Routes the line from the source through the given points to the target
+ * node with horizontal and vertical segments and rounds the corners.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node relative to the source node.
+ *
+ * @param {Object} conf
+ * The configuration of the style.
+ *
+ * @param {Vec2} [sourcePos]
+ * The position of the source node on the stage.
+ *
+ * @return {Array<Vec2>}
+ * The points of the line.
+ */
+function computePoints(targetPos, {direction, midpoint, points, radius}, sourcePos) {
+    const waypoints = [new Vec2(0, 0), ...resolvePoints(targetPos, points, sourcePos), targetPos];
+
+    const route = [waypoints[0]];
+    for (let i = 1; i < waypoints.length; i++) {
+        const from = waypoints[i - 1];
+        const to   = waypoints[i];
+        if (direction === "vertical") {
+            const y = from.y + (to.y - from.y) * midpoint;
+            route.push(new Vec2(from.x, y), new Vec2(to.x, y), to);
+        } else {
+            const x = from.x + (to.x - from.x) * midpoint;
+            route.push(new Vec2(x, from.y), new Vec2(x, to.y), to);
+        }
+    }
+
+    return roundCorners(removeRedundantPoints(route), radius);
+}
+
+/**
+ * Removes points that repeat the previous one or lie on a straight line
+ * between their neighbors.
+ *
+ * @param {Array<Vec2>} points
+ * The points of the line.
+ *
+ * @return {Array<Vec2>}
+ * The remaining points.
+ */
+function removeRedundantPoints(points) {
+    const result = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+        const last = result[result.length - 1];
+        const next = points[i + 1];
+        const p    = points[i];
+        if (p.x === last.x && p.y === last.y) {
+            continue;
+        }
+        if (next && (last.x === p.x && p.x === next.x || last.y === p.y && p.y === next.y)) {
+            continue;
+        }
+        result.push(p);
+    }
+    if (result.length === 1) {
+        result.push(points[points.length - 1]);
+    }
+    return result;
+}
+
+/**
+ * Replaces the corners of the line by quarter curves.
+ *
+ * @param {Array<Vec2>} points
+ * The points of the line.
+ *
+ * @param {Number} radius
+ * The radius of the corners. It is reduced if the adjacent segments are too
+ * short.
+ *
+ * @return {Array<Vec2>}
+ * The points of the line with rounded corners.
+ */
+function roundCorners(points, radius) {
+    if (radius <= 0) {
+        return points;
+    }
+
+    const result = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const corner = points[i];
+        const toPrev = points[i - 1].sub(corner);
+        const toNext = points[i + 1].sub(corner);
+        const r      = Math.min(radius, Math.hypot(toPrev.x, toPrev.y) / 2, Math.hypot(toNext.x, toNext.y) / 2);
+        const start  = corner.add(toPrev.normalize().mul(r));
+        const end    = corner.add(toNext.normalize().mul(r));
+
+        // Sample the quadratic curve with the corner as control point
+        for (let j = 0; j <= 8; j++) {
+            const t = j / 8;
+            result.push(start.mul((1 - t)**2).add(corner.mul(2 * (1 - t) * t)).add(end.mul(t**2)));
+        }
+    }
+    result.push(points[points.length - 1]);
+
+    return result;
+}
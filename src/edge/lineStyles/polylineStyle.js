@@ -0,0 +1,167 @@
+import {predefinedColors} from "@ignavia/util";
+import {Vec2}             from "@ignavia/ella";
+
+import registry   from "../../registry.js";
+import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
+
+/**
+ * The default configuration of this style.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * How the line should look.
+     *
+     * @type {Object}
+     */
+    line: {
+
+        /**
+         * The color of the line.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.black,
+
+        /**
+         * The width of the line.
+         *
+         * @type {Number}
+         */
+        width: 2,
+
+        /**
+         * The lengths of the dashes and gaps of the line, alternating. Leave
+         * this empty for a solid line.
+         *
+         * @type {Array<Number>}
+         */
+        dash: []
+    },
+
+    /**
+     * The points the line bends at, in order from the source to the target
+     * node. A point with x and y is an absolute position on the stage. A
+     * point with parallel and perpendicular is relative to the line from the
+     * source to the target node, like the control point of the quadratic line
+     * style: You move the fraction parallel along this line and then
+     * perpendicular pixels to its side.
+     *
+     * @type {Array<Object>}
+     */
+    points: [],
+};
+
+/**
+ * Creates a sprite using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} conf
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end and where to put the arrow. Check the
+ * documentation of utils.clipCurve for the structure of this object.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw the line on. A new sprite is created if this is
+ * undefined.
+ *
+ * @return {DisplayObject}
+ * The given graphics object or the created sprite.
+ */
+export default function makeSprite(targetPos, conf = {}, endpoints = {}, graphics) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const points              = computePoints(targetPos, conf.points, endpoints.sourcePos);
+    const f                   = utils.parametrizePolyline(points);
+    const {start, end, arrow} = utils.clipCurve(t => f(t).pos, endpoints);
+
+    const trimmed = utils.trimPolyline(points, start, end);
+    const result  = utils.makeLineSprite(graphics, g => utils.drawPolyline(g, conf.line, trimmed));
+    result.decal  = f((start + end) / 2);
+    result.arrow  = f(arrow);
+
+    return result;
+};
+registry.addEdgeLineStyle("polyline", makeSprite);
+
+/**
+ * Creates the SVG markup of the line using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end. Check the documentation of
+ * utils.clipCurve for the structure of this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(targetPos, conf = {}, endpoints = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const points       = computePoints(targetPos, conf.points, endpoints.sourcePos);
+    const f            = utils.parametrizePolyline(points);
+    const {start, end} = utils.clipCurve(t => f(t).pos, endpoints);
+
+    return svg.makePolyline(conf.line, utils.trimPolyline(points, start, end));
+}
+registry.addEdgeLineSVGStyle("polyline", makeSVG);
+
+/**
+ * Turns the bend points from the configuration into coordinates relative to
+ * the source node.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node relative to the source node.
+ *
+ * @param {Array<Object>} points
+ * The bend points from the configuration.
+ *
+ * @param {Vec2} [sourcePos]
+ * The position of the source node on the stage. Absolute points are treated
+ * as relative to the source node if this is undefined.
+ *
+ * @return {Array<Vec2>}
+ * The bend points.
+ */
+export function resolvePoints(targetPos, points, sourcePos = new Vec2(0, 0)) {
+    return points.map(point => {
+        if (point.parallel !== undefined || point.perpendicular !== undefined) {
+            const {parallel = 0, perpendicular = 0} = point;
+            return targetPos.mul(parallel).add(targetPos.rotate(Math.PI / 2).normalize().mul(perpendicular));
+        }
+        return new Vec2(point.x - sourcePos.x, point.y - sourcePos.y);
+    });
+}
+
+/**
+ * Computes all points of the line, from the source to the target node.
+ *
+ * @param {Vec2} targetPos
+ * The position of the target node relative to the source node.
+ *
+ * @param {Array<Object>} points
+ * The bend points from the configuration.
+ *
+ * @param {Vec2} [sourcePos]
+ * The position of the source node on the stage.
+ *
+ * @return {Array<Vec2>}
+ * The points of the line.
+ */
+function computePoints(targetPos, points, sourcePos) {
+    return [new Vec2(0, 0), ...resolvePoints(targetPos, points, sourcePos), targetPos];
+}
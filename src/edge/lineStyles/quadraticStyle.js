@@ -3,6 +3,7 @@ import {Vec2}             from "@ignavia/ella";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -30,7 +31,15 @@ export const defaultConf = {
          *
          * @type {Number}
          */
-        width: 2
+        width: 2,
+
+        /**
+         * The lengths of the dashes and gaps of the line, alternating. Leave
+         * this empty for a solid line.
+         *
+         * @type {Array<Number>}
+         */
+        dash: []
     },
 
     /**
@@ -70,30 +79,64 @@ export const defaultConf = {
  * Check the documentation of the default configuration for the structure of
  * this object.
  *
+ * @param {Object} [endpoints]
+ * Describes where the line should end and where to put the arrow. Check the
+ * documentation of utils.clipCurve for the structure of this object.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw the line on. A new sprite is created if this is
+ * undefined.
+ *
  * @return {DisplayObject}
- * The created sprite.
+ * The given graphics object or the created sprite.
  */
-export default function makeSprite(targetPos, conf = {}) {
+export default function makeSprite(targetPos, conf = {}, endpoints = {}, graphics) {
     conf = utils.adjustConf(defaultConf, conf);
 
-    const controlPoint = computeControlPoint(targetPos, conf.controlPoint);
-    const f            = computeFunction(controlPoint, targetPos);
-    const df           = computeDerivative(controlPoint, targetPos);
+    const controlPoint        = computeControlPoint(targetPos, conf.controlPoint);
+    const f                   = computeFunction(controlPoint, targetPos);
+    const df                  = computeDerivative(controlPoint, targetPos);
+    const {start, end, arrow} = utils.clipCurve(f, endpoints);
 
-    const line = utils.makeQuadraticCurve(
-        conf.line,
-        new Vec2(0, 0),
-        controlPoint,
-        targetPos
-    );
-    const result = utils.makeCanvasSprite(line);
-    result.decal = computePosAndAngle(f, df, 0.5);
-    result.arrow = computePosAndAngle(f, df, 0.75);
+    const points = utils.trimBezier([new Vec2(0, 0), controlPoint, targetPos], start, end);
+    const result = utils.makeLineSprite(graphics, g => utils.drawQuadraticCurve(g, conf.line, ...points));
+    result.decal = computePosAndAngle(f, df, (start + end) / 2);
+    result.arrow = computePosAndAngle(f, df, arrow);
 
     return result;
 };
 registry.addEdgeLineStyle("quadratic", makeSprite);
 
+/**
+ * Creates the SVG markup of the line using the given configuration.
+ *
+ * @param {Vec2} targetPos
+ * Where the line should end.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the line should end. Check the documentation of
+ * utils.clipCurve for the structure of this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(targetPos, conf = {}, endpoints = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const controlPoint = computeControlPoint(targetPos, conf.controlPoint);
+    const {start, end} = utils.clipCurve(computeFunction(controlPoint, targetPos), endpoints);
+
+    return svg.makeQuadraticCurve(
+        conf.line,
+        ...utils.trimBezier([new Vec2(0, 0), controlPoint, targetPos], start, end)
+    );
+}
+registry.addEdgeLineSVGStyle("quadratic", makeSVG);
+
 /**
  * Computes the coordinates of the control point in the regular coordinate
  * system.
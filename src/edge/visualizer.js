@@ -101,6 +101,24 @@ export const defaultConf = {
         conf: {},
     }],
 
+    /**
+     * Whether the line should end at the boundaries of the source and target
+     * node instead of their centers.
+     *
+     * @type {Boolean}
+     */
+    clipToNodes: true,
+
+    /**
+     * Where to place the arrow. "end" puts its tip at the end of the line, so
+     * it touches the target node. A number between 0 and 1 puts it at this
+     * fraction of the line instead. Use 0.75 for the placement of older
+     * versions.
+     *
+     * @type {String|Number}
+     */
+    arrowPosition: "end",
+
     /**
      * How to scale the decal. x- and y-scales can be set seperately. If the
      * width or height is set, those values are used instead.
@@ -149,22 +167,23 @@ export const defaultConf = {
  * The configuration of the visualizer. Check the default configuration to see
  * the structure of this object.
  *
- * @return {DisplayObject}
- * The created display object.
+ * @param {Object} [nodes]
+ * The display objects of the source and target node as source and target.
+ * If they are given, the line ends at their boundaries.
+ *
+ * @return {EdgeGraphic}
+ * The created display object. Call its update method to move the endpoints.
  */
-export default function makeEnhancedSprite(sourcePos, targetPos, conf = {}) {
+export default function makeEnhancedSprite(sourcePos, targetPos, conf = {}, nodes = {}) {
     conf = utils.adjustConf(defaultConf, conf);
 
-    const result = makeContainer(conf, sourcePos, targetPos);
+    const result = makeContainer(conf, sourcePos, targetPos, nodes);
 
     for (let behavior of conf.behaviors) {
         const behaviorFunction = registry.get(["edge", "behavior", behavior.type]);
         behaviorFunction(result, behavior.conf);
     }
 
-    utils.setPosition(sourcePos, result);
-    result.hitArea = utils.computeHitArea(result.getDecal());
-
     return result;
 };
 
@@ -180,52 +199,23 @@ export default function makeEnhancedSprite(sourcePos, targetPos, conf = {}) {
  * @param {Vec2} targetPos
  * The position of the target node.
  *
- * @return {DisplayObject}
+ * @param {Object} nodes
+ * The display objects of the source and target node.
+ *
+ * @return {EdgeGraphic}
  * The created display object.
  */
-function makeContainer(conf, sourcePos, targetPos) {
-
-    // Make the line
-    const lineStyle = registry.get(["edge", "lineStyle", conf.lineStyle.type]);
-    const line      = lineStyle(targetPos.sub(sourcePos), conf.lineStyle.conf);
+function makeContainer(conf, sourcePos, targetPos, nodes) {
 
     // Make the decal
     const decalStyle = registry.get(["edge", "decalStyle", conf.decalStyle.type]);
     const decal      = decalStyle(conf.decalStyle.conf);
     utils.setScale(conf.scale, decal);
     utils.setBounds(conf.width, conf.height, decal);
-    utils.setRotation(conf.rotation, decal);
-    rotateDecal(line.decal.angle, decal);
-    utils.setPosition(line.decal.pos, decal);
 
     // Make the arrow
     const arrowStyle = registry.get(["edge", "arrowStyle", conf.arrowStyle.type]);
     const arrow      = arrowStyle(conf.arrowStyle.conf);
-    utils.setPosition(line.arrow.pos, arrow);
-    utils.setRotation(line.arrow.angle, arrow);
-
-    return new EdgeGraphic(arrow, decal, line);
-}
 
-/**
- * Rotates the given decal using the suggested angle.
- *
- * @param {Number} suggestedAngle
- * The angle to rotate by. This is adjusted by the function to make the decal
- * more readable.
- *
- * @param {DisplayObject} decal
- * The display object to rotate.
- */
-function rotateDecal(suggestedAngle, decal) {
-    if (decal.rotateToLine) {
-        if (suggestedAngle < 0) {
-            suggestedAngle += 2 * Math.PI;
-        }
-        if (Math.PI / 2 < suggestedAngle && suggestedAngle < 1.5 * Math.PI) {
-            utils.setRotation(suggestedAngle + Math.PI, decal);
-        } else {
-            utils.setRotation(suggestedAngle, decal);
-        }
-    }
+    return new EdgeGraphic(arrow, decal, conf, sourcePos, targetPos, nodes);
 }
@@ -0,0 +1,192 @@
+import {Vec2}                    from "@ignavia/ella";
+import {Color, predefinedColors} from "@ignavia/util";
+
+import registry   from "../../registry.js";
+import * as utils from "../../utils.js";
+
+/**
+ * The default configuration of this behavior.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The shape of the selected region. Use "box" to draw a rectangle or
+     * "lasso" to draw a free-form polygon.
+     *
+     * @type {String}
+     */
+    mode: "box",
+
+    /**
+     * The modifier key that has to be held down to start a selection. This is
+     * the name of the corresponding property of mouse events.
+     *
+     * @type {String}
+     */
+    activationKey: "shiftKey",
+
+    /**
+     * If this modifier key is held down when the selection ends, the region
+     * is added to the current selection instead of replacing it.
+     *
+     * @type {String}
+     */
+    additiveKey: "ctrlKey",
+
+    /**
+     * If this modifier key is held down when the selection ends, the region
+     * is removed from the current selection instead of replacing it.
+     *
+     * @type {String}
+     */
+    subtractiveKey: "altKey",
+
+    /**
+     * The border of the drawn region.
+     *
+     * @type {Object}
+     */
+    border: {
+
+        /**
+         * The width of the border in screen pixels.
+         *
+         * @type {Number}
+         */
+        width: 1,
+
+        /**
+         * The color of the border.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.gray,
+    },
+
+    /**
+     * The color to fill the drawn region with.
+     *
+     * @type {Color}
+     */
+    backgroundColor: new Color(128, 128, 128, 0.2),
+};
+
+/**
+ * Lets the user select nodes and edges by dragging a rectangle or drawing a
+ * lasso while holding down the activation key. The pointer is claimed for
+ * the duration of the gesture, so the stage is not panned at the same time.
+ *
+ * When the gesture ends, the stage emits a "regionselect" event with the
+ * corners of the region in stage coordinates and the operation to perform,
+ * which is "replace", "add" or "subtract". GraphView listens to it and
+ * updates the selection.
+ *
+ * @param {DisplayObject} stage
+ * The stage to select on.
+ *
+ * @param {Renderer} renderer
+ * The renderer to add the event listener to.
+ *
+ * @param {Object} [conf]
+ * The configuration of this behavior. Check the default configuration for the
+ * structure of this object.
+ */
+export default function addBehavior(stage, renderer, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const owner   = {};
+    const outline = new PIXI.Graphics();
+    let   points  = undefined;
+
+    const toStage = e => {
+        const p = stage.toLocal(new PIXI.Point(e.offsetX, e.offsetY));
+        return new Vec2(p.x, p.y);
+    };
+
+    const getPolygon = () => {
+        if (conf.mode === "lasso") {
+            return points;
+        }
+
+        const [start, end] = [points[0], points[points.length - 1]];
+        return [
+            start,
+            new Vec2(end.x,   start.y),
+            end,
+            new Vec2(start.x, end.y),
+        ];
+    };
+
+    const draw = () => {
+        const polygon = getPolygon();
+        outline.clear();
+        outline.lineStyle(conf.border.width / stage.scale.x, conf.border.color.hex, conf.border.color.alpha);
+        outline.beginFill(conf.backgroundColor.hex, conf.backgroundColor.alpha);
+        outline.drawPolygon(flattenPoints(polygon.concat(polygon[0])));
+        outline.endFill();
+        stage.emit("renderrequest");
+    };
+
+    const end = e => {
+        if (!points) {
+            return;
+        }
+
+        let operation = "replace";
+        if (e[conf.additiveKey]) {
+            operation = "add";
+        } else if (e[conf.subtractiveKey]) {
+            operation = "subtract";
+        }
+
+        const polygon = getPolygon();
+        points = undefined;
+        outline.clear();
+        stage.removeChild(outline);
+        stage.emit("renderrequest");
+        utils.releasePointer(stage, owner);
+
+        stage.emit("regionselect", {polygon, operation});
+    };
+
+    const view = renderer.view;
+    view.addEventListener("mousedown", e => {
+        if (!e[conf.activationKey] || !utils.claimPointer(stage, owner)) {
+            return;
+        }
+
+        points = [toStage(e)];
+        stage.addChild(outline);
+    });
+    view.addEventListener("mousemove", e => {
+        if (!points) {
+            return;
+        }
+
+        const point = toStage(e);
+        if (conf.mode === "lasso") {
+            points.push(point);
+        } else {
+            points = [points[0], point];
+        }
+        draw();
+    });
+    view.addEventListener("mouseup",    end);
+    view.addEventListener("mouseleave", end);
+};
+registry.addGraphBehavior("boxSelect", addBehavior);
+
+/**
+ * Turns a list of points into a flat list of coordinates.
+ *
+ * @param {Array<Vec2>} points
+ * The points to flatten.
+ *
+ * @return {Array<Number>}
+ * The x- and y-coordinates of the points in turn.
+ */
+function flattenPoints(points) {
+    return points.reduce((acc, p) => acc.concat(p.x, p.y), []);
+}
@@ -1,9 +1,10 @@
-import $ from "jquery";
-
-import registry from "../../registry.js";
+import registry   from "../../registry.js";
+import * as utils from "../../utils.js";
 
 /**
- * Adds this behavior to the given stage and renderer.
+ * Adds this behavior to the given stage and renderer. Nothing happens while
+ * another behavior, like dragging a node, holds the pointer. The stage emits a
+ * "viewportchange" event whenever it is moved.
  *
  * @param {DisplayObject} stage
  * The stage to move while panning.
@@ -12,17 +13,24 @@ import registry from "../../registry.js";
  * The renderer to add the event listener to.
  */
 export default function addBehavior(stage, renderer) {
-    $(renderer.view).mousedown((e) => {
-        stage.lastPos = {x: e.offsetX, y: e.offsetY};
-    }).mouseup((e) => {
+    const view = renderer.view;
+    view.addEventListener("mousedown", e => {
+        if (!utils.isPointerClaimed(stage)) {
+            stage.lastPos = {x: e.offsetX, y: e.offsetY};
+        }
+    });
+    view.addEventListener("mouseup", e => {
         stage.lastPos = undefined;
-    }).mousemove((e) => {
-        if (stage.lastPos) {
+    });
+    view.addEventListener("mousemove", e => {
+        if (stage.lastPos && !utils.isPointerClaimed(stage)) {
             stage.x      += e.offsetX - stage.lastPos.x;
             stage.y      += e.offsetY - stage.lastPos.y;
             stage.lastPos = {x: e.offsetX, y: e.offsetY};
+            stage.emit("viewportchange");
         }
-    }).mouseleave((e) => {
+    });
+    view.addEventListener("mouseleave", e => {
         stage.lastPos = undefined;
     });
 };
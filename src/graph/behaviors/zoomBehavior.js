@@ -1,7 +1,3 @@
-import $          from "jquery";
-import mousewheel from "jquery-mousewheel";
-mousewheel($);
-
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
 
@@ -51,7 +47,8 @@ export const defaultConf = {
 };
 
 /**
- * Adds this behavior to the given stage and renderer.
+ * Adds this behavior to the given stage and renderer. The stage emits a
+ * "viewportchange" event whenever it is scaled.
  *
  * @param {DisplayObject} stage
  * The stage to scale when zooming.
@@ -66,9 +63,12 @@ export const defaultConf = {
 export default function addBehavior(stage, renderer, conf = {}) {
     conf = utils.adjustConf(defaultConf, conf);
 
-    $(renderer.view).mousewheel(e => {
+    // Lets the camera methods of GraphView respect the bounds
+    stage.zoomConf = conf;
+
+    renderer.view.addEventListener("wheel", e => {
         if (e.deltaY !== 0) {
-            zoom(conf, stage, renderer, e.deltaY < 0 ? "out" : "in");
+            zoom(conf, stage, renderer, e.deltaY > 0 ? "out" : "in");
         }
     });
 };
@@ -112,6 +112,8 @@ function zoom(conf, stage, renderer, direction) {
     // Move stage to zoom where the mouse pointer is
     stage.position.x += (afterTransform.x - beforeTransform.x) * stage.scale.x;
     stage.position.y += (afterTransform.y - beforeTransform.y) * stage.scale.y;
+
+    stage.emit("viewportchange");
 }
 
 /**
@@ -4,3 +4,4 @@ export graphEmptyBehavior       from "./behaviors/emptyBehavior.js";
 export graphInteractiveBehavior from "./behaviors/interactiveBehavior.js";
 export graphPanBehavior         from "./behaviors/panBehavior.js";
 export graphZoomBehavior        from "./behaviors/zoomBehavior.js";
+export graphBoxSelectBehavior   from "./behaviors/boxSelectBehavior.js";
@@ -60,18 +60,20 @@ export const defaultConf = {
     renderer: {
 
         /**
-         * The width of the renderer.
+         * The width of the renderer. Use "auto" for the width of the screen,
+         * which falls back to 800 outside of a browser.
          *
-         * @type {Number}
+         * @type {Number|String}
          */
-        width: screen.width,
+        width: "auto",
 
         /**
-         * The height of the renderer.
+         * The height of the renderer. Use "auto" for the height of the screen,
+         * which falls back to 600 outside of a browser.
          *
-         * @type {Number}
+         * @type {Number|String}
          */
-        height: screen.height,
+        height: "auto",
 
         /**
          * The type of the renderer. Use "auto" to use WebGL if available and
@@ -82,11 +84,11 @@ export const defaultConf = {
         type: "auto",
 
         /**
-         * The resolution to use.
+         * The resolution to use. Use "auto" for the device pixel ratio.
          *
-         * @type {Number}
+         * @type {Number|String}
          */
-        resolution: window.devicePixelRatio || 1,
+        resolution: "auto",
 
         /**
          * Whether to automatically resize the renderer.
@@ -98,8 +100,9 @@ export const defaultConf = {
 };
 
 /**
- * Creates renderer, stage, nodeContainer and edgeContainers based on the
- * default confguration. All those are bundled in an object and returned.
+ * Creates renderer, stage, groupContainer, nodeContainer and edgeContainers
+ * based on the default confguration. All those are bundled in an object and
+ * returned.
  *
  * @param {Object} [conf]
  * The configuration to use.
@@ -112,6 +115,9 @@ export default function makeView(conf = {}) {
 
     const stage                 = new PIXI.Container();
 
+    const groupContainer        = new PIXI.Container();
+    stage.addChild(groupContainer);
+
     const edges                 = new PIXI.Container();
     const selectedEdgeContainer = new PIXI.Container();
     const edgeContainer         = new PIXI.Container();
@@ -134,6 +140,7 @@ export default function makeView(conf = {}) {
     return {
         renderer: makeRenderer(conf),
         stage,
+        groupContainer,
         selectedNodeContainer,
         nodeContainer,
         selectedEdgeContainer,
@@ -172,11 +179,7 @@ function makeRenderer(conf) {
  * The created renderer.
  */
 function makeAutoDetectedRenderer(conf) {
-    return PIXI.autoDetectRenderer(conf.renderer.width, conf.renderer.height, {
-        autoResize:      conf.renderer.autoResize,
-        resolution:      conf.renderer.resolution,
-        backgroundColor: conf.backgroundColor.hex
-    });
+    return PIXI.autoDetectRenderer(...getRendererArgs(conf));
 }
 
 /**
@@ -189,11 +192,7 @@ function makeAutoDetectedRenderer(conf) {
  * The created renderer.
  */
 function makeWebGLRenderer(conf) {
-    return new PIXI.WebGLRenderer(conf.renderer.width, conf.renderer.height, {
-        autoResize:      conf.renderer.autoResize,
-        resolution:      conf.renderer.resolution,
-        backgroundColor: conf.backgroundColor.hex
-    });
+    return new PIXI.WebGLRenderer(...getRendererArgs(conf));
 }
 
 /**
@@ -206,11 +205,31 @@ function makeWebGLRenderer(conf) {
  * The created renderer.
  */
 function makeCanvasRenderer(conf) {
-    return new PIXI.CanvasRenderer(conf.renderer.width, conf.renderer.height, {
+    return new PIXI.CanvasRenderer(...getRendererArgs(conf));
+}
+
+/**
+ * Computes the arguments of the renderer constructors. Values set to "auto"
+ * are read from the browser or replaced by fallbacks if there is none.
+ *
+ * @param {Object} conf
+ * The configuration to use.
+ *
+ * @return {Array}
+ * The width, the height and the options of the renderer.
+ */
+function getRendererArgs(conf) {
+    const hasScreen = typeof screen !== "undefined";
+    const width     = conf.renderer.width  === "auto" ? (hasScreen ? screen.width  : 800) : conf.renderer.width;
+    const height    = conf.renderer.height === "auto" ? (hasScreen ? screen.height : 600) : conf.renderer.height;
+
+    return [width, height, {
         autoResize:      conf.renderer.autoResize,
-        resolution:      conf.renderer.resolution,
+        resolution:      conf.renderer.resolution === "auto" ?
+            utils.getDevicePixelRatio() :
+            conf.renderer.resolution,
         backgroundColor: conf.backgroundColor.hex
-    });
+    }];
 }
 
 /**
@@ -0,0 +1,166 @@
+import {Vec2} from "@ignavia/ella";
+
+import * as utils from "../utils.js";
+import * as svg   from "../io/svg.js";
+
+/**
+ * Encloses the member nodes of a group and shows its title.
+ */
+export default class GroupGraphic extends PIXI.Container {
+
+    /**
+     * @param {Object} conf
+     * The complete configuration of the group visualizer. It is used to draw
+     * the outline whenever the members move.
+     */
+    constructor(conf) {
+        super();
+
+        /**
+         * The configuration of the group visualizer.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.conf = conf;
+
+        /**
+         * The graphics object the outline is drawn on.
+         *
+         * @type {Graphics}
+         * @private
+         */
+        this.outline = new PIXI.Graphics();
+        this.addChild(this.outline);
+
+        /**
+         * The title of the group. This is undefined if the group has no label.
+         *
+         * @type {DisplayObject}
+         * @private
+         */
+        this.title = undefined;
+        if (conf.title.text.label !== "") {
+            this.title = utils.makeBoxedLabel(conf.title, conf.title.text.label);
+            this.addChild(this.title);
+        }
+
+        /**
+         * The rectangle around the members without the padding.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.memberBounds = undefined;
+    }
+
+    /**
+     * Redraws the outline so it encloses the given rectangles.
+     *
+     * @param {Array<Object>} rects
+     * The rectangles around the member nodes. Each one has the properties x,
+     * y, width and height.
+     */
+    update(rects) {
+        this.outline.clear();
+
+        if (rects.length === 0) {
+            this.memberBounds = undefined;
+            if (this.title) {
+                this.title.visible = false;
+            }
+            return;
+        }
+
+        const {shape, padding, backgroundColor, border} = this.conf;
+
+        const minX = Math.min(...rects.map(r => r.x));
+        const minY = Math.min(...rects.map(r => r.y));
+        const maxX = Math.max(...rects.map(r => r.x + r.width));
+        const maxY = Math.max(...rects.map(r => r.y + r.height));
+        this.memberBounds = {minX, minY, maxX, maxY};
+
+        this.outline.lineStyle(border.width, border.color.hex, border.color.alpha);
+        this.outline.beginFill(backgroundColor.hex, backgroundColor.alpha);
+        if (shape === "hull") {
+            const corners = rects.reduce((acc, {x, y, width, height}) => acc.concat([
+                new Vec2(x         - padding, y          - padding),
+                new Vec2(x + width + padding, y          - padding),
+                new Vec2(x + width + padding, y + height + padding),
+                new Vec2(x         - padding, y + height + padding),
+            ]), []);
+            const hull = convexHull(corners);
+            this.outline.drawPolygon(hull.reduce((acc, p) => acc.concat([p.x, p.y]), []));
+        } else {
+            this.outline.drawRoundedRect(
+                minX - padding,
+                minY - padding,
+                maxX - minX + 2 * padding,
+                maxY - minY + 2 * padding,
+                border.radius
+            );
+        }
+        this.outline.endFill();
+
+        if (this.title) {
+            this.title.visible = true;
+            this.title.x = (minX + maxX) / 2;
+            this.title.y = minY - padding;
+        }
+    }
+
+    /**
+     * Returns the center of the rectangle around the members.
+     *
+     * @return {Vec2}
+     * The center or undefined if the group has no visible members.
+     */
+    getCenter() {
+        if (!this.memberBounds) {
+            return undefined;
+        }
+        const {minX, minY, maxX, maxY} = this.memberBounds;
+        return new Vec2((minX + maxX) / 2, (minY + maxY) / 2);
+    }
+
+    /**
+     * Creates the SVG markup of this group.
+     *
+     * @return {String}
+     * The SVG markup.
+     */
+    toSVG() {
+        return svg.fromDisplayObject(this);
+    }
+}
+
+/**
+ * Computes the convex hull of the given points with the monotone chain
+ * algorithm.
+ *
+ * @param {Array<Vec2>} points
+ * The points to enclose.
+ *
+ * @return {Array<Vec2>}
+ * The corners of the hull in counterclockwise order.
+ *
+ * @ignore
+ */
+function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross  = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+    const half = list => {
+        const result = [];
+        for (let p of list) {
+            while (result.length >= 2 && cross(result[result.length - 2], result[result.length - 1], p) <= 0) {
+                result.pop();
+            }
+            result.push(p);
+        }
+        result.pop();
+        return result;
+    };
+
+    return half(sorted).concat(half(sorted.reverse()));
+}
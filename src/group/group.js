@@ -0,0 +1,3 @@
+export GroupGraphic    from "./GroupGraphic.js";
+
+export groupVisualizer from "./visualizer.js";
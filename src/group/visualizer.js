@@ -0,0 +1,138 @@
+import {Color, predefinedColors} from "@ignavia/util";
+
+import GroupGraphic                      from "./GroupGraphic.js";
+import {defaultConf as labelledConf}     from "../node/styles/labelledStyle.js";
+import * as utils                        from "../utils.js";
+
+/**
+ * The default configuration of this visualizer.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The shape of the outline. The values "rect" and "hull" are supported.
+     * "rect" draws a rounded rectangle around the members and "hull" their
+     * convex hull.
+     *
+     * @type {String}
+     */
+    shape: "rect",
+
+    /**
+     * The space between the members and the outline.
+     *
+     * @type {Number}
+     */
+    padding: 20,
+
+    /**
+     * The color to fill the outline with.
+     *
+     * @type {Color}
+     */
+    backgroundColor: new Color(211, 211, 211, 0.3),
+
+    /**
+     * How the border of the outline should look.
+     *
+     * @type {Object}
+     */
+    border: {
+
+        /**
+         * The color of the border.
+         *
+         * @type {Color}
+         */
+        color: predefinedColors.gray,
+
+        /**
+         * The radius of the corners. This option only works when the shape is
+         * set to "rect".
+         *
+         * @type {Number}
+         */
+        radius: 10,
+
+        /**
+         * The width of the border.
+         *
+         * @type {Number}
+         */
+        width: 2
+    },
+
+    /**
+     * How the title should look. This has the same structure as the
+     * configuration of the labelled node style. The title is drawn centered
+     * on the top border. Leave the label empty to hide it.
+     *
+     * @type {Object}
+     */
+    title: utils.adjustConf(labelledConf, {
+        box: {
+            border: {
+                color: predefinedColors.gray,
+                width: 1
+            },
+            padding: 4,
+            shape:   "roundedRect"
+        },
+        text: {
+            font: {
+                size: 14
+            }
+        }
+    }),
+
+    /**
+     * The configuration of the node visualizer to use for the proxy node that
+     * replaces the members while the group is collapsed. If this is
+     * undefined, a draggable labelled node that looks like the title is used.
+     *
+     * @type {Object}
+     */
+    proxy: undefined,
+
+    /**
+     * The configuration of the edge visualizer to use for the edges that
+     * connect the proxy node to the rest of the graph. Parallel edges are
+     * aggregated into one. A function can be given instead, which gets the
+     * IDs of the aggregated edges and returns the configuration. If this is
+     * undefined, the configuration of the first aggregated edge is used.
+     *
+     * @type {Object|Function}
+     */
+    proxyEdge: undefined
+};
+
+/**
+ * Makes the display object that encloses the members of a group.
+ *
+ * @param {Object} conf
+ * The configuration of the visualizer. Check the default configuration to see
+ * the structure of this object.
+ *
+ * @return {GroupGraphic}
+ * The created display object. Call its update method to redraw the outline.
+ */
+export default function makeGroupGraphic(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    if (!conf.proxy) {
+        conf.proxy = {
+            style: {
+                type: "labelled",
+                conf: conf.title
+            },
+            behaviors: [{
+                type: "draggable",
+                conf: {}
+            }]
+        };
+    }
+
+    return new GroupGraphic(conf);
+};
@@ -0,0 +1,194 @@
+/**
+ * The default configuration of the headless environment.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * Creates a canvas with the given width and height, for example the
+     * createCanvas function of node-canvas. If this is omitted, a stub is used
+     * that accepts all drawing commands but does not draw anything. This is
+     * enough to lay out graphs and to export them as SVG.
+     *
+     * @type {Function}
+     */
+    createCanvas: undefined,
+
+    /**
+     * The image class to use for textures loaded from a URL, for example the
+     * Image class of node-canvas. If this is omitted, images never load.
+     *
+     * @type {Function}
+     */
+    Image: undefined,
+
+    /**
+     * The device pixel ratio to report.
+     *
+     * @type {Number}
+     */
+    devicePixelRatio: 1,
+};
+
+/**
+ * Provides the browser globals that PIXI and this library need, so graphs can
+ * be rendered in Node, for example to create thumbnails or to run visual
+ * regression tests. Globals that already exist are not replaced.
+ *
+ * This has to be called before PIXI and the rest of this library are loaded.
+ * Since imports are hoisted, call it in a module of its own that is imported
+ * first or load the library with require afterwards:
+ *
+ *     const {createCanvas, Image} = require("canvas");
+ *     require("@ignavia/draph/dist/headless.js").setupHeadless({createCanvas, Image});
+ *     const draph = require("@ignavia/draph");
+ *
+ * Images are then exported with the "canvas" output of GraphView.exportImage,
+ * since canvases in Node have no toBlob method.
+ *
+ * @param {Object} [conf]
+ * The configuration of the environment. Check the documentation of the default
+ * configuration for the structure of this object.
+ */
+export function setupHeadless(conf = {}) {
+    conf = Object.assign({}, defaultConf, conf);
+
+    const root = global;
+
+    const createCanvas = (width = 300, height = 150) => {
+        const canvas = conf.createCanvas ?
+            conf.createCanvas(width, height) :
+            makeStubCanvas(width, height);
+        return makeElement(canvas);
+    };
+
+    const document = makeElement({
+        createElement:   tagName => tagName.toLowerCase() === "canvas" ? createCanvas() : makeElement({tagName}),
+        documentElement: makeElement({}),
+        body:            makeElement({}),
+    });
+
+    const window = root.window || root;
+    define(window, "devicePixelRatio",      conf.devicePixelRatio);
+    define(window, "addEventListener",      () => {});
+    define(window, "removeEventListener",   () => {});
+    define(window, "document",              document);
+    define(window, "requestAnimationFrame", callback => setTimeout(() => callback(Date.now()), 1000 / 60));
+    define(window, "cancelAnimationFrame",  id => clearTimeout(id));
+
+    define(root, "window",                root);
+    define(root, "document",              window.document);
+    define(root, "navigator",             {userAgent: "node"});
+    define(root, "Image",                 conf.Image || StubImage);
+    define(root, "requestAnimationFrame", window.requestAnimationFrame);
+    define(root, "cancelAnimationFrame",  window.cancelAnimationFrame);
+}
+
+/**
+ * Sets the given property if the object does not have it yet.
+ *
+ * @param {Object} obj
+ * The object to change.
+ *
+ * @param {String} key
+ * The name of the property.
+ *
+ * @param {*} value
+ * The value to set.
+ */
+function define(obj, key, value) {
+    if (obj[key] === undefined) {
+        obj[key] = value;
+    }
+}
+
+/**
+ * Adds the members of DOM elements that PIXI and the behaviors use, so the
+ * given object can stand in for one. Only non-2D contexts are disabled, which
+ * makes PIXI fall back to the canvas renderer.
+ *
+ * @param {Object} obj
+ * The object to extend.
+ *
+ * @return {Object}
+ * The extended object.
+ */
+function makeElement(obj) {
+    define(obj, "style",               {});
+    define(obj, "addEventListener",    () => {});
+    define(obj, "removeEventListener", () => {});
+    define(obj, "appendChild",         child => child);
+    define(obj, "removeChild",         child => child);
+    define(obj, "setAttribute",        () => {});
+
+    if (typeof obj.getContext === "function") {
+        const getContext = obj.getContext.bind(obj);
+        obj.getContext = (type, ...rest) => type === "2d" ? getContext(type, ...rest) : null;
+    }
+
+    return obj;
+}
+
+/**
+ * Creates a canvas that ignores all drawing commands.
+ *
+ * @param {Number} width
+ * The width of the canvas.
+ *
+ * @param {Number} height
+ * The height of the canvas.
+ *
+ * @return {Object}
+ * The created canvas.
+ */
+function makeStubCanvas(width, height) {
+    const canvas = {
+        width,
+        height,
+        getContext: () => context,
+        toDataURL:  () => "data:,",
+    };
+
+    const members = {
+        canvas,
+        measureText:          text => ({width: String(text).length * 7}),
+        getImageData:         (x, y, w, h) => ({data: new Uint8ClampedArray(w * h * 4)}),
+        createImageData:      (w, h) => ({data: new Uint8ClampedArray(w * h * 4)}),
+        createPattern:        () => ({}),
+        createLinearGradient: () => ({addColorStop: () => {}}),
+        createRadialGradient: () => ({addColorStop: () => {}}),
+    };
+
+    // Every other property can be set and read, unknown methods do nothing
+    const context = new Proxy(members, {
+        get: (target, key) => key in target ? target[key] : () => {},
+    });
+
+    return canvas;
+}
+
+/**
+ * An image that never loads.
+ */
+class StubImage {
+
+    /**
+     * Creates an empty image.
+     */
+    constructor() {
+        this.width    = 0;
+        this.height   = 0;
+        this.complete = false;
+    }
+
+    /**
+     * Does nothing.
+     */
+    addEventListener() {}
+
+    /**
+     * Does nothing.
+     */
+    removeEventListener() {}
+}
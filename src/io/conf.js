@@ -0,0 +1,71 @@
+import _ from "lodash";
+
+import {Vec2}  from "@ignavia/ella";
+import {Color} from "@ignavia/util";
+
+import * as utils from "../utils.js";
+
+/**
+ * Turns a configuration into a value that can be passed to JSON.stringify.
+ * Colors, vectors, maps and sets are replaced by objects with a "$type"
+ * property, so decode can restore them. Functions cannot be serialized and are
+ * dropped.
+ *
+ * @param {*} value
+ * The value to encode.
+ *
+ * @return {*}
+ * The encoded value.
+ */
+export function encode(value) {
+    if (value instanceof Color) {
+        return {$type: "Color", hex: value.hex, alpha: value.alpha};
+    }
+    if (value instanceof Vec2) {
+        return {$type: "Vec2", x: value.x, y: value.y};
+    }
+    if (value instanceof Map) {
+        return {$type: "Map", entries: [...value].map(([k, v]) => [encode(k), encode(v)])};
+    }
+    if (value instanceof Set) {
+        return {$type: "Set", values: [...value].map(encode)};
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => v === undefined || typeof v === "function" ? null : encode(v));
+    }
+    if (_.isPlainObject(value)) {
+        return _.mapValues(_.omitBy(value, v => v === undefined || typeof v === "function"), encode);
+    }
+    return value;
+}
+
+/**
+ * Restores a value created by encode.
+ *
+ * @param {*} value
+ * The value to decode.
+ *
+ * @return {*}
+ * The decoded value.
+ */
+export function decode(value) {
+    if (Array.isArray(value)) {
+        return value.map(decode);
+    }
+    if (!_.isPlainObject(value)) {
+        return value;
+    }
+
+    switch (value.$type) {
+    case "Color":
+        return utils.hexToColor(value.hex, value.alpha);
+    case "Vec2":
+        return new Vec2(value.x, value.y);
+    case "Map":
+        return new Map(value.entries.map(([k, v]) => [decode(k), decode(v)]));
+    case "Set":
+        return new Set(value.values.map(decode));
+    default:
+        return _.mapValues(value, decode);
+    }
+}
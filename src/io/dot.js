@@ -0,0 +1,1029 @@
+import _ from "lodash";
+
+import {Vec2}                      from "@ignavia/ella";
+import {Graph, Node, Edge, Layout} from "@ignavia/earl";
+import {predefinedColors}          from "@ignavia/util";
+
+import {defaultConf as labelledDefaultConf} from "../node/styles/labelledStyle.js";
+
+import * as utils from "../utils.js";
+
+/**
+ * Maps from DOT shapes to the shapes of the labelled style.
+ *
+ * @type {Object}
+ */
+const shapes = {
+    box:       "rect",
+    rect:      "rect",
+    rectangle: "rect",
+    square:    "rect",
+    ellipse:   "ellipse",
+    oval:      "ellipse",
+    circle:    "circle",
+};
+
+/**
+ * Maps from DOT line styles to dash patterns. The lengths are multiplied by
+ * the width of the line.
+ *
+ * @type {Object}
+ */
+const dashes = {
+    dashed: [3, 2],
+    dotted: [1, 2],
+};
+
+/**
+ * Matches unquoted IDs, which are either names or numerals.
+ *
+ * @type {RegExp}
+ */
+const idPattern = /-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+
+/**
+ * The node attributes that are turned into the configuration of the labelled
+ * style.
+ *
+ * @type {Array<String>}
+ */
+const nodeAttributes = [
+    "label", "shape", "style", "color", "fillcolor", "fontcolor", "fontname",
+    "fontsize", "penwidth", "pos",
+];
+
+/**
+ * The edge attributes that are turned into the configuration of the edge
+ * visualizer.
+ *
+ * @type {Array<String>}
+ */
+const edgeAttributes = [
+    "id", "label", "style", "color", "fontcolor", "fontname", "fontsize",
+    "penwidth", "arrowhead", "dir",
+];
+
+/**
+ * Reads a graph in the DOT language of Graphviz. Every node uses the labelled
+ * style, which shows the ID of the node unless a label is set, like in
+ * Graphviz. The following attributes are mapped to the configurations:
+ *
+ * - label, fontcolor, fontname and fontsize to the text of nodes and the
+ *   labelled decal of edges,
+ * - shape (box, rect, rectangle, square, ellipse, oval and circle), color,
+ *   fillcolor, penwidth and the style values "filled" and "rounded" to the
+ *   box of nodes,
+ * - color, penwidth and the style values "dashed" and "dotted" to the line of
+ *   edges,
+ * - arrowhead and dir to the arrow style. Arrows starting with "o", like
+ *   "onormal", are hollow.
+ * - pos of nodes to the layout. The y-axis is flipped, since it points upwards
+ *   in Graphviz.
+ *
+ * Other attributes and values that cannot be mapped are kept in the "dot"
+ * object of the node style configuration and the line style configuration, so
+ * custom styles can use them. Ports and subgraph clusters are ignored, but
+ * subgraphs still scope default attributes and can be used as edge endpoints.
+ *
+ * @param {String} source
+ * The DOT source.
+ *
+ * @return {Object}
+ * An object with the graph, the layout, the nodeConfs and edgeConfs maps that
+ * GraphView takes, the name of the graph, whether it is directed and the
+ * attributes of the graph.
+ */
+export function parse(source) {
+    const parser = new Parser(tokenize(source));
+    const parsed = parser.parseGraph();
+
+    const result = {
+        graph:      new Graph(),
+        layout:     new Layout(),
+        nodeConfs:  new Map(),
+        edgeConfs:  new Map(),
+        name:       parsed.name,
+        directed:   parsed.directed,
+        attributes: parsed.attributes,
+    };
+
+    for (let [id, attributes] of parsed.nodes) {
+        const nodeObj = new Node(id);
+        result.graph.addNodes(nodeObj);
+        result.nodeConfs.set(id, makeNodeConf(id, attributes, parsed));
+
+        const position = parsePosition(attributes.pos);
+        if (position) {
+            result.layout.moveNodeTo(nodeObj, position);
+        }
+    }
+
+    for (let {sourceId, targetId, attributes} of parsed.edges) {
+        const edgeObj = new Edge(sourceId, targetId, attributes.id);
+        result.graph.addEdges(edgeObj);
+        result.edgeConfs.set(edgeObj.id, makeEdgeConf(edgeObj, attributes, parsed));
+    }
+
+    return result;
+}
+
+/**
+ * Writes the given view in the DOT language. The positions of the nodes are
+ * taken from their display objects. The configurations of the labelled node
+ * style and of the edge visualizer are turned into attributes as described in
+ * the documentation of parse. Attributes kept in the "dot" objects of the
+ * configurations are written as well, so a parsed graph can be written back.
+ *
+ * @param {GraphView} graphView
+ * The view to serialize.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.name]
+ * The name of the graph.
+ *
+ * @param {Boolean} [options.directed]
+ * Whether to write a digraph.
+ *
+ * @return {String}
+ * The DOT source.
+ */
+export function serialize(graphView, {name = "G", directed = true} = {}) {
+    const edgeOp = directed ? "->" : "--";
+    const lines  = [`${directed ? "digraph" : "graph"} ${quote(name)} {`];
+
+    for (let nodeObj of graphView.graph.iterNodes()) {
+        const attributes    = writeNodeConf(graphView.nodeConfs.get(nodeObj.id));
+        const displayObject = graphView.getNodeDisplayObjectById(nodeObj.id);
+        if (displayObject) {
+            attributes.pos = `${displayObject.x},${-displayObject.y}!`;
+        }
+        lines.push(`    ${quote(nodeObj.id)}${writeAttributes(attributes)};`);
+    }
+
+    for (let edgeObj of graphView.graph.iterEdges()) {
+        const attributes = Object.assign(
+            {id: edgeObj.id},
+            writeEdgeConf(graphView.edgeConfs.get(edgeObj.id), directed)
+        );
+        lines.push(
+            `    ${quote(edgeObj.sourceId)} ${edgeOp} ${quote(edgeObj.targetId)}` +
+            `${writeAttributes(attributes)};`
+        );
+    }
+
+    lines.push("}");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Splits DOT source into tokens. Comments and preprocessor lines are skipped
+ * and concatenated strings are joined.
+ *
+ * @param {String} source
+ * The DOT source.
+ *
+ * @return {Array<Object>}
+ * The tokens. Each one has a type ("id", "edgeop" or "punctuation"), a value
+ * and for IDs whether it was quoted.
+ */
+function tokenize(source) {
+    const result = [];
+    let   i      = 0;
+
+    const fail = message => {
+        const line = source.slice(0, i).split("\n").length;
+        throw new Error(`${message} in line ${line} of the DOT source.`);
+    };
+
+    while (i < source.length) {
+        const c = source[i];
+
+        if (/\s/.test(c)) {
+            i++;
+        } else if (source.startsWith("//", i) || (c === "#" && (i === 0 || source[i - 1] === "\n"))) {
+            const end = source.indexOf("\n", i);
+            i = end === -1 ? source.length : end;
+        } else if (source.startsWith("/*", i)) {
+            const end = source.indexOf("*/", i + 2);
+            if (end === -1) {
+                fail("Unterminated comment");
+            }
+            i = end + 2;
+        } else if (source.startsWith("->", i) || source.startsWith("--", i)) {
+            result.push({type: "edgeop", value: source.substr(i, 2)});
+            i += 2;
+        } else if ("{}[]=;,:".includes(c)) {
+            result.push({type: "punctuation", value: c});
+            i++;
+        } else if (c === '"') {
+            let value = "";
+            i++;
+            while (source[i] !== '"') {
+                if (i >= source.length) {
+                    fail("Unterminated string");
+                }
+                if (source[i] === "\\" && source[i + 1] === '"') {
+                    value += '"';
+                    i     += 2;
+                } else if (source[i] === "\\" && source[i + 1] === "\\") {
+                    value += "\\\\";
+                    i     += 2;
+                } else if (source[i] === "\\" && source[i + 1] === "\n") {
+                    i += 2;
+                } else {
+                    value += source[i++];
+                }
+            }
+            i++;
+
+            const previous = result[result.length - 1];
+            if (previous && previous.concatenate) {
+                previous.value      += value;
+                previous.concatenate = false;
+            } else {
+                result.push({type: "id", value, quoted: true});
+            }
+        } else if (c === "+" && result.length > 0 && result[result.length - 1].quoted) {
+            result[result.length - 1].concatenate = true;
+            i++;
+        } else if (c === "<") {
+            let depth = 0;
+            const start = i;
+            do {
+                if (i >= source.length) {
+                    fail("Unterminated HTML string");
+                }
+                if (source[i] === "<") {
+                    depth++;
+                } else if (source[i] === ">") {
+                    depth--;
+                }
+                i++;
+            } while (depth > 0);
+            result.push({type: "id", value: source.slice(start + 1, i - 1), quoted: true});
+        } else {
+            idPattern.lastIndex = i;
+            const match = idPattern.exec(source);
+            if (!match) {
+                fail(`Unexpected character "${c}"`);
+            }
+            result.push({type: "id", value: match[0], quoted: false});
+            i += match[0].length;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * A recursive descent parser for the DOT language.
+ *
+ * @ignore
+ */
+class Parser {
+
+    /**
+     * @param {Array<Object>} tokens
+     * The tokens created by tokenize.
+     */
+    constructor(tokens) {
+
+        /**
+         * The tokens to parse.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this.tokens = tokens;
+
+        /**
+         * The index of the current token.
+         *
+         * @type {Number}
+         * @private
+         */
+        this.index = 0;
+
+        /**
+         * Maps from node IDs to their attributes in the order of their first
+         * appearance.
+         *
+         * @type {Map<String, Object>}
+         * @private
+         */
+        this.nodes = new Map();
+
+        /**
+         * The edges with their source ID, target ID and attributes.
+         *
+         * @type {Array<Object>}
+         * @private
+         */
+        this.edges = [];
+
+        /**
+         * The attributes of the graph.
+         *
+         * @type {Object}
+         * @private
+         */
+        this.attributes = {};
+    }
+
+    /**
+     * Parses a complete graph.
+     *
+     * @return {Object}
+     * The name of the graph, whether it is directed, its attributes, nodes and
+     * edges.
+     */
+    parseGraph() {
+        this.acceptKeyword("strict");
+        let directed = false;
+        if (this.acceptKeyword("digraph")) {
+            directed = true;
+        } else {
+            this.expectKeyword("graph");
+        }
+
+        const name = this.peek().type === "id" ? this.next().value : "";
+        this.parseBlock({node: {}, edge: {}}, true);
+
+        if (this.index < this.tokens.length) {
+            this.fail("Expected the end of the source");
+        }
+
+        return {
+            name,
+            directed,
+            attributes: this.attributes,
+            nodes:      this.nodes,
+            edges:      this.edges,
+        };
+    }
+
+    /**
+     * Parses a list of statements in braces.
+     *
+     * @param {Object} defaults
+     * The default attributes of nodes and edges of the enclosing scope. They
+     * are copied, so changes do not leak out of the block.
+     *
+     * @param {Boolean} isRoot
+     * Whether this is the body of the graph.
+     *
+     * @return {Set<String>}
+     * The IDs of the nodes that appear in the block.
+     */
+    parseBlock(defaults, isRoot) {
+        const scope = {node: Object.assign({}, defaults.node), edge: Object.assign({}, defaults.edge)};
+        const nodes = new Set();
+
+        this.expect("{");
+        while (!this.accept("}")) {
+            this.parseStatement(scope, nodes, isRoot);
+            this.accept(";");
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Parses a single statement.
+     *
+     * @param {Object} scope
+     * The default attributes of nodes and edges.
+     *
+     * @param {Set<String>} nodes
+     * The IDs of the nodes in the current block.
+     *
+     * @param {Boolean} isRoot
+     * Whether the statement is part of the body of the graph.
+     */
+    parseStatement(scope, nodes, isRoot) {
+        const token = this.peek();
+
+        if (this.isKeyword(token, "graph") || this.isKeyword(token, "node") || this.isKeyword(token, "edge")) {
+            const kind       = this.next().value.toLowerCase();
+            const attributes = this.parseAttributeLists();
+            if (kind !== "graph") {
+                Object.assign(scope[kind], attributes);
+            } else if (isRoot) {
+                Object.assign(this.attributes, attributes);
+            }
+            return;
+        }
+
+        if (token.type === "id" && !this.isKeyword(token, "subgraph") && this.peek(1).value === "=") {
+            const key = this.next().value;
+            this.next();
+            const value = this.expectId();
+            if (isRoot) {
+                this.attributes[key] = value;
+            }
+            return;
+        }
+
+        let endpoints = this.parseEndpoint(scope, nodes);
+        if (this.peek().type !== "edgeop") {
+            if (endpoints.isNode) {
+                this.updateNode(endpoints.ids[0], this.parseAttributeLists());
+            }
+            return;
+        }
+
+        const chain = [endpoints];
+        while (this.peek().type === "edgeop") {
+            this.next();
+            endpoints = this.parseEndpoint(scope, nodes);
+            chain.push(endpoints);
+        }
+
+        const attributes = Object.assign({}, scope.edge, this.parseAttributeLists());
+        for (let i = 1; i < chain.length; i++) {
+            for (let sourceId of chain[i - 1].ids) {
+                for (let targetId of chain[i].ids) {
+                    this.edges.push({sourceId, targetId, attributes: Object.assign({}, attributes)});
+                }
+            }
+        }
+    }
+
+    /**
+     * Parses a node ID or a subgraph.
+     *
+     * @param {Object} scope
+     * The default attributes of nodes and edges.
+     *
+     * @param {Set<String>} nodes
+     * The IDs of the nodes in the current block.
+     *
+     * @return {Object}
+     * The IDs of the nodes and whether it was a single node.
+     */
+    parseEndpoint(scope, nodes) {
+        const token = this.peek();
+        if (this.isKeyword(token, "subgraph") || token.value === "{") {
+            if (this.acceptKeyword("subgraph") && this.peek().type === "id") {
+                this.next();
+            }
+            const ids = this.parseBlock(scope, false);
+            ids.forEach(id => nodes.add(id));
+            return {ids: [...ids], isNode: false};
+        }
+
+        const id = this.expectId();
+        if (this.accept(":")) {
+            this.expectId();
+            if (this.accept(":")) {
+                this.expectId();
+            }
+        }
+
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, Object.assign({}, scope.node));
+        }
+        nodes.add(id);
+        return {ids: [id], isNode: true};
+    }
+
+    /**
+     * Parses a sequence of attribute lists in brackets.
+     *
+     * @return {Object}
+     * The attributes.
+     */
+    parseAttributeLists() {
+        const result = {};
+        while (this.accept("[")) {
+            while (!this.accept("]")) {
+                const key = this.expectId();
+                this.expect("=");
+                result[key] = this.expectId();
+                this.accept(";") || this.accept(",");
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Adds attributes to an existing node.
+     *
+     * @param {String} id
+     * The ID of the node.
+     *
+     * @param {Object} attributes
+     * The attributes to add.
+     */
+    updateNode(id, attributes) {
+        Object.assign(this.nodes.get(id), attributes);
+    }
+
+    /**
+     * Returns a token without consuming it.
+     *
+     * @param {Number} [offset]
+     * How far to look ahead.
+     *
+     * @return {Object}
+     * The token. At the end of the source an empty token is returned.
+     */
+    peek(offset = 0) {
+        return this.tokens[this.index + offset] || {type: "end", value: undefined};
+    }
+
+    /**
+     * Consumes the current token.
+     *
+     * @return {Object}
+     * The token.
+     */
+    next() {
+        const result = this.peek();
+        if (result.type === "end") {
+            this.fail("Unexpected end of the source");
+        }
+        this.index++;
+        return result;
+    }
+
+    /**
+     * Consumes the current token if it is the given punctuation.
+     *
+     * @param {String} value
+     * The expected punctuation.
+     *
+     * @return {Boolean}
+     * Whether the token was consumed.
+     */
+    accept(value) {
+        const token = this.peek();
+        if (token.type === "punctuation" && token.value === value) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consumes the given punctuation or fails.
+     *
+     * @param {String} value
+     * The expected punctuation.
+     */
+    expect(value) {
+        if (!this.accept(value)) {
+            this.fail(`Expected "${value}"`);
+        }
+    }
+
+    /**
+     * Consumes an ID or fails.
+     *
+     * @return {String}
+     * The value of the ID.
+     */
+    expectId() {
+        if (this.peek().type !== "id") {
+            this.fail("Expected an ID");
+        }
+        return this.next().value;
+    }
+
+    /**
+     * Checks whether the given token is an unquoted keyword. Keywords are
+     * case-insensitive.
+     *
+     * @param {Object} token
+     * The token to check.
+     *
+     * @param {String} keyword
+     * The keyword.
+     *
+     * @return {Boolean}
+     * Whether the token is the keyword.
+     */
+    isKeyword(token, keyword) {
+        return token.type === "id" && !token.quoted && token.value.toLowerCase() === keyword;
+    }
+
+    /**
+     * Consumes the current token if it is the given keyword.
+     *
+     * @param {String} keyword
+     * The expected keyword.
+     *
+     * @return {Boolean}
+     * Whether the token was consumed.
+     */
+    acceptKeyword(keyword) {
+        if (this.isKeyword(this.peek(), keyword)) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consumes the given keyword or fails.
+     *
+     * @param {String} keyword
+     * The expected keyword.
+     */
+    expectKeyword(keyword) {
+        if (!this.acceptKeyword(keyword)) {
+            this.fail(`Expected "${keyword}"`);
+        }
+    }
+
+    /**
+     * Throws an error that points to the current token.
+     *
+     * @param {String} message
+     * Describes the problem.
+     */
+    fail(message) {
+        const token = this.peek();
+        const found = token.type === "end" ? "the end of the source" : `"${token.value}"`;
+        throw new Error(`${message}, but found ${found} in the DOT source.`);
+    }
+}
+
+/**
+ * Turns the attributes of a node into the configuration of the node
+ * visualizer.
+ *
+ * @param {String} id
+ * The ID of the node.
+ *
+ * @param {Object} attributes
+ * The attributes of the node.
+ *
+ * @param {Object} graph
+ * The parsed graph. Its name is used to expand escape sequences.
+ *
+ * @return {Object}
+ * The configuration.
+ */
+function makeNodeConf(id, attributes, graph) {
+    const styles = parseStyle(attributes.style);
+    const conf   = {
+        box:  {border: {}},
+        text: makeTextConf(attributes, {N: id, G: graph.name}, id),
+        dot:  _.omit(attributes, nodeAttributes),
+    };
+
+    const shape = (attributes.shape || "ellipse").toLowerCase();
+    if (shapes[shape]) {
+        conf.box.shape = shapes[shape] === "rect" && styles.includes("rounded") ? "roundedRect" : shapes[shape];
+    } else {
+        conf.dot.shape = attributes.shape;
+    }
+
+    const color = parseColorList(attributes.color);
+    if (color) {
+        conf.box.border.color = color;
+    }
+    if (styles.includes("filled")) {
+        conf.box.backgroundColor = parseColorList(attributes.fillcolor) || color || utils.hexToColor(0xd3d3d3);
+    }
+    if (attributes.penwidth !== undefined) {
+        conf.box.border.width = Number(attributes.penwidth);
+    }
+
+    return {style: {type: "labelled", conf}};
+}
+
+/**
+ * Turns the attributes of an edge into the configuration of the edge
+ * visualizer.
+ *
+ * @param {Edge} edgeObj
+ * The edge object.
+ *
+ * @param {Object} attributes
+ * The attributes of the edge.
+ *
+ * @param {Object} graph
+ * The parsed graph. Its name and whether it is directed are used.
+ *
+ * @return {Object}
+ * The configuration.
+ */
+function makeEdgeConf(edgeObj, attributes, graph) {
+    const styles = parseStyle(attributes.style);
+    const color  = parseColorList(attributes.color);
+    const line   = {dot: _.omit(attributes, edgeAttributes)};
+    const result = {lineStyle: {type: "linear", conf: line}};
+
+    if (color) {
+        line.color = color;
+    }
+    if (attributes.penwidth !== undefined) {
+        line.width = Number(attributes.penwidth);
+    }
+    const dash = styles.map(s => dashes[s]).find(d => d !== undefined);
+    if (dash) {
+        const width = line.width || 2;
+        line.dash = dash.map(length => length * width);
+    }
+
+    const dir       = attributes.dir || (graph.directed ? "forward" : "none");
+    const arrowhead = (attributes.arrowhead || "normal").toLowerCase();
+    if (dir === "none" || dir === "back" || arrowhead === "none") {
+        result.arrowStyle = {type: "empty"};
+    } else {
+        const arrowColor = color || predefinedColors.black;
+        result.arrowStyle = {
+            type: "triangle",
+            conf: {
+                backgroundColor: arrowhead.startsWith("o") ? predefinedColors.white : arrowColor,
+                border:          {color: arrowColor},
+            },
+        };
+    }
+    if (dir === "back" || dir === "both") {
+        line.dot.dir = dir;
+    }
+
+    if (attributes.label !== undefined) {
+        const arrow = graph.directed ? "->" : "--";
+        result.decalStyle = {
+            type: "labelled",
+            conf: {
+                text: makeTextConf(attributes, {
+                    E: `${edgeObj.sourceId}${arrow}${edgeObj.targetId}`,
+                    T: edgeObj.sourceId,
+                    H: edgeObj.targetId,
+                    G: graph.name,
+                }, ""),
+            },
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Creates the text configuration of a labelled style.
+ *
+ * @param {Object} attributes
+ * The attributes of the node or edge.
+ *
+ * @param {Object} escapes
+ * Maps from the letters of escape sequences like "\N" to their replacement.
+ *
+ * @param {String} defaultLabel
+ * The label to use if no label attribute is set.
+ *
+ * @return {Object}
+ * The text configuration.
+ */
+function makeTextConf(attributes, escapes, defaultLabel) {
+    const result = {
+        label: attributes.label !== undefined ? expandEscapes(attributes.label, escapes) : defaultLabel,
+        font:  {},
+    };
+
+    const color = parseColorList(attributes.fontcolor);
+    if (color) {
+        result.fillColor = color;
+    }
+    if (attributes.fontname !== undefined) {
+        result.font.family = attributes.fontname;
+    }
+    if (attributes.fontsize !== undefined) {
+        result.font.size = Number(attributes.fontsize);
+    }
+
+    return result;
+}
+
+/**
+ * Replaces the escape sequences of Graphviz labels. Line breaks like "\n",
+ * "\l" and "\r" become newlines.
+ *
+ * @param {String} label
+ * The label to expand.
+ *
+ * @param {Object} escapes
+ * Maps from letters to their replacement.
+ *
+ * @return {String}
+ * The expanded label.
+ */
+function expandEscapes(label, escapes) {
+    return label.replace(/\\(.)/g, (match, c) => {
+        if ("nlr".includes(c)) {
+            return "\n";
+        }
+        return escapes[c] !== undefined ? escapes[c] : c;
+    });
+}
+
+/**
+ * Splits the value of a style attribute.
+ *
+ * @param {String} [style]
+ * The value to split.
+ *
+ * @return {Array<String>}
+ * The individual styles in lower case.
+ */
+function parseStyle(style = "") {
+    return style.split(",").map(s => s.trim().toLowerCase()).filter(s => s !== "");
+}
+
+/**
+ * Parses a color of Graphviz. For color lists like "red:blue" the first color
+ * is used.
+ *
+ * @param {String} [s]
+ * The color to parse.
+ *
+ * @return {Color}
+ * The color or undefined if it cannot be parsed.
+ */
+function parseColorList(s) {
+    if (s === undefined) {
+        return undefined;
+    }
+    return utils.parseColor(s.split(":")[0].split(";")[0]);
+}
+
+/**
+ * Parses the pos attribute of a node. The y-axis is flipped.
+ *
+ * @param {String} [pos]
+ * The value of the attribute.
+ *
+ * @return {Vec2}
+ * The position or undefined if it cannot be parsed.
+ */
+function parsePosition(pos) {
+    if (pos === undefined) {
+        return undefined;
+    }
+    const [x, y] = pos.replace("!", "").split(",").map(Number);
+    if (isNaN(x) || isNaN(y)) {
+        return undefined;
+    }
+    return new Vec2(x, -y);
+}
+
+/**
+ * Turns the configuration of a node visualizer into attributes.
+ *
+ * @param {Object} [conf]
+ * The configuration.
+ *
+ * @return {Object}
+ * The attributes.
+ */
+function writeNodeConf(conf = {}) {
+    const style  = _.get(conf, "style.conf", {});
+    const result = Object.assign({}, style.dot);
+    if (_.get(conf, "style.type") !== "labelled") {
+        return result;
+    }
+
+    const merged = utils.adjustConf(labelledDefaultConf, style);
+    const shape  = merged.box.shape === "roundedRect" ? "box" : _.findKey(shapes, s => s === merged.box.shape);
+    Object.assign(result, {
+        label:     escapeLabel(merged.text.label),
+        shape:     result.shape || shape,
+        style:     merged.box.shape === "roundedRect" ? "filled,rounded" : "filled",
+        color:     writeColor(merged.box.border.color),
+        fillcolor: writeColor(merged.box.backgroundColor),
+        penwidth:  merged.box.border.width,
+    }, writeTextConf(merged.text));
+
+    return result;
+}
+
+/**
+ * Turns the configuration of an edge visualizer into attributes.
+ *
+ * @param {Object} [conf]
+ * The configuration.
+ *
+ * @param {Boolean} directed
+ * Whether the graph is directed.
+ *
+ * @return {Object}
+ * The attributes.
+ */
+function writeEdgeConf(conf = {}, directed) {
+    const type     = _.get(conf, "lineStyle.type", "linear");
+    const lineConf = _.get(conf, "lineStyle.conf", {});
+    const line     = type === "linear" ? lineConf : Object.assign({}, lineConf.line);
+    const result   = Object.assign({}, lineConf.dot);
+
+    if (line.color) {
+        result.color = writeColor(line.color);
+    }
+    if (line.width !== undefined) {
+        result.penwidth = line.width;
+    }
+    if (utils.isDashed(line)) {
+        result.style = line.dash[0] <= (line.width || 2) ? "dotted" : "dashed";
+    }
+
+    const arrowType = _.get(conf, "arrowStyle.type", "triangle");
+    if (result.dir === undefined) {
+        if (arrowType === "empty" && directed) {
+            result.arrowhead = "none";
+        } else if (arrowType !== "empty" && !directed) {
+            result.dir = "forward";
+        }
+    }
+
+    if (_.get(conf, "decalStyle.type") === "labelled") {
+        const text = Object.assign({font: {}}, _.get(conf, "decalStyle.conf.text"));
+        Object.assign(result, {label: escapeLabel(text.label || "")}, writeTextConf(text));
+    }
+
+    return result;
+}
+
+/**
+ * Turns the text configuration of a labelled style into attributes.
+ *
+ * @param {Object} text
+ * The text configuration.
+ *
+ * @return {Object}
+ * The attributes.
+ */
+function writeTextConf(text) {
+    const result = {};
+    if (text.fillColor) {
+        result.fontcolor = writeColor(text.fillColor);
+    }
+    if (text.font.family) {
+        result.fontname = text.font.family;
+    }
+    if (text.font.size) {
+        result.fontsize = text.font.size;
+    }
+    return result;
+}
+
+/**
+ * Creates an attribute list.
+ *
+ * @param {Object} attributes
+ * The attributes to write.
+ *
+ * @return {String}
+ * The attribute list or an empty string if there are no attributes.
+ */
+function writeAttributes(attributes) {
+    const entries = _.toPairs(attributes)
+        .filter(([key, value]) => value !== undefined)
+        .map(([key, value]) => `${quote(key)}=${quote(value)}`);
+    return entries.length > 0 ? ` [${entries.join(", ")}]` : "";
+}
+
+/**
+ * Turns a value into a quoted DOT string.
+ *
+ * @param {*} value
+ * The value to quote.
+ *
+ * @return {String}
+ * The quoted string.
+ */
+function quote(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escapes the backslashes and line breaks of a label.
+ *
+ * @param {String} label
+ * The label to escape.
+ *
+ * @return {String}
+ * The escaped label.
+ */
+function escapeLabel(label) {
+    return String(label).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+/**
+ * Turns a color into the notation of Graphviz. The alpha channel is only added
+ * if the color is translucent.
+ *
+ * @param {Color} color
+ * The color to convert.
+ *
+ * @return {String}
+ * The color string.
+ */
+function writeColor(color) {
+    const alpha = color.alpha < 1 ? `00${Math.round(color.alpha * 255).toString(16)}`.slice(-2) : "";
+    return `${utils.hexToCSS(color.hex)}${alpha}`;
+}
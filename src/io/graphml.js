@@ -0,0 +1,716 @@
+import _ from "lodash";
+
+import {Vec2}                      from "@ignavia/ella";
+import {Graph, Node, Edge, Layout} from "@ignavia/earl";
+import {predefinedColors}          from "@ignavia/util";
+
+import {defaultConf as labelledDefaultConf} from "../node/styles/labelledStyle.js";
+
+import * as utils       from "../utils.js";
+import {encode, decode} from "./conf.js";
+import {escapeXML}      from "./svg.js";
+
+/**
+ * The namespace of GraphML.
+ *
+ * @type {String}
+ */
+export const graphMLNamespace = "http://graphml.graphdrawing.org/xmlns";
+
+/**
+ * The namespace of the yFiles extensions.
+ *
+ * @type {String}
+ */
+export const yFilesNamespace = "http://www.yworks.com/xml/graphml";
+
+/**
+ * Maps from yFiles shape types to the shapes of the labelled style.
+ *
+ * @type {Object}
+ */
+const shapes = {
+    rectangle:      "rect",
+    roundrectangle: "roundedRect",
+    ellipse:        "ellipse",
+};
+
+/**
+ * Maps from yFiles edge elements to line styles.
+ *
+ * @type {Object}
+ */
+const lineStyles = {
+    PolyLineEdge:  "linear",
+    GenericEdge:   "linear",
+    QuadCurveEdge: "quadratic",
+    ArcEdge:       "quadratic",
+    BezierEdge:    "cubic",
+    SplineEdge:    "cubic",
+};
+
+/**
+ * Reads a GraphML document. Visual configurations are taken from the data
+ * written by serialize. Documents created by yEd are supported as well: the
+ * geometry of nodes becomes the layout, nodes with a label use the labelled
+ * style and edges keep their line type, color, arrow and label. The geometry
+ * takes precedence over the plain x- and y-coordinates, since yEd only updates
+ * the former. Other data is stored in the attributes object of the node and
+ * edge objects, so it can be accessed with utils.getAttribute.
+ *
+ * @param {String} source
+ * The GraphML document.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {DOMParser} [options.domParser]
+ * The parser to use. Outside of a browser you need to pass one, for example
+ * from the xmldom package.
+ *
+ * @return {Object}
+ * An object with the graph, the layout, the nodeConfs and edgeConfs maps that
+ * GraphView takes and the sets selectedNodes and selectedEdges.
+ */
+export function parse(source, {domParser = new DOMParser()} = {}) {
+    const doc     = domParser.parseFromString(source, "application/xml");
+    const root    = doc.documentElement;
+    const graphEl = getChildren(root, graphMLNamespace, "graph")[0];
+    if (!graphEl) {
+        throw new Error("The document does not contain a graph.");
+    }
+
+    const keys   = readKeys(root);
+    const result = {
+        graph:         new Graph(),
+        layout:        new Layout(),
+        nodeConfs:     new Map(),
+        edgeConfs:     new Map(),
+        selectedNodes: new Set(),
+        selectedEdges: new Set(),
+    };
+
+    for (let nodeEl of getChildren(graphEl, graphMLNamespace, "node")) {
+        const nodeObj = new Node(nodeEl.getAttribute("id"));
+        const data    = readData(nodeEl, keys, "node");
+        const {position, conf} = data.graphics ? readNodeGraphics(data.graphics) : {};
+
+        result.graph.addNodes(nodeObj);
+        readElement(nodeObj, data, conf, result.nodeConfs, result.selectedNodes);
+
+        if (position) {
+            result.layout.moveNodeTo(nodeObj, position);
+        } else if (data.values.has("x") && data.values.has("y")) {
+            result.layout.moveNodeTo(nodeObj, new Vec2(data.values.get("x"), data.values.get("y")));
+        }
+    }
+
+    for (let edgeEl of getChildren(graphEl, graphMLNamespace, "edge")) {
+        const edgeObj = new Edge(
+            edgeEl.getAttribute("source"),
+            edgeEl.getAttribute("target"),
+            edgeEl.getAttribute("id") || undefined
+        );
+        const data = readData(edgeEl, keys, "edge");
+        const conf = data.graphics ? readEdgeGraphics(data.graphics) : undefined;
+
+        result.graph.addEdges(edgeObj);
+        readElement(edgeObj, data, conf, result.edgeConfs, result.selectedEdges);
+    }
+
+    return result;
+}
+
+/**
+ * Writes the given view as a GraphML document. The document contains the
+ * current positions of the nodes, the selection and the configurations of the
+ * node and edge visualizers. The geometry, labels and colors are also written
+ * in the format of yEd. Functions in the configurations, like event handlers,
+ * cannot be serialized and are dropped.
+ *
+ * @param {GraphView} graphView
+ * The view to serialize.
+ *
+ * @return {String}
+ * The GraphML document.
+ */
+export function serialize(graphView) {
+    const keys = [
+        {id: "ng", for: "node", yFilesType: "nodegraphics"},
+        {id: "eg", for: "edge", yFilesType: "edgegraphics"},
+        {id: "x",  for: "node", name: "x",              type: "double"},
+        {id: "y",  for: "node", name: "y",              type: "double"},
+        {id: "ns", for: "node", name: "draph.selected", type: "boolean", default: "false"},
+        {id: "es", for: "edge", name: "draph.selected", type: "boolean", default: "false"},
+        {id: "nc", for: "node", name: "draph.conf",     type: "string"},
+        {id: "ec", for: "edge", name: "draph.conf",     type: "string"},
+    ];
+    const nodeObjs = [...graphView.graph.iterNodes()];
+    const edgeObjs = [...graphView.graph.iterEdges()];
+    const nodeKeys = addAttributeKeys(keys, "node", nodeObjs);
+    const edgeKeys = addAttributeKeys(keys, "edge", edgeObjs);
+
+    const nodes = nodeObjs.map(nodeObj => {
+        const displayObject = graphView.getNodeDisplayObjectById(nodeObj.id);
+        const conf          = graphView.nodeConfs.get(nodeObj.id);
+
+        let content = "";
+        if (displayObject) {
+            content += makeData("ng", writeNodeGraphics(conf, displayObject));
+            content += makeData("x", displayObject.x);
+            content += makeData("y", displayObject.y);
+        }
+        content += writeElement(nodeObj, conf, graphView.selectedNodes, "ns", "nc", nodeKeys);
+
+        return `    <node id="${escapeXML(nodeObj.id)}">\n${content}    </node>\n`;
+    });
+
+    const edges = edgeObjs.map(edgeObj => {
+        const conf = graphView.edgeConfs.get(edgeObj.id);
+
+        let content = makeData("eg", writeEdgeGraphics(conf));
+        content += writeElement(edgeObj, conf, graphView.selectedEdges, "es", "ec", edgeKeys);
+
+        return `    <edge id="${escapeXML(edgeObj.id)}" ` +
+            `source="${escapeXML(edgeObj.sourceId)}" target="${escapeXML(edgeObj.targetId)}">\n` +
+            `${content}    </edge>\n`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<graphml xmlns="${graphMLNamespace}" xmlns:y="${yFilesNamespace}">\n` +
+        keys.map(writeKey).join("") +
+        '  <graph id="G" edgedefault="directed">\n' +
+        nodes.join("") +
+        edges.join("") +
+        "  </graph>\n" +
+        "</graphml>\n";
+}
+
+/**
+ * Returns the child elements with the given namespace and local name.
+ *
+ * @param {Element} element
+ * The parent element.
+ *
+ * @param {String} namespace
+ * The namespace of the children.
+ *
+ * @param {String} [localName]
+ * The local name of the children. If this is omitted, all children in the
+ * namespace are returned.
+ *
+ * @return {Array<Element>}
+ * The matching children.
+ */
+function getChildren(element, namespace, localName) {
+    return Array.from(element.childNodes).filter(child =>
+        child.nodeType === 1 &&
+        child.namespaceURI === namespace &&
+        (localName === undefined || child.localName === localName)
+    );
+}
+
+/**
+ * Returns the first yFiles child element with the given local name.
+ *
+ * @param {Element} element
+ * The parent element.
+ *
+ * @param {String} localName
+ * The local name of the child.
+ *
+ * @return {Element}
+ * The child or undefined if there is none.
+ */
+function getYFilesChild(element, localName) {
+    return getChildren(element, yFilesNamespace, localName)[0];
+}
+
+/**
+ * Reads the key declarations of the document.
+ *
+ * @param {Element} root
+ * The graphml element.
+ *
+ * @return {Map<String, Object>}
+ * Maps from key IDs to their declaration.
+ */
+function readKeys(root) {
+    const result = new Map();
+    for (let keyEl of getChildren(root, graphMLNamespace, "key")) {
+        const defaultEl = getChildren(keyEl, graphMLNamespace, "default")[0];
+        result.set(keyEl.getAttribute("id"), {
+            for:        keyEl.getAttribute("for") || "all",
+            name:       keyEl.getAttribute("attr.name"),
+            type:       keyEl.getAttribute("attr.type") || "string",
+            yFilesType: keyEl.getAttribute("yfiles.type"),
+            default:    defaultEl ? defaultEl.textContent : undefined,
+        });
+    }
+    return result;
+}
+
+/**
+ * Reads the data of a node or an edge element. Default values of the keys are
+ * applied.
+ *
+ * @param {Element} element
+ * The node or edge element.
+ *
+ * @param {Map<String, Object>} keys
+ * The key declarations.
+ *
+ * @param {String} domain
+ * Either "node" or "edge".
+ *
+ * @return {Object}
+ * An object with the values map from attribute names to their values and the
+ * graphics element of yFiles.
+ */
+function readData(element, keys, domain) {
+    const values = new Map();
+    for (let key of keys.values()) {
+        if ((key.for === domain || key.for === "all") && key.name && key.default !== undefined) {
+            values.set(key.name, convertValue(key.default, key.type));
+        }
+    }
+
+    let graphics = undefined;
+    for (let dataEl of getChildren(element, graphMLNamespace, "data")) {
+        const key = keys.get(dataEl.getAttribute("key"));
+        if (!key) {
+            continue;
+        }
+
+        if (key.yFilesType === `${domain}graphics`) {
+            graphics = getChildren(dataEl, yFilesNamespace)[0];
+        } else if (key.name) {
+            values.set(key.name, convertValue(dataEl.textContent, key.type));
+        }
+    }
+
+    return {values, graphics};
+}
+
+/**
+ * Converts the text of a data element to the given GraphML type.
+ *
+ * @param {String} text
+ * The text to convert.
+ *
+ * @param {String} type
+ * The GraphML type.
+ *
+ * @return {*}
+ * The converted value.
+ */
+function convertValue(text, type) {
+    switch (type) {
+    case "boolean":
+        return text.trim() === "true";
+    case "int":
+    case "long":
+    case "float":
+    case "double":
+        return Number(text);
+    default:
+        return text;
+    }
+}
+
+/**
+ * Applies the configuration, the selection and the remaining attributes that
+ * were read for a node or an edge.
+ *
+ * @param {Node|Edge} element
+ * The node or edge object.
+ *
+ * @param {Object} data
+ * The data that was read.
+ *
+ * @param {Object} graphicsConf
+ * The configuration derived from the yFiles graphics. It is overridden by the
+ * stored configuration.
+ *
+ * @param {Map<String, Object>} confs
+ * The map to store the configuration in.
+ *
+ * @param {Set<String>} selection
+ * The set to add the element to if it is selected.
+ */
+function readElement(element, data, graphicsConf, confs, selection) {
+    const conf = data.values.has("draph.conf") ?
+        utils.adjustConf(graphicsConf || {}, decode(JSON.parse(data.values.get("draph.conf")))) :
+        graphicsConf;
+    if (conf) {
+        confs.set(element.id, conf);
+    }
+
+    if (data.values.get("draph.selected")) {
+        selection.add(element.id);
+    }
+
+    const attributes = {};
+    for (let [name, value] of data.values) {
+        if (!["x", "y", "draph.conf", "draph.selected"].includes(name)) {
+            attributes[name] = value;
+        }
+    }
+    if (!_.isEmpty(attributes)) {
+        element.attributes = Object.assign({}, element.attributes, attributes);
+    }
+}
+
+/**
+ * Reads the graphics of a yFiles node.
+ *
+ * @param {Element} graphics
+ * The graphics element, like y:ShapeNode.
+ *
+ * @return {Object}
+ * An object with the position of the center of the node and the configuration
+ * of the node visualizer. The configuration is only set if the node has a
+ * label.
+ */
+function readNodeGraphics(graphics) {
+    const result = {};
+
+    const geometry = getYFilesChild(graphics, "Geometry");
+    if (geometry) {
+        const [x, y, width, height] = ["x", "y", "width", "height"]
+            .map(name => Number(geometry.getAttribute(name)) || 0);
+        result.position = new Vec2(x + width / 2, y + height / 2);
+    }
+
+    const label = getYFilesChild(graphics, "NodeLabel");
+    if (!label || !label.textContent.trim()) {
+        return result;
+    }
+
+    const conf = {box: {}, text: readLabel(label)};
+    const fill = getYFilesChild(graphics, "Fill");
+    if (fill) {
+        const color = fill.getAttribute("transparent") === "true" ?
+            utils.hexToColor(0xffffff, 0) :
+            utils.parseColor(fill.getAttribute("color"));
+        if (color) {
+            conf.box.backgroundColor = color;
+        }
+    }
+
+    const border = getYFilesChild(graphics, "BorderStyle");
+    if (border) {
+        conf.box.border = {
+            width: border.getAttribute("hasColor") === "false" ? 0 : Number(border.getAttribute("width")) || 1,
+        };
+        const color = utils.parseColor(border.getAttribute("color"));
+        if (color) {
+            conf.box.border.color = color;
+        }
+    }
+
+    const shape = getYFilesChild(graphics, "Shape");
+    if (shape) {
+        conf.box.shape = shapes[shape.getAttribute("type")] || "rect";
+    }
+
+    result.conf = {style: {type: "labelled", conf}};
+    return result;
+}
+
+/**
+ * Reads the graphics of a yFiles edge.
+ *
+ * @param {Element} graphics
+ * The graphics element, like y:PolyLineEdge.
+ *
+ * @return {Object}
+ * The configuration of the edge visualizer.
+ */
+function readEdgeGraphics(graphics) {
+    const type   = lineStyles[graphics.localName] || "linear";
+    const result = {lineStyle: {type, conf: {}}};
+
+    const line = getYFilesChild(graphics, "LineStyle");
+    if (line) {
+        const style = {width: Number(line.getAttribute("width")) || 1};
+        const color = utils.parseColor(line.getAttribute("color"));
+        if (color) {
+            style.color = color;
+        }
+        result.lineStyle.conf = type === "linear" ? style : {line: style};
+    }
+
+    const arrows = getYFilesChild(graphics, "Arrows");
+    if (arrows && arrows.getAttribute("target") === "none") {
+        result.arrowStyle = {type: "empty"};
+    }
+
+    const label = getYFilesChild(graphics, "EdgeLabel");
+    if (label && label.textContent.trim()) {
+        result.decalStyle = {type: "labelled", conf: {text: readLabel(label)}};
+    }
+
+    return result;
+}
+
+/**
+ * Reads a yFiles label.
+ *
+ * @param {Element} label
+ * The y:NodeLabel or y:EdgeLabel element.
+ *
+ * @return {Object}
+ * The text configuration of the labelled styles.
+ */
+function readLabel(label) {
+    const result    = {label: label.textContent.trim(), font: {}};
+    const fontStyle = label.getAttribute("fontStyle") || "plain";
+
+    const color = utils.parseColor(label.getAttribute("textColor"));
+    if (color) {
+        result.fillColor = color;
+    }
+    if (label.getAttribute("fontFamily")) {
+        result.font.family = label.getAttribute("fontFamily");
+    }
+    if (label.getAttribute("fontSize")) {
+        result.font.size = Number(label.getAttribute("fontSize"));
+    }
+    result.font.weight = fontStyle.includes("bold")   ? "bold"   : "normal";
+    result.font.style  = fontStyle.includes("italic") ? "italic" : "normal";
+
+    return result;
+}
+
+/**
+ * Declares keys for the attributes of the given nodes or edges.
+ *
+ * @param {Array<Object>} keys
+ * The list of keys to extend.
+ *
+ * @param {String} domain
+ * Either "node" or "edge".
+ *
+ * @param {Array<Node|Edge>} elements
+ * The nodes or edges to inspect.
+ *
+ * @return {Map<String, String>}
+ * Maps from attribute names to key IDs.
+ */
+function addAttributeKeys(keys, domain, elements) {
+    const result = new Map();
+    for (let element of elements) {
+        for (let [name, value] of _.toPairs(element.attributes)) {
+            if (!result.has(name)) {
+                const id = `d${keys.length}`;
+                keys.push({id, for: domain, name, type: getType(value)});
+                result.set(name, id);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the GraphML type of the given value.
+ *
+ * @param {*} value
+ * The value to inspect.
+ *
+ * @return {String}
+ * The GraphML type.
+ */
+function getType(value) {
+    switch (typeof value) {
+    case "boolean":
+        return "boolean";
+    case "number":
+        return "double";
+    default:
+        return "string";
+    }
+}
+
+/**
+ * Creates the markup of a key declaration.
+ *
+ * @param {Object} key
+ * The key to declare.
+ *
+ * @return {String}
+ * The markup.
+ */
+function writeKey(key) {
+    const attributes = key.yFilesType ?
+        `yfiles.type="${key.yFilesType}"` :
+        `attr.name="${escapeXML(key.name)}" attr.type="${key.type}"`;
+    const content = key.default !== undefined ? `<default>${key.default}</default>` : "";
+    return `  <key id="${key.id}" for="${key.for}" ${attributes}>${content}</key>\n`;
+}
+
+/**
+ * Creates the markup of a data element.
+ *
+ * @param {String} key
+ * The ID of the key.
+ *
+ * @param {*} value
+ * The value. Strings that start with "<" are treated as markup, everything
+ * else is escaped.
+ *
+ * @return {String}
+ * The markup.
+ */
+function makeData(key, value) {
+    const content = typeof value === "string" && value.startsWith("<") ? value : escapeXML(value);
+    return `      <data key="${key}">${content}</data>\n`;
+}
+
+/**
+ * Creates the data elements for the selection, the configuration and the
+ * attributes of a node or an edge.
+ *
+ * @param {Node|Edge} element
+ * The node or edge object.
+ *
+ * @param {Object} conf
+ * The configuration of the visualizer.
+ *
+ * @param {Set<String>} selection
+ * The selected IDs.
+ *
+ * @param {String} selectedKey
+ * The ID of the key for the selection.
+ *
+ * @param {String} confKey
+ * The ID of the key for the configuration.
+ *
+ * @param {Map<String, String>} attributeKeys
+ * Maps from attribute names to key IDs.
+ *
+ * @return {String}
+ * The markup.
+ */
+function writeElement(element, conf, selection, selectedKey, confKey, attributeKeys) {
+    let result = "";
+    if (selection.has(element.id)) {
+        result += makeData(selectedKey, "true");
+    }
+    if (conf) {
+        result += `      <data key="${confKey}">${escapeXML(JSON.stringify(encode(conf)))}</data>\n`;
+    }
+    for (let [name, value] of _.toPairs(element.attributes)) {
+        const text = value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+        result += `      <data key="${attributeKeys.get(name)}">${escapeXML(text)}</data>\n`;
+    }
+    return result;
+}
+
+/**
+ * Creates the yFiles markup of a node.
+ *
+ * @param {Object} conf
+ * The configuration of the node visualizer.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object of the node.
+ *
+ * @return {String}
+ * The markup.
+ */
+function writeNodeGraphics(conf, displayObject) {
+    const bounds   = displayObject.getLocalBounds();
+    const geometry = `<y:Geometry x="${displayObject.x + bounds.x}" y="${displayObject.y + bounds.y}" ` +
+        `width="${bounds.width}" height="${bounds.height}"/>`;
+
+    if (_.get(conf, "style.type") !== "labelled") {
+        return `<y:ShapeNode>${geometry}</y:ShapeNode>`;
+    }
+
+    const style = utils.adjustConf(labelledDefaultConf, conf.style.conf);
+    const shape = _.findKey(shapes, s => s === style.box.shape) || "ellipse";
+    return "<y:ShapeNode>" +
+        geometry +
+        `<y:Fill color="${writeColor(style.box.backgroundColor)}" transparent="false"/>` +
+        `<y:BorderStyle color="${writeColor(style.box.border.color)}" type="line" width="${style.box.border.width}"/>` +
+        writeLabel("NodeLabel", style.text) +
+        `<y:Shape type="${shape}"/>` +
+        "</y:ShapeNode>";
+}
+
+/**
+ * Creates the yFiles markup of an edge.
+ *
+ * @param {Object} [conf]
+ * The configuration of the edge visualizer.
+ *
+ * @return {String}
+ * The markup.
+ */
+function writeEdgeGraphics(conf = {}) {
+    const type    = _.get(conf, "lineStyle.type", "linear");
+    const element = _.findKey(lineStyles, s => s === type) || "PolyLineEdge";
+
+    const lineConf = _.get(conf, "lineStyle.conf", {});
+    const line     = Object.assign(
+        {color: predefinedColors.black, width: 2},
+        type === "linear" ? lineConf : lineConf.line
+    );
+    const target = _.get(conf, "arrowStyle.type") === "empty" ? "none" : "standard";
+    const label  = _.get(conf, "decalStyle.type") === "labelled" ?
+        writeLabel("EdgeLabel", Object.assign({font: {}}, _.get(conf, "decalStyle.conf.text"))) :
+        "";
+
+    return `<y:${element}>` +
+        `<y:LineStyle color="${writeColor(line.color)}" type="line" width="${line.width}"/>` +
+        `<y:Arrows source="none" target="${target}"/>` +
+        label +
+        `</y:${element}>`;
+}
+
+/**
+ * Creates the markup of a yFiles label.
+ *
+ * @param {String} localName
+ * Either "NodeLabel" or "EdgeLabel".
+ *
+ * @param {Object} text
+ * The text configuration of a labelled style.
+ *
+ * @return {String}
+ * The markup.
+ */
+function writeLabel(localName, text) {
+    const bold      = text.font.weight === "bold";
+    const italic    = text.font.style  === "italic" || text.font.style === "oblique";
+    const fontStyle = bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "plain";
+
+    let attributes = ` fontStyle="${fontStyle}"`;
+    if (text.font.family) {
+        attributes += ` fontFamily="${escapeXML(text.font.family)}"`;
+    }
+    if (text.font.size) {
+        attributes += ` fontSize="${text.font.size}"`;
+    }
+    if (text.fillColor) {
+        attributes += ` textColor="${writeColor(text.fillColor)}"`;
+    }
+
+    return `<y:${localName}${attributes}>${escapeXML(text.label || "")}</y:${localName}>`;
+}
+
+/**
+ * Turns a color into the notation of yFiles. The alpha channel is only added
+ * if the color is translucent.
+ *
+ * @param {Color} color
+ * The color to convert.
+ *
+ * @return {String}
+ * The color string.
+ */
+function writeColor(color) {
+    const alpha = color.alpha < 1 ? `00${Math.round(color.alpha * 255).toString(16)}`.slice(-2) : "";
+    return `${utils.hexToCSS(color.hex)}${alpha}`.toUpperCase();
+}
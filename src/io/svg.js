@@ -0,0 +1,423 @@
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+
+/**
+ * Creates the markup of a straight line.
+ *
+ * @param {Object} style
+ * How the line should look.
+ *
+ * @param {Number} style.width
+ * The width of the line.
+ *
+ * @param {Color} style.color
+ * The color of the line.
+ *
+ * @param {Array<Number>} [style.dash]
+ * The lengths of the dashes and gaps, alternating.
+ *
+ * @param {Vec2} startPos
+ * Where to start the line.
+ *
+ * @param {Vec2} endPos
+ * Where to end the line.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeLine(style, startPos, endPos) {
+    return makePath(style, `M ${startPos.x} ${startPos.y} L ${endPos.x} ${endPos.y}`);
+}
+
+/**
+ * Creates the markup of a quadratic curve.
+ *
+ * @param {Object} style
+ * How the line should look. Check the documentation of makeLine for the
+ * structure of this object.
+ *
+ * @param {Vec2} startPos
+ * Where to start the line.
+ *
+ * @param {Vec2} controlPos
+ * The control point.
+ *
+ * @param {Vec2} endPos
+ * Where to end the line.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeQuadraticCurve(style, startPos, controlPos, endPos) {
+    return makePath(style,
+        `M ${startPos.x} ${startPos.y} ` +
+        `Q ${controlPos.x} ${controlPos.y} ${endPos.x} ${endPos.y}`
+    );
+}
+
+/**
+ * Creates the markup of a cubic Bézier curve.
+ *
+ * @param {Object} style
+ * How the line should look. Check the documentation of makeLine for the
+ * structure of this object.
+ *
+ * @param {Vec2} startPos
+ * Where to start the line.
+ *
+ * @param {Vec2} controlPos1
+ * The first control point.
+ *
+ * @param {Vec2} controlPos2
+ * The second control point.
+ *
+ * @param {Vec2} endPos
+ * Where to end the line.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeBezierCurve(style, startPos, controlPos1, controlPos2, endPos) {
+    return makePath(style,
+        `M ${startPos.x} ${startPos.y} ` +
+        `C ${controlPos1.x} ${controlPos1.y} ${controlPos2.x} ${controlPos2.y} ${endPos.x} ${endPos.y}`
+    );
+}
+
+/**
+ * Creates the markup of a line through the given points.
+ *
+ * @param {Object} style
+ * How the line should look. Check the documentation of makeLine for the
+ * structure of this object.
+ *
+ * @param {Array<Vec2>} points
+ * The points to connect.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makePolyline(style, points) {
+    return makePath(style, points.map(({x, y}, i) => `${i === 0 ? "M" : "L"} ${x} ${y}`).join(" "));
+}
+
+/**
+ * Creates the markup of an unfilled path.
+ *
+ * @param {Object} style
+ * How the line should look. Check the documentation of makeLine for the
+ * structure of this object.
+ *
+ * @param {String} d
+ * The path data.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makePath(style, d) {
+    const dash = utils.isDashed(style) ? ` stroke-dasharray="${style.dash.join(" ")}"` : "";
+    return `<path d="${d}" fill="none"${strokeAttributes(style.width, style.color.hex, style.color.alpha)}${dash}/>`;
+}
+
+/**
+ * Wraps the given markup in a group.
+ *
+ * @param {String} transform
+ * The value of the transform attribute. Pass an empty string to omit it.
+ *
+ * @param {String} content
+ * The markup to wrap.
+ *
+ * @param {Number} [opacity]
+ * The opacity of the group.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeGroup(transform, content, opacity = 1) {
+    const transformAttribute = transform ? ` transform="${transform}"` : "";
+    const opacityAttribute   = opacity !== 1 ? ` opacity="${opacity}"` : "";
+    return `<g${transformAttribute}${opacityAttribute}>${content}</g>`;
+}
+
+/**
+ * Creates a complete SVG document.
+ *
+ * @param {Object} viewBox
+ * The visible area. It needs an x- and a y-coordinate, a width and a height.
+ *
+ * @param {String} content
+ * The markup to put into the document.
+ *
+ * @param {Color} [background]
+ * The color of the background. If this is omitted, the background is
+ * transparent.
+ *
+ * @return {String}
+ * The SVG document.
+ */
+export function makeDocument({x, y, width, height}, content, background) {
+    const rect = background ?
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}"${fillAttributes(background.hex, background.alpha)}/>` :
+        "";
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">` +
+        `${rect}${content}</svg>\n`;
+}
+
+/**
+ * Computes the value of the transform attribute for the given display object.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object to read.
+ *
+ * @param {Object} [scale]
+ * The scale to use instead of the current scale of the display object.
+ *
+ * @return {String}
+ * The transform. It is empty if the display object is not transformed.
+ */
+export function makeTransform(displayObject, scale = displayObject.scale) {
+    const result = [];
+    if (displayObject.x !== 0 || displayObject.y !== 0) {
+        result.push(`translate(${displayObject.x} ${displayObject.y})`);
+    }
+    if (displayObject.rotation !== 0) {
+        result.push(`rotate(${displayObject.rotation * 180 / Math.PI})`);
+    }
+    if (scale.x !== 1 || scale.y !== 1) {
+        result.push(`scale(${scale.x} ${scale.y})`);
+    }
+    if (displayObject.pivot.x !== 0 || displayObject.pivot.y !== 0) {
+        result.push(`translate(${-displayObject.pivot.x} ${-displayObject.pivot.y})`);
+    }
+    return result.join(" ");
+}
+
+/**
+ * Turns a display object that has not been rasterized yet into SVG markup.
+ * Graphics, texts and sprites are supported. Sprites are embedded as images.
+ *
+ * Texts are approximated: the font, colors, stroke and alignment are kept, but
+ * drop shadows are dropped and lines are only broken at explicit line breaks.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object to convert.
+ *
+ * @param {Boolean} [includeTransform]
+ * Whether to apply the position, rotation and scale of the display object
+ * itself. Those of its children are always applied.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function fromDisplayObject(displayObject, includeTransform = true) {
+    if (!displayObject.visible) {
+        return "";
+    }
+
+    let content = "";
+    if (displayObject instanceof PIXI.Text) {
+        content = fromText(displayObject);
+    } else if (displayObject instanceof PIXI.Sprite) {
+        content = fromSprite(displayObject);
+    } else if (displayObject instanceof PIXI.Graphics) {
+        content = fromGraphics(displayObject);
+    }
+
+    for (let child of displayObject.children) {
+        content += fromDisplayObject(child);
+    }
+
+    if (!includeTransform) {
+        return content;
+    }
+    return makeGroup(makeTransform(displayObject), content, displayObject.alpha);
+}
+
+/**
+ * Uses the SVG style registered under the given path to create the markup.
+ * If there is none, the given display object is embedded as an image.
+ *
+ * @param {GumpPath} path
+ * The path of the SVG style.
+ *
+ * @param {Array} args
+ * The arguments to pass to the SVG style.
+ *
+ * @param {DisplayObject} fallback
+ * The display object to use if no SVG style is registered.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function fromStyle(path, args, fallback) {
+    const style = registry.get(path);
+    if (style) {
+        return style(...args);
+    }
+    return fromDisplayObject(fallback, false);
+}
+
+/**
+ * Escapes characters with a special meaning in XML.
+ *
+ * @param {String} s
+ * The string to escape.
+ *
+ * @return {String}
+ * The escaped string.
+ */
+export function escapeXML(s) {
+    return String(s)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Converts the shapes of a graphics object.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to convert.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+function fromGraphics(graphics) {
+    return graphics.graphicsData.map(data => {
+        const attributes = (data.fill ? fillAttributes(data.fillColor, data.fillAlpha) : ' fill="none"') +
+            strokeAttributes(data.lineWidth, data.lineColor, data.lineAlpha);
+        const shape = data.shape;
+
+        switch (data.type) {
+        case PIXI.SHAPES.RECT:
+            return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}"${attributes}/>`;
+        case PIXI.SHAPES.RREC:
+            return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" ` +
+                `rx="${shape.radius}" ry="${shape.radius}"${attributes}/>`;
+        case PIXI.SHAPES.CIRC:
+            return `<circle cx="${shape.x}" cy="${shape.y}" r="${shape.radius}"${attributes}/>`;
+        case PIXI.SHAPES.ELIP:
+            return `<ellipse cx="${shape.x}" cy="${shape.y}" rx="${shape.width}" ry="${shape.height}"${attributes}/>`;
+        case PIXI.SHAPES.POLY:
+            return `<${data.fill ? "polygon" : "polyline"} points="${shape.points.join(" ")}"${attributes}/>`;
+        default:
+            return "";
+        }
+    }).join("");
+}
+
+/**
+ * Converts a text object.
+ *
+ * @param {Text} text
+ * The text object to convert.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+function fromText(text) {
+    const style      = text.style;
+    const lines      = String(text.text).split(/(?:\r\n|\r|\n)/);
+    const lineHeight = text.height / lines.length;
+
+    let anchor = "start";
+    let x      = 0;
+    if (style.align === "center") {
+        anchor = "middle";
+        x      = text.width / 2;
+    } else if (style.align === "right") {
+        anchor = "end";
+        x      = text.width;
+    }
+
+    const stroke = style.strokeThickness > 0 ?
+        ` stroke="${toCSS(style.stroke)}" stroke-width="${style.strokeThickness}" paint-order="stroke"` :
+        "";
+    const tspans = lines.map((line, i) =>
+        `<tspan x="${x}" y="${(i + 0.8) * lineHeight}">${escapeXML(line)}</tspan>`
+    ).join("");
+
+    return `<text style="font: ${escapeXML(style.font)}" fill="${toCSS(style.fill)}" ` +
+        `text-anchor="${anchor}"${stroke} xml:space="preserve">${tspans}</text>`;
+}
+
+/**
+ * Converts a sprite. Images loaded from a URL are referenced, rendered
+ * textures are embedded as data URLs.
+ *
+ * @param {Sprite} sprite
+ * The sprite to convert.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+function fromSprite(sprite) {
+    const texture = sprite.texture;
+    const url     = texture.baseTexture.imageUrl ||
+        (typeof texture.getBase64 === "function" ? texture.getBase64() : undefined);
+    if (!url) {
+        return "";
+    }
+
+    const width  = texture.width;
+    const height = texture.height;
+    return `<image x="${-sprite.anchor.x * width}" y="${-sprite.anchor.y * height}" ` +
+        `width="${width}" height="${height}" xlink:href="${escapeXML(url)}"/>`;
+}
+
+/**
+ * Creates the attributes for a fill.
+ *
+ * @param {Number|String} color
+ * The color of the fill.
+ *
+ * @param {Number} alpha
+ * The opacity of the fill.
+ *
+ * @return {String}
+ * The attributes.
+ */
+function fillAttributes(color, alpha) {
+    return ` fill="${toCSS(color)}"` + (alpha !== 1 ? ` fill-opacity="${alpha}"` : "");
+}
+
+/**
+ * Creates the attributes for a stroke.
+ *
+ * @param {Number} width
+ * The width of the stroke.
+ *
+ * @param {Number|String} color
+ * The color of the stroke.
+ *
+ * @param {Number} alpha
+ * The opacity of the stroke.
+ *
+ * @return {String}
+ * The attributes.
+ */
+function strokeAttributes(width, color, alpha) {
+    if (!width) {
+        return "";
+    }
+    return ` stroke="${toCSS(color)}" stroke-width="${width}"` +
+        (alpha !== 1 ? ` stroke-opacity="${alpha}"` : "");
+}
+
+/**
+ * Turns a color number or string into a CSS color.
+ *
+ * @param {Number|String} color
+ * The color to convert.
+ *
+ * @return {String}
+ * The CSS color.
+ */
+function toCSS(color) {
+    return typeof color === "number" ? utils.hexToCSS(color) : escapeXML(color);
+}
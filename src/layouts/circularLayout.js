@@ -0,0 +1,158 @@
+import {Vec2} from "@ignavia/ella";
+
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The radius of the circle. Set this to "auto" to pick the smallest radius
+     * that prevents overlapping nodes.
+     *
+     * @type {Number|String}
+     */
+    radius: "auto",
+
+    /**
+     * The center of the circle.
+     *
+     * @type {Vec2}
+     */
+    center: new Vec2(0, 0),
+
+    /**
+     * The angle in radians at which the first node is placed. An angle of 0
+     * means that it is placed to the right of the center, increasing the angle
+     * moves it clockwise.
+     *
+     * @type {Number}
+     */
+    startAngle: 0,
+
+    /**
+     * The minimum gap between two neighboring nodes if the radius is computed
+     * automatically.
+     *
+     * @type {Number}
+     */
+    gap: 20,
+
+    /**
+     * The attribute to group the nodes by. Nodes with the same value are
+     * placed next to each other. This can also be a function that gets a node
+     * object and returns the value. Set this to null to disable grouping.
+     *
+     * @type {String|Function}
+     */
+    groupBy: null,
+
+    /**
+     * The space to leave empty between two groups. This is measured in
+     * multiples of the average space a node takes up.
+     *
+     * @type {Number}
+     */
+    groupGap: 1,
+
+    /**
+     * Maps from node IDs to objects with a width and a height. Nodes not
+     * listed here are measured by creating their display objects.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeSizes: new Map(),
+
+    /**
+     * Maps from node IDs to the configuration of the node visualizer. This is
+     * used to measure nodes that are not listed in nodeSizes.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeConfs: new Map(),
+};
+
+/**
+ * Places the nodes of the given graph on a circle. Each node gets a share of
+ * the circumference that is proportional to its size.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const groups  = groupNodes(graphObj, conf.groupBy);
+    const sizes   = h.computeNodeSizes(graphObj, conf.nodeSizes, conf.nodeConfs);
+    const weights = new Map();
+    for (let [id, size] of sizes) {
+        weights.set(id, h.computeDiameter(size) + conf.gap);
+    }
+
+    const nodeCount   = sizes.size;
+    const nodeWeight  = [...weights.values()].reduce((sum, w) => sum + w, 0);
+    const groupWeight = groups.length > 1 ? conf.groupGap * nodeWeight / nodeCount : 0;
+    const totalWeight = nodeWeight + groups.length * groupWeight;
+
+    const radius = conf.radius === "auto" ?
+        (nodeCount > 1 ? totalWeight / (2 * Math.PI) : 0) :
+        conf.radius;
+
+    const positions = new Map();
+    let   offset    = 0;
+    for (let group of groups) {
+        for (let id of group) {
+            const w     = weights.get(id);
+            const angle = conf.startAngle + 2 * Math.PI * (offset + w / 2) / totalWeight;
+            positions.set(id, {
+                x: conf.center.x + radius * Math.cos(angle),
+                y: conf.center.y + radius * Math.sin(angle),
+            });
+            offset += w;
+        }
+        offset += groupWeight;
+    }
+
+    return h.makeLayout(graphObj, positions);
+}
+registry.addLayout("circular", makeLayout);
+
+/**
+ * Splits the nodes into groups with equal values of the given attribute. The
+ * groups are ordered by the first appearance of their value.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @param {String|Function} groupBy
+ * The attribute to group by. If this is null, all nodes end up in the same
+ * group.
+ *
+ * @return {Array<Array<String>>}
+ * The groups of node IDs.
+ */
+function groupNodes(graphObj, groupBy) {
+    const result = new Map();
+
+    for (let nodeObj of graphObj.iterNodes()) {
+        const value = groupBy ? utils.getAttribute(groupBy, nodeObj) : undefined;
+        if (!result.has(value)) {
+            result.set(value, []);
+        }
+        result.get(value).push(nodeObj.id);
+    }
+
+    return [...result.values()];
+}
@@ -0,0 +1,168 @@
+import {Vec2} from "@ignavia/ella";
+
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The value that decides on which ring a node is placed. Nodes with larger
+     * values are placed closer to the center. Use "degree" to count the
+     * incident edges or provide a function that gets a node object and the
+     * graph and returns a number.
+     *
+     * @type {String|Function}
+     */
+    metric: "degree",
+
+    /**
+     * The range of metric values that share a ring. Set this to "auto" to give
+     * every distinct value its own ring.
+     *
+     * @type {Number|String}
+     */
+    levelWidth: "auto",
+
+    /**
+     * The minimum distance between two neighboring rings.
+     *
+     * @type {Number}
+     */
+    ringGap: 50,
+
+    /**
+     * The minimum gap between two neighboring nodes on the same ring.
+     *
+     * @type {Number}
+     */
+    gap: 20,
+
+    /**
+     * The center of the rings.
+     *
+     * @type {Vec2}
+     */
+    center: new Vec2(0, 0),
+
+    /**
+     * The angle in radians at which the first node of each ring is placed. An
+     * angle of 0 points to the right, increasing the angle moves clockwise.
+     *
+     * @type {Number}
+     */
+    startAngle: 0,
+
+    /**
+     * Maps from node IDs to objects with a width and a height. Nodes not
+     * listed here are measured by creating their display objects.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeSizes: new Map(),
+
+    /**
+     * Maps from node IDs to the configuration of the node visualizer. This is
+     * used to measure nodes that are not listed in nodeSizes.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeConfs: new Map(),
+};
+
+/**
+ * Places the nodes of the given graph on concentric rings. The rings are
+ * large enough to prevent overlapping nodes.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const rings     = makeRings(graphObj, conf);
+    const sizes     = h.computeNodeSizes(graphObj, conf.nodeSizes, conf.nodeConfs);
+    const positions = new Map();
+
+    let previousRadius   = 0;
+    let previousDiameter = 0;
+    rings.forEach((ring, i) => {
+        const diameters     = ring.map(id => h.computeDiameter(sizes.get(id)));
+        const maxDiameter   = Math.max(...diameters);
+        const circumference = diameters.reduce((sum, d) => sum + d + conf.gap, 0);
+
+        let radius = ring.length > 1 ? circumference / (2 * Math.PI) : 0;
+        if (i > 0) {
+            radius = Math.max(radius, previousRadius + (previousDiameter + maxDiameter) / 2 + conf.ringGap);
+        }
+
+        let offset = 0;
+        ring.forEach((id, j) => {
+            const share = (diameters[j] + conf.gap) / circumference;
+            const angle = conf.startAngle + 2 * Math.PI * (offset + share / 2);
+            positions.set(id, {
+                x: conf.center.x + radius * Math.cos(angle),
+                y: conf.center.y + radius * Math.sin(angle),
+            });
+            offset += share;
+        });
+
+        previousRadius   = radius;
+        previousDiameter = maxDiameter;
+    });
+
+    return h.makeLayout(graphObj, positions);
+}
+registry.addLayout("concentric", makeLayout);
+
+/**
+ * Sorts the nodes into rings based on their metric value. The first ring
+ * contains the nodes with the largest values.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Array<Array<String>>}
+ * The rings of node IDs.
+ */
+function makeRings(graphObj, conf) {
+    const degrees = conf.metric === "degree" ? h.computeDegrees(graphObj) : undefined;
+    const values  = [...graphObj.iterNodes()]
+        .map((nodeObj, i) => ({
+            id:    nodeObj.id,
+            i,
+            value: degrees ? degrees.get(nodeObj.id) : conf.metric(nodeObj, graphObj),
+        }))
+        .sort((a, b) => b.value - a.value || a.i - b.i);
+
+    const result = [];
+    let   ring   = undefined;
+    for (let {id, value} of values) {
+        const isNewRing = ring === undefined || (conf.levelWidth === "auto" ?
+            value !== ring.value :
+            ring.value - value >= conf.levelWidth
+        );
+        if (isNewRing) {
+            ring = {value, ids: []};
+            result.push(ring);
+        }
+        ring.ids.push(id);
+    }
+
+    return result.map(({ids}) => ids);
+}
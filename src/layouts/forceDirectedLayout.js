@@ -0,0 +1,317 @@
+import {Vec2}   from "@ignavia/ella";
+import {Layout} from "@ignavia/earl";
+
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The maximum number of iterations to run. The algorithm stops earlier
+     * if it converges.
+     *
+     * @type {Number}
+     */
+    iterations: 500,
+
+    /**
+     * The algorithm is considered converged once no node moves further than
+     * this number of pixels in one iteration.
+     *
+     * @type {Number}
+     */
+    convergenceThreshold: 0.5,
+
+    /**
+     * The preferred length of an edge. Attractive and repulsive forces
+     * cancel each other out at this distance.
+     *
+     * @type {Number}
+     */
+    idealEdgeLength: 100,
+
+    /**
+     * The maximum distance a node can move in the first iteration.
+     *
+     * @type {Number}
+     */
+    initialTemperature: 100,
+
+    /**
+     * The temperature is multiplied by this value after each iteration.
+     *
+     * @type {Number}
+     */
+    coolingFactor: 0.95,
+
+    /**
+     * How strongly nodes are pulled towards the center. This keeps
+     * disconnected components close to each other. Set this to 0 to disable
+     * it.
+     *
+     * @type {Number}
+     */
+    gravity: 0.05,
+
+    /**
+     * The point the nodes are pulled towards.
+     *
+     * @type {Vec2}
+     */
+    center: new Vec2(0, 0),
+
+    /**
+     * The positions to start from. Nodes without a position in this layout
+     * are placed on a circle around the center.
+     *
+     * @type {Layout}
+     */
+    initialLayout: new Layout(),
+};
+
+/**
+ * Computes a force-directed layout for the given graph using the algorithm by
+ * Fruchterman and Reingold. It runs until it converges or until the maximum
+ * number of iterations is reached.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    let result = new Map();
+    for (let positions of iterPositions(graphObj, conf)) {
+        result = positions;
+    }
+    return h.makeLayout(graphObj, result);
+}
+registry.addLayout("forceDirected", makeLayout);
+
+/**
+ * Yields the layout after each iteration of the algorithm. This can be passed
+ * to {@link GraphView#animateLayout} to watch the layout evolve.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Iterator<Layout>}
+ * An iterator over the intermediate layouts.
+ */
+export function* iterLayouts(graphObj, conf = {}) {
+    for (let positions of iterPositions(graphObj, conf)) {
+        yield h.makeLayout(graphObj, positions);
+    }
+}
+
+/**
+ * Yields the positions of the nodes after each iteration. The same map is
+ * yielded every time.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Iterator<Map<String, Object>>}
+ * An iterator over the positions.
+ */
+function* iterPositions(graphObj, conf) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const nodeIds   = h.getNodeIds(graphObj);
+    const edges     = h.getEdgeEndpoints(graphObj);
+    const positions = initPositions(graphObj, nodeIds, conf);
+
+    let temperature = conf.initialTemperature;
+    for (let i = 0; i < conf.iterations; i++) {
+        const displacements = computeDisplacements(nodeIds, edges, positions, conf);
+        const maxMovement   = applyDisplacements(positions, displacements, temperature);
+        temperature *= conf.coolingFactor;
+
+        yield positions;
+
+        if (maxMovement < conf.convergenceThreshold) {
+            return;
+        }
+    }
+}
+
+/**
+ * Computes the start positions of the nodes.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to objects with an x- and a y-coordinate.
+ */
+function initPositions(graphObj, nodeIds, conf) {
+    const radius = conf.idealEdgeLength * Math.sqrt(nodeIds.length) / 2;
+    const result = h.placeOnCircle(nodeIds, radius, conf.center);
+
+    for (let nodeObj of graphObj.iterNodes()) {
+        const position = conf.initialLayout.getPosition(nodeObj);
+        if (position) {
+            result.set(nodeObj.id, {x: position.x, y: position.y});
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes how far each node wants to move in the current iteration.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Array<Object>} edges
+ * The source and target IDs of the edges.
+ *
+ * @param {Map<String, Object>} positions
+ * The current positions.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to the displacement vectors.
+ */
+function computeDisplacements(nodeIds, edges, positions, conf) {
+    const k      = conf.idealEdgeLength;
+    const result = new Map(nodeIds.map(id => [id, {x: 0, y: 0}]));
+
+    // Repulsion between all pairs of nodes
+    for (let i = 0; i < nodeIds.length; i++) {
+        for (let j = i + 1; j < nodeIds.length; j++) {
+            const {dx, dy, distance} = computeDelta(positions.get(nodeIds[i]), positions.get(nodeIds[j]), i);
+            const force              = k * k / distance;
+            addForce(result.get(nodeIds[i]), dx, dy, distance,  force);
+            addForce(result.get(nodeIds[j]), dx, dy, distance, -force);
+        }
+    }
+
+    // Attraction along edges
+    for (let {sourceId, targetId} of edges) {
+        const {dx, dy, distance} = computeDelta(positions.get(sourceId), positions.get(targetId), 0);
+        const force              = distance * distance / k;
+        addForce(result.get(sourceId), dx, dy, distance, -force);
+        addForce(result.get(targetId), dx, dy, distance,  force);
+    }
+
+    // Gravity
+    if (conf.gravity !== 0) {
+        for (let id of nodeIds) {
+            const position     = positions.get(id);
+            const displacement = result.get(id);
+            displacement.x -= conf.gravity * (position.x - conf.center.x);
+            displacement.y -= conf.gravity * (position.y - conf.center.y);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes the vector from the second to the first position. Nodes at the
+ * same position are pushed apart in a deterministic direction.
+ *
+ * @param {Object} p
+ * The first position.
+ *
+ * @param {Object} q
+ * The second position.
+ *
+ * @param {Number} seed
+ * Used to pick the direction if both positions are equal.
+ *
+ * @return {Object}
+ * The x- and y-offsets and the distance.
+ */
+function computeDelta(p, q, seed) {
+    let dx = p.x - q.x;
+    let dy = p.y - q.y;
+    if (dx === 0 && dy === 0) {
+        dx = Math.cos(seed + 1) * 0.01;
+        dy = Math.sin(seed + 1) * 0.01;
+    }
+    return {dx, dy, distance: Math.sqrt(dx * dx + dy * dy)};
+}
+
+/**
+ * Adds a force along the given direction to the displacement.
+ *
+ * @param {Object} displacement
+ * The displacement to change.
+ *
+ * @param {Number} dx
+ * The x-component of the direction.
+ *
+ * @param {Number} dy
+ * The y-component of the direction.
+ *
+ * @param {Number} distance
+ * The length of the direction.
+ *
+ * @param {Number} force
+ * The strength of the force.
+ */
+function addForce(displacement, dx, dy, distance, force) {
+    displacement.x += dx / distance * force;
+    displacement.y += dy / distance * force;
+}
+
+/**
+ * Moves the nodes by their displacement, limited by the temperature.
+ *
+ * @param {Map<String, Object>} positions
+ * The positions to change.
+ *
+ * @param {Map<String, Object>} displacements
+ * How far each node wants to move.
+ *
+ * @param {Number} temperature
+ * The maximum distance a node may move.
+ *
+ * @return {Number}
+ * The largest distance any node was moved.
+ */
+function applyDisplacements(positions, displacements, temperature) {
+    let result = 0;
+
+    for (let [id, {x: dx, y: dy}] of displacements) {
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > 0) {
+            const movement = Math.min(length, temperature);
+            const position = positions.get(id);
+            position.x += dx / length * movement;
+            position.y += dy / length * movement;
+            result = Math.max(result, movement);
+        }
+    }
+
+    return result;
+}
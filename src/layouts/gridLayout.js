@@ -0,0 +1,153 @@
+import {Vec2} from "@ignavia/ella";
+
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The number of columns. Set this to "auto" to make the grid roughly
+     * square.
+     *
+     * @type {Number|String}
+     */
+    columns: "auto",
+
+    /**
+     * The width of a cell. Set this to "auto" to use the width of the widest
+     * node plus the gap.
+     *
+     * @type {Number|String}
+     */
+    cellWidth: "auto",
+
+    /**
+     * The height of a cell. Set this to "auto" to use the height of the
+     * highest node plus the gap.
+     *
+     * @type {Number|String}
+     */
+    cellHeight: "auto",
+
+    /**
+     * The gap between two neighboring nodes if the cell size is computed
+     * automatically.
+     *
+     * @type {Number}
+     */
+    gap: 20,
+
+    /**
+     * The center of the grid.
+     *
+     * @type {Vec2}
+     */
+    center: new Vec2(0, 0),
+
+    /**
+     * The attribute to sort the nodes by before filling the grid row by row.
+     * This can also be a function that gets a node object and returns the
+     * value. Set this to null to keep the order of the graph.
+     *
+     * @type {String|Function}
+     */
+    sortBy: null,
+
+    /**
+     * Maps from node IDs to objects with a width and a height. Nodes not
+     * listed here are measured by creating their display objects.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeSizes: new Map(),
+
+    /**
+     * Maps from node IDs to the configuration of the node visualizer. This is
+     * used to measure nodes that are not listed in nodeSizes.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeConfs: new Map(),
+};
+
+/**
+ * Places the nodes of the given graph in the cells of a grid.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const nodeObjs = sortNodes(graphObj, conf.sortBy);
+    const sizes    = h.computeNodeSizes(graphObj, conf.nodeSizes, conf.nodeConfs);
+
+    const columns = conf.columns === "auto" ?
+        Math.max(1, Math.ceil(Math.sqrt(nodeObjs.length))) :
+        conf.columns;
+    const rows    = Math.ceil(nodeObjs.length / columns);
+
+    const cellWidth = conf.cellWidth === "auto" ?
+        Math.max(0, ...[...sizes.values()].map(size => size.width)) + conf.gap :
+        conf.cellWidth;
+    const cellHeight = conf.cellHeight === "auto" ?
+        Math.max(0, ...[...sizes.values()].map(size => size.height)) + conf.gap :
+        conf.cellHeight;
+
+    const positions = new Map();
+    nodeObjs.forEach((nodeObj, i) => {
+        const column = i % columns;
+        const row    = Math.floor(i / columns);
+        positions.set(nodeObj.id, {
+            x: conf.center.x + (column - (columns - 1) / 2) * cellWidth,
+            y: conf.center.y + (row    - (rows    - 1) / 2) * cellHeight,
+        });
+    });
+
+    return h.makeLayout(graphObj, positions);
+}
+registry.addLayout("grid", makeLayout);
+
+/**
+ * Sorts the nodes of the graph by the given attribute. The sort is stable.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @param {String|Function} sortBy
+ * The attribute to sort by. If this is null, the order of the graph is kept.
+ *
+ * @return {Array<Node>}
+ * The sorted nodes.
+ */
+function sortNodes(graphObj, sortBy) {
+    const result = [...graphObj.iterNodes()];
+    if (!sortBy) {
+        return result;
+    }
+
+    return result
+        .map((nodeObj, i) => ({nodeObj, i, value: utils.getAttribute(sortBy, nodeObj)}))
+        .sort((a, b) => {
+            if (a.value < b.value) {
+                return -1;
+            } else if (a.value > b.value) {
+                return 1;
+            }
+            return a.i - b.i;
+        })
+        .map(({nodeObj}) => nodeObj);
+}
@@ -0,0 +1,177 @@
+import {Vec2}   from "@ignavia/ella";
+import {Layout} from "@ignavia/earl";
+
+import nodeVisualizer from "../node/visualizer.js";
+
+/**
+ * Returns the IDs of all nodes of the given graph.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @return {Array<String>}
+ * The node IDs.
+ */
+export function getNodeIds(graphObj) {
+    return [...graphObj.iterNodes()].map(nodeObj => nodeObj.id);
+}
+
+/**
+ * Returns the source and target IDs of all edges of the given graph whose
+ * endpoints are part of the graph. Self-loops are skipped since they do not
+ * influence the placement of nodes.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @return {Array<Object>}
+ * The edges. Each entry has an id, a sourceId and a targetId.
+ */
+export function getEdgeEndpoints(graphObj) {
+    const nodeIds = new Set(getNodeIds(graphObj));
+    const result  = [];
+
+    for (let edgeObj of graphObj.iterEdges()) {
+        if (edgeObj.sourceId !== edgeObj.targetId &&
+            nodeIds.has(edgeObj.sourceId) &&
+            nodeIds.has(edgeObj.targetId)) {
+
+            result.push({
+                id:       edgeObj.id,
+                sourceId: edgeObj.sourceId,
+                targetId: edgeObj.targetId,
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Turns the given positions into a layout for the graph.
+ *
+ * @param {Graph} graphObj
+ * The graph the positions belong to.
+ *
+ * @param {Map<String, Object>} positions
+ * Maps from node IDs to objects with an x- and a y-coordinate.
+ *
+ * @return {Layout}
+ * The created layout.
+ */
+export function makeLayout(graphObj, positions) {
+    const result = new Layout();
+
+    for (let nodeObj of graphObj.iterNodes()) {
+        const position = positions.get(nodeObj.id);
+        if (position) {
+            result.moveNodeTo(nodeObj, new Vec2(position.x, position.y));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Places the given nodes evenly on a circle. This is used as a deterministic
+ * starting point for iterative layouts.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes to place.
+ *
+ * @param {Number} radius
+ * The radius of the circle.
+ *
+ * @param {Vec2} [center]
+ * The center of the circle.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to objects with an x- and a y-coordinate.
+ */
+export function placeOnCircle(nodeIds, radius, center = new Vec2(0, 0)) {
+    const result = new Map();
+
+    nodeIds.forEach((id, i) => {
+        const angle = 2 * Math.PI * i / nodeIds.length;
+        result.set(id, {
+            x: center.x + radius * Math.cos(angle),
+            y: center.y + radius * Math.sin(angle),
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Determines the width and height of every node of the graph. Sizes listed in
+ * the nodeSizes map are used as is. The remaining nodes are measured by
+ * creating their display objects with the node visualizer, which are
+ * destroyed right away.
+ *
+ * @param {Graph} graphObj
+ * The graph to measure.
+ *
+ * @param {Map<String, Object>} nodeSizes
+ * Maps from node IDs to objects with a width and a height.
+ *
+ * @param {Map<String, Object>} nodeConfs
+ * Maps from node IDs to the configuration of the node visualizer.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to objects with a width and a height.
+ */
+export function computeNodeSizes(graphObj, nodeSizes, nodeConfs) {
+    const result = new Map();
+
+    for (let nodeObj of graphObj.iterNodes()) {
+        if (nodeSizes.has(nodeObj.id)) {
+            result.set(nodeObj.id, nodeSizes.get(nodeObj.id));
+        } else {
+            const displayObject = nodeVisualizer(nodeConfs.get(nodeObj.id));
+            result.set(nodeObj.id, {
+                width:  displayObject.width,
+                height: displayObject.height,
+            });
+            displayObject.destroy(true, true);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Counts the incident edges of every node of the graph. Self-loops are counted
+ * twice.
+ *
+ * @param {Graph} graphObj
+ * The graph to read.
+ *
+ * @return {Map<String, Number>}
+ * Maps from node IDs to degrees.
+ */
+export function computeDegrees(graphObj) {
+    const result = new Map(getNodeIds(graphObj).map(id => [id, 0]));
+
+    for (let edgeObj of graphObj.iterEdges()) {
+        for (let id of [edgeObj.sourceId, edgeObj.targetId]) {
+            if (result.has(id)) {
+                result.set(id, result.get(id) + 1);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes the diameter of the circle around a node of the given size.
+ *
+ * @param {Object} size
+ * An object with a width and a height.
+ *
+ * @return {Number}
+ * The diameter.
+ */
+export function computeDiameter({width, height}) {
+    return Math.sqrt(width * width + height * height);
+}
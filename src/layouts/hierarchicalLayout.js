@@ -0,0 +1,515 @@
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The direction the edges should point to. The values "TB" (top to
+     * bottom), "BT" (bottom to top), "LR" (left to right) and "RL" (right to
+     * left) are supported.
+     *
+     * @type {String}
+     */
+    rankDirection: "TB",
+
+    /**
+     * The gap between two neighboring nodes of the same rank.
+     *
+     * @type {Number}
+     */
+    nodeGap: 30,
+
+    /**
+     * The gap between two neighboring ranks.
+     *
+     * @type {Number}
+     */
+    rankGap: 60,
+
+    /**
+     * How often to sweep over the ranks to reduce the number of edge
+     * crossings.
+     *
+     * @type {Number}
+     */
+    crossingIterations: 24,
+
+    /**
+     * How often to sweep over the ranks to straighten the edges after the
+     * order of the nodes is fixed.
+     *
+     * @type {Number}
+     */
+    coordinateIterations: 8,
+
+    /**
+     * Maps from node IDs to objects with a width and a height. Nodes not
+     * listed here are measured by creating their display objects.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeSizes: new Map(),
+
+    /**
+     * Maps from node IDs to the configuration of the node visualizer. This is
+     * used to measure nodes that are not listed in nodeSizes.
+     *
+     * @type {Map<String, Object>}
+     */
+    nodeConfs: new Map(),
+};
+
+/**
+ * Computes a layered layout for the given graph using the framework by
+ * Sugiyama et al. Cycles are broken by reversing edges, nodes are assigned to
+ * ranks, crossings are reduced with the barycenter heuristic and finally
+ * coordinates are assigned.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const nodeIds = h.getNodeIds(graphObj);
+    const edges   = removeCycles(nodeIds, h.getEdgeEndpoints(graphObj));
+    const ranks   = assignRanks(nodeIds, edges);
+    const sizes   = computeSizes(graphObj, conf);
+
+    const {layers, upper, lower} = makeLayers(nodeIds, edges, ranks, sizes);
+    reduceCrossings(layers, upper, lower, conf.crossingIterations);
+
+    const positions = assignCoordinates(layers, upper, lower, sizes, conf);
+    return h.makeLayout(graphObj, orient(positions, conf.rankDirection));
+}
+registry.addLayout("hierarchical", makeLayout);
+
+/**
+ * Reverses edges until the graph is acyclic. Edges pointing back to a node
+ * that is still on the stack of the depth-first search are reversed.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Array<Object>} edges
+ * The source and target IDs of the edges.
+ *
+ * @return {Array<Object>}
+ * The edges of the acyclic graph.
+ */
+function removeCycles(nodeIds, edges) {
+    const outgoing = new Map(nodeIds.map(id => [id, []]));
+    for (let edge of edges) {
+        outgoing.get(edge.sourceId).push(edge);
+    }
+
+    const state    = new Map();
+    const reversed = new Set();
+
+    for (let startId of nodeIds) {
+        if (state.has(startId)) {
+            continue;
+        }
+
+        const stack = [{id: startId, i: 0}];
+        state.set(startId, "active");
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const out = outgoing.get(top.id);
+
+            if (top.i < out.length) {
+                const edge = out[top.i++];
+                if (state.get(edge.targetId) === "active") {
+                    reversed.add(edge);
+                } else if (!state.has(edge.targetId)) {
+                    state.set(edge.targetId, "active");
+                    stack.push({id: edge.targetId, i: 0});
+                }
+            } else {
+                state.set(top.id, "done");
+                stack.pop();
+            }
+        }
+    }
+
+    return edges.map(edge => reversed.has(edge) ?
+        {id: edge.id, sourceId: edge.targetId, targetId: edge.sourceId} :
+        edge
+    );
+}
+
+/**
+ * Assigns each node the length of the longest path leading to it.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Array<Object>} edges
+ * The edges of the acyclic graph.
+ *
+ * @return {Map<String, Number>}
+ * Maps from node IDs to ranks.
+ */
+function assignRanks(nodeIds, edges) {
+    const inDegree = new Map(nodeIds.map(id => [id, 0]));
+    const outgoing = new Map(nodeIds.map(id => [id, []]));
+    for (let {sourceId, targetId} of edges) {
+        inDegree.set(targetId, inDegree.get(targetId) + 1);
+        outgoing.get(sourceId).push(targetId);
+    }
+
+    const result = new Map(nodeIds.map(id => [id, 0]));
+    const queue  = nodeIds.filter(id => inDegree.get(id) === 0);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        for (let targetId of outgoing.get(id)) {
+            result.set(targetId, Math.max(result.get(targetId), result.get(id) + 1));
+            inDegree.set(targetId, inDegree.get(targetId) - 1);
+            if (inDegree.get(targetId) === 0) {
+                queue.push(targetId);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes the sizes of the nodes.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to objects with the size along the rank (breadth) and
+ * the size across the rank (depth).
+ */
+function computeSizes(graphObj, conf) {
+    const horizontal = conf.rankDirection === "LR" || conf.rankDirection === "RL";
+    const result     = new Map();
+
+    for (let [id, {width, height}] of h.computeNodeSizes(graphObj, conf.nodeSizes, conf.nodeConfs)) {
+        result.set(id, {
+            breadth: horizontal ? height : width,
+            depth:   horizontal ? width  : height,
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Sorts the nodes into layers. Edges spanning more than one rank are split by
+ * inserting dummy nodes, so every edge connects neighboring layers.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Array<Object>} edges
+ * The edges of the acyclic graph.
+ *
+ * @param {Map<String, Number>} ranks
+ * Maps from node IDs to ranks.
+ *
+ * @param {Map<String, Object>} sizes
+ * The sizes of the nodes. Entries for the dummy nodes are added.
+ *
+ * @return {Object}
+ * The layers as an array of arrays of IDs and the maps upper and lower that
+ * map from IDs to the neighbors in the previous and next layer.
+ */
+function makeLayers(nodeIds, edges, ranks, sizes) {
+    const layers = [];
+    const upper  = new Map();
+    const lower  = new Map();
+
+    const addVertex = (id, rank) => {
+        layers[rank] = layers[rank] || [];
+        layers[rank].push(id);
+        upper.set(id, []);
+        lower.set(id, []);
+    };
+    const connect = (sourceId, targetId) => {
+        lower.get(sourceId).push(targetId);
+        upper.get(targetId).push(sourceId);
+    };
+
+    for (let id of nodeIds) {
+        addVertex(id, ranks.get(id));
+    }
+
+    edges.forEach(({sourceId, targetId}, i) => {
+        let previousId = sourceId;
+        for (let rank = ranks.get(sourceId) + 1; rank < ranks.get(targetId); rank++) {
+            const dummyId = `\u0000dummy:${i}:${rank}`;
+            addVertex(dummyId, rank);
+            sizes.set(dummyId, {breadth: 0, depth: 0});
+            connect(previousId, dummyId);
+            previousId = dummyId;
+        }
+        connect(previousId, targetId);
+    });
+
+    for (let i = 0; i < layers.length; i++) {
+        layers[i] = layers[i] || [];
+    }
+
+    return {layers, upper, lower};
+}
+
+/**
+ * Reorders the layers to reduce the number of edge crossings. The best order
+ * found is kept.
+ *
+ * @param {Array<Array<String>>} layers
+ * The layers to reorder. This array is changed.
+ *
+ * @param {Map<String, Array<String>>} upper
+ * Maps from IDs to the neighbors in the previous layer.
+ *
+ * @param {Map<String, Array<String>>} lower
+ * Maps from IDs to the neighbors in the next layer.
+ *
+ * @param {Number} iterations
+ * How often to sweep over the layers.
+ */
+function reduceCrossings(layers, upper, lower, iterations) {
+    let best          = layers.map(layer => layer.slice());
+    let bestCrossings = countCrossings(layers, lower);
+
+    for (let i = 0; i < iterations && bestCrossings > 0; i++) {
+        if (i % 2 === 0) {
+            for (let r = 1; r < layers.length; r++) {
+                layers[r] = orderByBarycenter(layers[r], layers[r - 1], upper);
+            }
+        } else {
+            for (let r = layers.length - 2; r >= 0; r--) {
+                layers[r] = orderByBarycenter(layers[r], layers[r + 1], lower);
+            }
+        }
+
+        const crossings = countCrossings(layers, lower);
+        if (crossings < bestCrossings) {
+            best          = layers.map(layer => layer.slice());
+            bestCrossings = crossings;
+        }
+    }
+
+    best.forEach((layer, r) => layers[r] = layer);
+}
+
+/**
+ * Sorts the layer by the average position of the neighbors of each vertex in
+ * the fixed layer. Vertices without neighbors keep their position.
+ *
+ * @param {Array<String>} layer
+ * The layer to sort.
+ *
+ * @param {Array<String>} fixedLayer
+ * The neighboring layer.
+ *
+ * @param {Map<String, Array<String>>} neighbors
+ * Maps from IDs to the neighbors in the fixed layer.
+ *
+ * @return {Array<String>}
+ * The sorted layer.
+ */
+function orderByBarycenter(layer, fixedLayer, neighbors) {
+    const indices = new Map(fixedLayer.map((id, i) => [id, i]));
+
+    return layer
+        .map((id, i) => {
+            const adjacent   = neighbors.get(id);
+            const barycenter = adjacent.length === 0 ?
+                i :
+                adjacent.reduce((sum, neighborId) => sum + indices.get(neighborId), 0) / adjacent.length;
+            return {id, i, barycenter};
+        })
+        .sort((a, b) => a.barycenter - b.barycenter || a.i - b.i)
+        .map(({id}) => id);
+}
+
+/**
+ * Counts the edge crossings between all neighboring layers.
+ *
+ * @param {Array<Array<String>>} layers
+ * The layers.
+ *
+ * @param {Map<String, Array<String>>} lower
+ * Maps from IDs to the neighbors in the next layer.
+ *
+ * @return {Number}
+ * The number of crossings.
+ */
+function countCrossings(layers, lower) {
+    let result = 0;
+
+    for (let r = 0; r < layers.length - 1; r++) {
+        const indices = new Map(layers[r + 1].map((id, i) => [id, i]));
+        const pairs   = [];
+        layers[r].forEach((id, i) => {
+            for (let neighborId of lower.get(id)) {
+                pairs.push([i, indices.get(neighborId)]);
+            }
+        });
+
+        for (let a = 0; a < pairs.length; a++) {
+            for (let b = a + 1; b < pairs.length; b++) {
+                if ((pairs[a][0] - pairs[b][0]) * (pairs[a][1] - pairs[b][1]) < 0) {
+                    result++;
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Computes the positions of the nodes for a top to bottom layout.
+ *
+ * @param {Array<Array<String>>} layers
+ * The ordered layers.
+ *
+ * @param {Map<String, Array<String>>} upper
+ * Maps from IDs to the neighbors in the previous layer.
+ *
+ * @param {Map<String, Array<String>>} lower
+ * Maps from IDs to the neighbors in the next layer.
+ *
+ * @param {Map<String, Object>} sizes
+ * The sizes of the nodes.
+ *
+ * @param {Object} conf
+ * The configuration of the layout.
+ *
+ * @return {Map<String, Object>}
+ * Maps from IDs to objects with an x- and a y-coordinate.
+ */
+function assignCoordinates(layers, upper, lower, sizes, conf) {
+    const x = new Map();
+
+    // Pack each layer around 0
+    for (let layer of layers) {
+        const desired = new Map(layer.map(id => [id, 0]));
+        placeLayer(layer, desired, sizes, conf.nodeGap, x);
+    }
+
+    // Move nodes towards their neighbors
+    for (let i = 0; i < conf.coordinateIterations; i++) {
+        const down = i % 2 === 0;
+        for (let j = 0; j < layers.length; j++) {
+            const layer     = layers[down ? j : layers.length - 1 - j];
+            const neighbors = down ? upper : lower;
+            const desired   = new Map(layer.map(id => {
+                const adjacent = neighbors.get(id);
+                if (adjacent.length === 0) {
+                    return [id, x.get(id)];
+                }
+                return [id, adjacent.reduce((sum, neighborId) => sum + x.get(neighborId), 0) / adjacent.length];
+            }));
+            placeLayer(layer, desired, sizes, conf.nodeGap, x);
+        }
+    }
+
+    // Compute the y-coordinates of the ranks
+    const result = new Map();
+    let y = 0;
+    for (let layer of layers) {
+        const depth = Math.max(0, ...layer.map(id => sizes.get(id).depth));
+        for (let id of layer) {
+            if (!id.startsWith("\u0000dummy:")) {
+                result.set(id, {x: x.get(id), y: y + depth / 2});
+            }
+        }
+        y += depth + conf.rankGap;
+    }
+
+    return result;
+}
+
+/**
+ * Places the vertices of the layer as close to their desired x-coordinates as
+ * possible while keeping their order and the minimum gap. Two placements are
+ * computed, one pushing vertices to the right and one pushing them to the
+ * left, and averaged.
+ *
+ * @param {Array<String>} layer
+ * The layer to place.
+ *
+ * @param {Map<String, Number>} desired
+ * Maps from IDs to the desired x-coordinates.
+ *
+ * @param {Map<String, Object>} sizes
+ * The sizes of the vertices.
+ *
+ * @param {Number} gap
+ * The minimum gap between two vertices.
+ *
+ * @param {Map<String, Number>} x
+ * The x-coordinates. The entries of this layer are changed.
+ */
+function placeLayer(layer, desired, sizes, gap, x) {
+    const separation = i => (sizes.get(layer[i]).breadth + sizes.get(layer[i + 1]).breadth) / 2 + gap;
+
+    const left  = [];
+    const right = [];
+
+    for (let i = 0; i < layer.length; i++) {
+        const d = desired.get(layer[i]);
+        left[i] = i === 0 ? d : Math.max(d, left[i - 1] + separation(i - 1));
+    }
+    for (let i = layer.length - 1; i >= 0; i--) {
+        const d = desired.get(layer[i]);
+        right[i] = i === layer.length - 1 ? d : Math.min(d, right[i + 1] - separation(i));
+    }
+
+    layer.forEach((id, i) => x.set(id, (left[i] + right[i]) / 2));
+}
+
+/**
+ * Rotates and mirrors the positions of a top to bottom layout to match the
+ * given rank direction.
+ *
+ * @param {Map<String, Object>} positions
+ * The positions of the top to bottom layout.
+ *
+ * @param {String} rankDirection
+ * The rank direction. This is one of "TB", "BT", "LR" or "RL".
+ *
+ * @return {Map<String, Object>}
+ * The transformed positions.
+ */
+function orient(positions, rankDirection) {
+    const transform = {
+        TB: ({x, y}) => ({x,     y}),
+        BT: ({x, y}) => ({x,     y: -y}),
+        LR: ({x, y}) => ({x: y,  y: x}),
+        RL: ({x, y}) => ({x: -y, y: x}),
+    }[rankDirection];
+    if (!transform) {
+        throw new Error(`Unknown rank direction "${rankDirection}".`);
+    }
+
+    const result = new Map();
+    for (let [id, position] of positions) {
+        result.set(id, transform(position));
+    }
+    return result;
+}
@@ -0,0 +1,6 @@
+export forceDirectedLayout, {iterLayouts as iterForceDirectedLayouts} from "./forceDirectedLayout.js";
+export hierarchicalLayout                                             from "./hierarchicalLayout.js";
+export circularLayout                                                 from "./circularLayout.js";
+export gridLayout                                                     from "./gridLayout.js";
+export radialTreeLayout                                               from "./radialTreeLayout.js";
+export concentricLayout                                               from "./concentricLayout.js";
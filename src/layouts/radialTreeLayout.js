@@ -0,0 +1,186 @@
+import {Vec2} from "@ignavia/ella";
+
+import registry   from "../registry.js";
+import * as utils from "../utils.js";
+import * as h     from "./helpers.js";
+
+/**
+ * The default configuration of this layout.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * The ID of the node to place in the center. Set this to null to use the
+     * first node of the graph.
+     *
+     * @type {String}
+     */
+    root: null,
+
+    /**
+     * The distance between two neighboring levels of the tree.
+     *
+     * @type {Number}
+     */
+    levelDistance: 100,
+
+    /**
+     * The center of the layout.
+     *
+     * @type {Vec2}
+     */
+    center: new Vec2(0, 0),
+
+    /**
+     * The angle in radians at which the sector used by the tree starts. An
+     * angle of 0 points to the right, increasing the angle moves clockwise.
+     *
+     * @type {Number}
+     */
+    startAngle: 0,
+
+    /**
+     * The size of the sector used by the tree in radians.
+     *
+     * @type {Number}
+     */
+    sweep: 2 * Math.PI,
+};
+
+/**
+ * Places the root of a breadth-first spanning tree in the center and the other
+ * nodes on concentric circles based on their distance to the root. Each
+ * subtree gets a sector that is proportional to its number of leaves. Edges
+ * are treated as undirected. Nodes that cannot be reached from the root are
+ * placed on an additional outer circle.
+ *
+ * @param {Graph} graphObj
+ * The graph to lay out.
+ *
+ * @param {Object} [conf]
+ * The configuration of the layout. Check the documentation of the default
+ * configuration for the structure of this object.
+ *
+ * @return {Layout}
+ * The computed layout.
+ */
+export default function makeLayout(graphObj, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    const nodeIds   = h.getNodeIds(graphObj);
+    const positions = new Map();
+    if (nodeIds.length === 0) {
+        return h.makeLayout(graphObj, positions);
+    }
+
+    const rootId = conf.root !== null ? conf.root : nodeIds[0];
+    if (!nodeIds.includes(rootId)) {
+        throw new Error(`The root ${rootId} is not part of the graph.`);
+    }
+
+    const {children, depths, order} = makeSpanningTree(nodeIds, h.getEdgeEndpoints(graphObj), rootId);
+    const leaves                    = countLeaves(order, children);
+
+    // Place the tree, parents before their children
+    const sectors = new Map([[rootId, {from: conf.startAngle, to: conf.startAngle + conf.sweep}]]);
+    for (let id of order) {
+        const {from, to} = sectors.get(id);
+        const angle      = (from + to) / 2;
+        const radius     = depths.get(id) * conf.levelDistance;
+        positions.set(id, {
+            x: conf.center.x + radius * Math.cos(angle),
+            y: conf.center.y + radius * Math.sin(angle),
+        });
+
+        let offset = from;
+        for (let childId of children.get(id)) {
+            const share = (to - from) * leaves.get(childId) / leaves.get(id);
+            sectors.set(childId, {from: offset, to: offset + share});
+            offset += share;
+        }
+    }
+
+    // Place the unreachable nodes
+    const unreachable = nodeIds.filter(id => !depths.has(id));
+    const outerRadius = (Math.max(...depths.values()) + 1) * conf.levelDistance;
+    const outer       = h.placeOnCircle(unreachable, outerRadius, conf.center);
+    for (let [id, position] of outer) {
+        positions.set(id, position);
+    }
+
+    return h.makeLayout(graphObj, positions);
+}
+registry.addLayout("radialTree", makeLayout);
+
+/**
+ * Computes a breadth-first spanning tree of the undirected graph.
+ *
+ * @param {Array<String>} nodeIds
+ * The IDs of the nodes.
+ *
+ * @param {Array<Object>} edges
+ * The source and target IDs of the edges.
+ *
+ * @param {String} rootId
+ * The ID of the root.
+ *
+ * @return {Object}
+ * The children map from node IDs to the IDs of their children, the depths map
+ * from node IDs to their distance to the root and the order array with the
+ * node IDs in the order they were visited. Unreachable nodes are not part of
+ * the result.
+ */
+function makeSpanningTree(nodeIds, edges, rootId) {
+    const neighbors = new Map(nodeIds.map(id => [id, []]));
+    for (let {sourceId, targetId} of edges) {
+        neighbors.get(sourceId).push(targetId);
+        neighbors.get(targetId).push(sourceId);
+    }
+
+    const children = new Map([[rootId, []]]);
+    const depths   = new Map([[rootId, 0]]);
+    const order    = [rootId];
+    for (let i = 0; i < order.length; i++) {
+        const id = order[i];
+        for (let neighborId of neighbors.get(id)) {
+            if (!depths.has(neighborId)) {
+                depths.set(neighborId, depths.get(id) + 1);
+                children.set(neighborId, []);
+                children.get(id).push(neighborId);
+                order.push(neighborId);
+            }
+        }
+    }
+
+    return {children, depths, order};
+}
+
+/**
+ * Counts the leaves of every subtree. A leaf counts as one.
+ *
+ * @param {Array<String>} order
+ * The node IDs in breadth-first order, so every parent comes before its
+ * children.
+ *
+ * @param {Map<String, Array<String>>} children
+ * Maps from node IDs to the IDs of their children.
+ *
+ * @return {Map<String, Number>}
+ * Maps from node IDs to the number of leaves in their subtree.
+ */
+function countLeaves(order, children) {
+    const result = new Map();
+
+    // Children are counted before their parents
+    for (let i = order.length - 1; i >= 0; i--) {
+        const childIds = children.get(order[i]);
+        result.set(order[i], childIds.length === 0 ?
+            1 :
+            childIds.reduce((sum, childId) => sum + result.get(childId), 0)
+        );
+    }
+
+    return result;
+}
@@ -0,0 +1,472 @@
+import _ from "lodash";
+
+import * as utils from "./utils.js";
+
+/**
+ * Color palettes for categorical data.
+ *
+ * @type {Object}
+ */
+export const palettes = {
+
+    /**
+     * Ten distinct, saturated colors.
+     *
+     * @type {Array<Color>}
+     */
+    category10: [
+        0x1f77b4, 0xff7f0e, 0x2ca02c, 0xd62728, 0x9467bd,
+        0x8c564b, 0xe377c2, 0x7f7f7f, 0xbcbd22, 0x17becf,
+    ].map(hex => utils.hexToColor(hex)),
+
+    /**
+     * Eight light colors that work well behind dark text.
+     *
+     * @type {Array<Color>}
+     */
+    pastel: [
+        0x8dd3c7, 0xffffb3, 0xbebada, 0xfb8072,
+        0x80b1d3, 0xfdb462, 0xb3de69, 0xfccde5,
+    ].map(hex => utils.hexToColor(hex)),
+
+    /**
+     * Twelve colors in light and dark pairs.
+     *
+     * @type {Array<Color>}
+     */
+    paired: [
+        0xa6cee3, 0x1f78b4, 0xb2df8a, 0x33a02c, 0xfb9a99, 0xe31a1c,
+        0xfdbf6f, 0xff7f00, 0xcab2d6, 0x6a3d9a, 0xffff99, 0xb15928,
+    ].map(hex => utils.hexToColor(hex)),
+};
+
+/**
+ * The transformations applied by the scale types before interpolating.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const transforms = {
+    linear: x => x,
+    sqrt:   x => x >= 0 ? Math.sqrt(x) : NaN,
+    log:    x => x > 0 ? Math.log(x) : NaN,
+};
+
+/**
+ * The inverses of the transformations.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const inverses = {
+    linear: x => x,
+    sqrt:   x => x * x,
+    log:    x => Math.exp(x),
+};
+
+/**
+ * Maps from the names of the visual properties of each style to the paths in
+ * its configuration.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const properties = {
+    node: {
+        simple: {
+            size:        "radius",
+            color:       "backgroundColor",
+            borderColor: "border.color",
+            borderWidth: "border.width",
+        },
+        labelled: {
+            size:        "text.font.size",
+            color:       "box.backgroundColor",
+            borderColor: "box.border.color",
+            borderWidth: "box.border.width",
+            textColor:   "text.fillColor",
+        },
+    },
+    edge: {
+        linear: {
+            width: "width",
+            color: "color",
+        },
+        quadratic: {
+            width: "line.width",
+            color: "line.color",
+        },
+        cubic: {
+            width: "line.width",
+            color: "line.color",
+        },
+        loop: {
+            width: "line.width",
+            color: "line.color",
+        },
+        polyline: {
+            width: "line.width",
+            color: "line.color",
+        },
+        orthogonal: {
+            width: "line.width",
+            color: "line.color",
+        },
+    },
+};
+
+/**
+ * Creates a function that maps numbers from a domain to a range.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.type]
+ * Use "linear" to interpolate the values directly, "sqrt" to interpolate their
+ * square roots or "log" to interpolate their logarithms. Use "sqrt" to map to
+ * radii, so the areas grow linearly, and "log" for values that span several
+ * orders of magnitude.
+ *
+ * @param {Array<Number>} [options.domain]
+ * The smallest and the largest input value.
+ *
+ * @param {Array<Number>} [options.range]
+ * The output values for the ends of the domain.
+ *
+ * @param {Boolean} [options.clamp]
+ * Whether to restrict the output to the range.
+ *
+ * @return {Function}
+ * The scale. It returns undefined for values that are not numbers or cannot
+ * be transformed, like negative numbers for "sqrt". Its type, domain and range
+ * are available as properties.
+ */
+export function makeScale({type = "linear", domain = [0, 1], range = [0, 1], clamp = true} = {}) {
+    const transform = transforms[type];
+    if (!transform) {
+        throw new Error(`Unknown scale type "${type}".`);
+    }
+
+    const [d0, d1] = domain.map(transform);
+    const [r0, r1] = range;
+
+    const scale = value => {
+        const x = transform(Number(value));
+        if (value === null || !isFinite(x)) {
+            return undefined;
+        }
+
+        let t = d0 === d1 ? 0.5 : (x - d0) / (d1 - d0);
+        if (clamp) {
+            t = Math.min(Math.max(t, 0), 1);
+        }
+        return r0 + t * (r1 - r0);
+    };
+
+    return Object.assign(scale, {type, domain, range});
+}
+
+/**
+ * Creates a function that assigns the values of a palette to categories.
+ * Categories get the next unused value when they are seen the first time. The
+ * palette starts over once all values are used.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String|Array} [options.palette]
+ * The name of a palette in palettes or an array of colors or other values.
+ *
+ * @param {Array} [options.categories]
+ * Categories that should get the first values in this order. Use this to keep
+ * colors stable across graphs.
+ *
+ * @return {Function}
+ * The mapping. It returns undefined for undefined. Its categories property
+ * maps from the categories seen so far to their values.
+ */
+export function makeOrdinal({palette = "category10", categories = []} = {}) {
+    const values = typeof palette === "string" ? palettes[palette] : palette;
+    if (!values || values.length === 0) {
+        throw new Error(`Unknown palette "${palette}".`);
+    }
+
+    const assigned = new Map();
+    const ordinal  = category => {
+        if (category === undefined) {
+            return undefined;
+        }
+        if (!assigned.has(category)) {
+            assigned.set(category, values[assigned.size % values.length]);
+        }
+        return assigned.get(category);
+    };
+
+    categories.forEach(ordinal);
+
+    return Object.assign(ordinal, {palette: values, categories: assigned});
+}
+
+/**
+ * Finds the smallest and the largest of the given values that can be
+ * transformed by the given scale type.
+ *
+ * @param {Iterable<*>} values
+ * The values to check. Those that are not numbers are ignored.
+ *
+ * @param {String} [type]
+ * The type of the scale. Check the documentation of makeScale for the
+ * possible values.
+ *
+ * @return {Array<Number>}
+ * The smallest and the largest value. If there are no valid values, [0, 1] is
+ * returned.
+ */
+export function computeDomain(values, type = "linear") {
+    const transform = transforms[type] || transforms.linear;
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let value of values) {
+        const x = Number(value);
+        if (value !== null && value !== undefined && isFinite(transform(x))) {
+            min = Math.min(min, x);
+            max = Math.max(max, x);
+        }
+    }
+
+    return min <= max ? [min, max] : [0, 1];
+}
+
+/**
+ * Creates a function that reads an attribute of an element and maps it to a
+ * visual property.
+ *
+ * Mappings with a palette or categories assign values to categories, check
+ * the documentation of makeOrdinal. All other mappings scale numbers, check
+ * the documentation of makeScale. If no domain is given, it is computed from
+ * the attribute values of the elements.
+ *
+ * @param {Object} mapping
+ * Describes the mapping.
+ *
+ * @param {String|Function} mapping.attribute
+ * The attribute to read. Check the documentation of utils.getAttribute.
+ *
+ * @param {String|Function} [mapping.scale]
+ * The type of the scale or a function that maps attribute values to the
+ * visual property.
+ *
+ * @param {Array<Number>} [mapping.domain]
+ * The smallest and largest attribute value.
+ *
+ * @param {Array<Number>} [mapping.range]
+ * The values of the visual property at the ends of the domain.
+ *
+ * @param {Boolean} [mapping.clamp]
+ * Whether to restrict the output to the range.
+ *
+ * @param {String|Array} [mapping.palette]
+ * The palette for categorical attributes.
+ *
+ * @param {Array} [mapping.categories]
+ * The order of the categories.
+ *
+ * @param {*} [mapping.default]
+ * The value for elements whose attribute is missing or cannot be mapped.
+ *
+ * @param {Array<Object>} [elements]
+ * The node or edge objects the domain is computed from.
+ *
+ * @return {Function}
+ * The function that gets an element and returns the value of the visual
+ * property. The scale or ordinal it uses is available as scale property.
+ */
+export function makeAttributeMapper(mapping, elements = []) {
+    const read = element => utils.getAttribute(mapping.attribute, element);
+
+    let scale = mapping.scale;
+    if (typeof scale !== "function") {
+        if (mapping.palette !== undefined || mapping.categories !== undefined) {
+            scale = makeOrdinal(mapping);
+        } else {
+            const type = scale || "linear";
+            scale = makeScale({
+                type,
+                domain: mapping.domain || computeDomain(elements.map(read), type),
+                range:  mapping.range,
+                clamp:  mapping.clamp,
+            });
+        }
+    }
+
+    const mapper = element => {
+        const value  = read(element);
+        const result = value === undefined ? undefined : scale(value);
+        return result === undefined ? mapping.default : result;
+    };
+
+    return Object.assign(mapper, {scale});
+}
+
+/**
+ * Creates the configurations of node visualizers from the attributes of the
+ * nodes. The result can be passed as nodeConfs to a GraphView.
+ *
+ * The keys of the mappings are the visual properties to set. The simple style
+ * supports size (the radius), color, borderColor and borderWidth. The
+ * labelled style supports size (the font size), color, borderColor,
+ * borderWidth and textColor. Other keys are used as paths in the
+ * configuration of the style, like "text.stroke.thickness".
+ *
+ *     mapNodes(graph, {
+ *         size:  {attribute: "population", scale: "sqrt", range: [5, 30]},
+ *         color: {attribute: "continent", palette: "category10"},
+ *     });
+ *
+ * @param {Graph} graphObj
+ * The graph whose nodes to map.
+ *
+ * @param {Object} mappings
+ * Maps from visual properties to mappings. Check the documentation of
+ * makeAttributeMapper for their structure.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.type]
+ * The name of the node style.
+ *
+ * @param {Map<String, Object>} [options.confs]
+ * Existing configurations. They are merged on top of the mapped values.
+ *
+ * @return {Map<String, Object>}
+ * Maps from node IDs to the configurations of the visualizers.
+ */
+export function mapNodes(graphObj, mappings, {type = "simple", confs = new Map()} = {}) {
+    return mapElements([...graphObj.iterNodes()], mappings, confs, "node", type);
+}
+
+/**
+ * Creates the configurations of edge visualizers from the attributes of the
+ * edges. The result can be passed as edgeConfs to a GraphView.
+ *
+ * The keys of the mappings are the visual properties of the line to set. All
+ * line styles support width and color. Other keys are used as paths in the
+ * configuration of the line style.
+ *
+ *     mapEdges(graph, {
+ *         width: {attribute: "traffic", scale: "log", range: [1, 8]},
+ *     });
+ *
+ * @param {Graph} graphObj
+ * The graph whose edges to map.
+ *
+ * @param {Object} mappings
+ * Maps from visual properties to mappings. Check the documentation of
+ * makeAttributeMapper for their structure.
+ *
+ * @param {Object} [options]
+ * The options object.
+ *
+ * @param {String} [options.type]
+ * The name of the line style.
+ *
+ * @param {Map<String, Object>} [options.confs]
+ * Existing configurations. They are merged on top of the mapped values.
+ *
+ * @return {Map<String, Object>}
+ * Maps from edge IDs to the configurations of the visualizers.
+ */
+export function mapEdges(graphObj, mappings, {type = "linear", confs = new Map()} = {}) {
+    return mapElements([...graphObj.iterEdges()], mappings, confs, "edge", type);
+}
+
+/**
+ * Creates the configuration of a node or edge visualizer that sets the given
+ * visual properties. Check the documentation of mapNodes and mapEdges for the
+ * supported properties.
+ *
+ * @param {String} group
+ * Either "node" or "edge".
+ *
+ * @param {String} type
+ * The name of the node style or line style.
+ *
+ * @param {Object} values
+ * Maps from visual properties to their values. Undefined values are skipped.
+ *
+ * @return {Object}
+ * The configuration of the visualizer.
+ */
+export function makeConf(group, type, values) {
+    const paths = properties[group][type] || {};
+
+    const conf = {};
+    for (let [property, value] of Object.entries(values)) {
+        if (value !== undefined) {
+            _.set(conf, paths[property] || property, value);
+        }
+    }
+
+    return {[group === "node" ? "style" : "lineStyle"]: {type, conf}};
+}
+
+/**
+ * Picks evenly spaced values from the domain of a scale created by makeScale.
+ * The spacing follows the type of the scale, so a log scale yields powers.
+ *
+ * @param {Function} scale
+ * The scale to sample.
+ *
+ * @param {Number} [count]
+ * How many values to pick. It has to be at least 2.
+ *
+ * @return {Array<Number>}
+ * The values from the start to the end of the domain. Duplicates are removed.
+ */
+export function sampleDomain(scale, count = 3) {
+    const transform = transforms[scale.type];
+    const inverse   = inverses[scale.type];
+    const [d0, d1]  = scale.domain.map(transform);
+
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        result.push(inverse(d0 + i / (count - 1) * (d1 - d0)));
+    }
+    return [...new Set(result)];
+}
+
+/**
+ * Creates the configurations of the visualizers of the given elements.
+ *
+ * @param {Array<Object>} elements
+ * The node or edge objects.
+ *
+ * @param {Object} mappings
+ * Maps from visual properties to mappings.
+ *
+ * @param {Map<String, Object>} confs
+ * Existing configurations to merge on top.
+ *
+ * @param {String} group
+ * Either "node" or "edge".
+ *
+ * @param {String} type
+ * The name of the style.
+ *
+ * @return {Map<String, Object>}
+ * Maps from IDs to the configurations of the visualizers.
+ *
+ * @ignore
+ */
+function mapElements(elements, mappings, confs, group, type) {
+    const mappers = _.mapValues(mappings, mapping => makeAttributeMapper(mapping, elements));
+
+    const result = new Map();
+    for (let element of elements) {
+        const values = _.mapValues(mappers, mapper => mapper(element));
+        result.set(element.id, utils.adjustConf(makeConf(group, type, values), confs.get(element.id)));
+    }
+    return result;
+}
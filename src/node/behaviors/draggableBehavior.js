@@ -0,0 +1,135 @@
+import {Vec2} from "@ignavia/ella";
+
+import registry   from "../../registry.js";
+import * as utils from "../../utils.js";
+
+/**
+ * The default configuration of this behavior.
+ *
+ * @type {Object}
+ */
+export const defaultConf = {
+
+    /**
+     * Whether the other selected nodes should move along if a selected node
+     * is dragged. This only has an effect if the node is part of a GraphView.
+     *
+     * @type {Boolean}
+     */
+    dragSelection: true,
+
+    /**
+     * Is triggered when the user starts dragging the display object. It gets
+     * the interaction event and the position of the display object.
+     *
+     * @type {Function}
+     */
+    handleDragstart: () => {},
+
+    /**
+     * Is triggered whenever the display object is moved. It gets the
+     * interaction event and the new position of the display object.
+     *
+     * @type {Function}
+     */
+    handleDrag: () => {},
+
+    /**
+     * Is triggered when the user drops the display object. It gets the
+     * interaction event and the final position of the display object.
+     *
+     * @type {Function}
+     */
+    handleDragend: () => {},
+};
+
+/**
+ * Lets the user drag the given display object with the mouse or a finger. The
+ * position is computed in the coordinate system of the parent, so zooming and
+ * panning the stage is taken into account.
+ *
+ * Besides calling the handlers from the configuration, the display object
+ * emits the events "dragstart", "dragmove" and "dragend". Each of them gets an
+ * object with the new position, the previous position and the dragSelection
+ * setting. GraphView listens to them to update edges and to move the other
+ * selected nodes.
+ *
+ * The interactive behavior replaces existing mouse and touch handlers, so it
+ * has to be listed before this one.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object to make draggable.
+ *
+ * @param {Object} [conf]
+ * The configuration of this behavior. Check the documentation of the default
+ * configuration to see how this object is structured.
+ */
+export default function addBehavior(displayObject, conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    let drag = undefined;
+
+    const getPosition = () => new Vec2(displayObject.x, displayObject.y);
+
+    const emit = (type, previousPosition) => {
+        displayObject.emit(type, {
+            position:      getPosition(),
+            previousPosition,
+            dragSelection: conf.dragSelection,
+        });
+    };
+
+    const start = e => {
+        const stage = utils.getRoot(displayObject);
+        if (drag || !utils.claimPointer(stage, displayObject)) {
+            return;
+        }
+
+        const pointer = e.data.getLocalPosition(displayObject.parent);
+        drag = {
+            stage,
+            offset: new Vec2(displayObject.x - pointer.x, displayObject.y - pointer.y),
+        };
+
+        emit("dragstart", getPosition());
+        conf.handleDragstart(e, getPosition());
+    };
+
+    const move = e => {
+        if (!drag) {
+            return;
+        }
+
+        const previousPosition = getPosition();
+        const pointer          = e.data.getLocalPosition(displayObject.parent);
+        utils.setPosition(new Vec2(pointer.x, pointer.y).add(drag.offset), displayObject);
+
+        emit("dragmove", previousPosition);
+        conf.handleDrag(e, getPosition());
+    };
+
+    const end = e => {
+        if (!drag) {
+            return;
+        }
+
+        utils.releasePointer(drag.stage, displayObject);
+        drag = undefined;
+
+        emit("dragend", getPosition());
+        conf.handleDragend(e, getPosition());
+    };
+
+    displayObject.interactive = true;
+    displayObject.buttonMode  = true;
+
+    displayObject.mousedown       = utils.composeEventListeners(displayObject.mousedown,       start);
+    displayObject.touchstart      = utils.composeEventListeners(displayObject.touchstart,      start);
+    displayObject.mousemove       = utils.composeEventListeners(displayObject.mousemove,       move);
+    displayObject.touchmove       = utils.composeEventListeners(displayObject.touchmove,       move);
+    displayObject.mouseup         = utils.composeEventListeners(displayObject.mouseup,         end);
+    displayObject.mouseupoutside  = utils.composeEventListeners(displayObject.mouseupoutside,  end);
+    displayObject.touchend        = utils.composeEventListeners(displayObject.touchend,        end);
+    displayObject.touchendoutside = utils.composeEventListeners(displayObject.touchendoutside, end);
+}
+registry.addNodeBehavior("draggable", addBehavior);
@@ -6,4 +6,5 @@ export nodeIllustratedStyle    from "./styles/illustratedStyle.js";
 export nodeTableStyle          from "./styles/tableStyle.js";
 
 export nodeEmptyBehavior       from "./behaviors/emptyBehavior.js";
-export nodeInteractiveBehavior from "./behaviors/interactiveBehavior.js";
\ No newline at end of file
+export nodeInteractiveBehavior from "./behaviors/interactiveBehavior.js";
+export nodeDraggableBehavior   from "./behaviors/draggableBehavior.js";
@@ -2,6 +2,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -272,12 +273,42 @@ export const defaultConf = {
 export default function makeSprite(conf = {}) {
     conf = utils.adjustConf(defaultConf, conf);
 
+    return utils.makeCanvasSprite(makeContainer(conf));
+};
+registry.addNodeStyle("illustrated", makeSprite);
+
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(makeContainer(conf), false);
+}
+registry.addNodeSVGStyle("illustrated", makeSVG);
+
+/**
+ * Creates the image with its caption and the box around them.
+ *
+ * @param {Object} conf
+ * The complete configuration of the style.
+ *
+ * @return {DisplayObject}
+ * The created container.
+ */
+function makeContainer(conf) {
     const container = utils.makeCaptionedImage(conf, conf.image.path, conf.caption.text.label);
     const box       = utils.makeBox(conf.box, container);
     const margin    = utils.makeMargin(conf.box.margin, box);
     container.addChildAt(box, 0);
     container.addChildAt(margin, 0);
 
-    return utils.makeCanvasSprite(container);
-};
-registry.addNodeStyle("illustrated", makeSprite);
+    return container;
+}
@@ -2,6 +2,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of the style.
@@ -221,3 +222,20 @@ export default function makeSprite(conf = {}) {
     return utils.makeCanvasSprite(container);
 };
 registry.addNodeStyle("labelled", makeSprite);
+
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(utils.makeBoxedLabel(conf, conf.text.label), false);
+}
+registry.addNodeSVGStyle("labelled", makeSVG);
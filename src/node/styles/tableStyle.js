@@ -2,6 +2,7 @@ import {predefinedColors} from "@ignavia/util";
 
 import registry   from "../../registry.js";
 import * as utils from "../../utils.js";
+import * as svg   from "../../io/svg.js";
 
 /**
  * The default configuration of this style.
@@ -358,6 +359,23 @@ export default function makeSprite(conf = {}) {
 };
 registry.addNodeStyle("table", makeSprite);
 
+/**
+ * Creates the SVG markup of the style using the given configuration.
+ *
+ * @param {Object} [conf]
+ * Check the documentation of the default configuration for the structure of
+ * this object.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromDisplayObject(makeContainer(conf, conf.content), false);
+}
+registry.addNodeSVGStyle("table", makeSVG);
+
 /**
  * Creates the container that is used to make the final sprite.
  *
@@ -2,6 +2,7 @@ import {Vec2} from "@ignavia/ella";
 
 import registry      from "../registry.js";
 import * as utils    from "../utils.js";
+import * as svg      from "../io/svg.js";
 
 /**
  * The default configuration of this visualizer.
@@ -133,3 +134,28 @@ export default function makeEnhancedSprite(conf = {}) {
 
     return result;
 };
+
+/**
+ * Creates the SVG markup of a node using the SVG style registered for its
+ * style. Position, rotation and scale are not applied.
+ *
+ * @param {Object} [conf]
+ * The configuration of the visualizer. Check the default configuration to see
+ * the structure of this object.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object of the node. It is embedded as an image if no SVG style
+ * is registered.
+ *
+ * @return {String}
+ * The SVG markup.
+ */
+export function makeSVG(conf = {}, displayObject) {
+    conf = utils.adjustConf(defaultConf, conf);
+
+    return svg.fromStyle(
+        ["node", "svgStyle", conf.style.type],
+        [conf.style.conf],
+        displayObject
+    );
+}
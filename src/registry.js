@@ -53,6 +53,23 @@ class Registry {
         return this.add(["edge", "arrowStyle", name], f);
     }
 
+    /**
+     * Adds a function that turns an arrow style into SVG markup to the registry.
+     * Use the name of the corresponding style.
+     *
+     * @param {String} name
+     * The name to register.
+     *
+     * @param {Function} f
+     * The function to add.
+     *
+     * @return {Registry}
+     * This object to make the method chainable.
+     */
+    addEdgeArrowSVGStyle(name, f) {
+        return this.add(["edge", "arrowSVGStyle", name], f);
+    }
+
     /**
      * Adds an edge behavior to the registry.
      *
@@ -85,6 +102,23 @@ class Registry {
         return this.add(["edge", "decalStyle", name], f);
     }
 
+    /**
+     * Adds a function that turns a decal style into SVG markup to the registry.
+     * Use the name of the corresponding style.
+     *
+     * @param {String} name
+     * The name to register.
+     *
+     * @param {Function} f
+     * The function to add.
+     *
+     * @return {Registry}
+     * This object to make the method chainable.
+     */
+    addEdgeDecalSVGStyle(name, f) {
+        return this.add(["edge", "decalSVGStyle", name], f);
+    }
+
     /**
      * Adds a line style to the registry.
      *
@@ -101,6 +135,23 @@ class Registry {
         return this.add(["edge", "lineStyle", name], f);
     }
 
+    /**
+     * Adds a function that turns a line style into SVG markup to the registry.
+     * Use the name of the corresponding style.
+     *
+     * @param {String} name
+     * The name to register.
+     *
+     * @param {Function} f
+     * The function to add.
+     *
+     * @return {Registry}
+     * This object to make the method chainable.
+     */
+    addEdgeLineSVGStyle(name, f) {
+        return this.add(["edge", "lineSVGStyle", name], f);
+    }
+
     /**
      * Adds a graph behavior to the registry.
      *
@@ -133,6 +184,22 @@ class Registry {
         return this.add(["graph", "style", name], f);
     }
 
+    /**
+     * Adds a layout algorithm to the registry.
+     *
+     * @param {String} name
+     * The name to register.
+     *
+     * @param {Function} f
+     * The function to add.
+     *
+     * @return {Registry}
+     * This object to make the method chainable.
+     */
+    addLayout(name, f) {
+        return this.add(["layout", name], f);
+    }
+
     /**
      * Adds a node behavior to the registry.
      *
@@ -165,6 +232,23 @@ class Registry {
         return this.add(["node", "style", name], f);
     }
 
+    /**
+     * Adds a function that turns a node style into SVG markup to the registry.
+     * Use the name of the corresponding style.
+     *
+     * @param {String} name
+     * The name to register.
+     *
+     * @param {Function} f
+     * The function to add.
+     *
+     * @return {Registry}
+     * This object to make the method chainable.
+     */
+    addNodeSVGStyle(name, f) {
+        return this.add(["node", "svgStyle", name], f);
+    }
+
     /**
      * Removes the function stored under the given path.
      *
@@ -1,18 +1,42 @@
 import _ from "lodash";
 
-import {Vec2}             from "@ignavia/ella";
-import {predefinedColors} from "@ignavia/util";
+import {Vec2}                    from "@ignavia/ella";
+import {Color, predefinedColors} from "@ignavia/util";
 
 /**
- * A canvas renderer.
+ * The canvas renderer used by makeCanvasSprite. It is created on first use, so
+ * this module can be imported before a canvas is available.
  *
  * @type {Renderer}
  * @ignore
  */
-export const canvasRenderer = new PIXI.CanvasRenderer({
-    antialias:  true,
-    resolution: window.devicePixelRatio || 1
-});
+let canvasRenderer = undefined;
+
+/**
+ * Returns the canvas renderer used to turn display objects into sprites.
+ *
+ * @return {Renderer}
+ * The canvas renderer.
+ */
+export function getCanvasRenderer() {
+    if (!canvasRenderer) {
+        canvasRenderer = new PIXI.CanvasRenderer({
+            antialias:  true,
+            resolution: getDevicePixelRatio()
+        });
+    }
+    return canvasRenderer;
+}
+
+/**
+ * Returns the device pixel ratio of the browser or 1 if there is no browser.
+ *
+ * @return {Number}
+ * The device pixel ratio.
+ */
+export function getDevicePixelRatio() {
+    return typeof window !== "undefined" && window.devicePixelRatio || 1;
+}
 
 /**
  * Creates a sprite from the given display object using a canvas renderer.
@@ -21,12 +45,40 @@ export const canvasRenderer = new PIXI.CanvasRenderer({
  * The display object to turn into a sprite.
  */
 export function makeCanvasSprite(displayObject) {
-    const texture = displayObject.generateTexture(canvasRenderer);
+    const texture = displayObject.generateTexture(getCanvasRenderer());
     const sprite  = new PIXI.Sprite(texture);
-    sprite.anchor = computeAnchor(displayObject);
+    sprite.anchor   = computeAnchor(displayObject);
+    sprite.boundary = displayObject.boundary;
     return sprite;
 }
 
+/**
+ * Creates the display object of the line of an edge. If a graphics object is
+ * given, it is cleared and the line is drawn on it. This way an edge can
+ * redraw its line without creating a new texture. Otherwise the line is
+ * turned into a sprite using a canvas renderer.
+ *
+ * @param {Graphics} [graphics]
+ * The graphics object to draw on.
+ *
+ * @param {Function} draw
+ * Gets the graphics object and draws the line on it.
+ *
+ * @return {DisplayObject}
+ * The given graphics object or the created sprite.
+ */
+export function makeLineSprite(graphics, draw) {
+    if (graphics) {
+        graphics.clear();
+        draw(graphics);
+        return graphics;
+    }
+
+    const line = new PIXI.Graphics();
+    draw(line);
+    return makeCanvasSprite(line);
+}
+
 /**
  * An empty display object.
  *
@@ -66,6 +118,10 @@ export function adjustConf(base, adjustments) {
  * @param {Color} style.color
  * The color of the line.
  *
+ * @param {Array<Number>} [style.dash]
+ * The lengths of the dashes and gaps, alternating. Leave this empty for a
+ * solid line.
+ *
  * @param {Vec2} startPos
  * Where to start the line.
  *
@@ -76,13 +132,30 @@ export function adjustConf(base, adjustments) {
  * The created display object.
  */
 export const makeLine = _.curry(function (style, startPos, endPos) {
-    const result = new PIXI.Graphics();
-    result.lineStyle(style.width, style.color.hex, style.color.alpha);
-    result.moveTo(startPos.x, startPos.y);
-    result.lineTo(endPos.x, endPos.y);
-    return result;
+    return drawLine(new PIXI.Graphics(), style, startPos, endPos);
 });
 
+/**
+ * Draws a line on the given graphics object. Check the documentation of
+ * makeLine for the other parameters.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to draw on.
+ *
+ * @return {Graphics}
+ * The graphics object.
+ */
+export function drawLine(graphics, style, startPos, endPos) {
+    graphics.lineStyle(style.width, style.color.hex, style.color.alpha);
+    if (isDashed(style)) {
+        drawDashedPolyline(graphics, style.dash, [startPos, endPos]);
+    } else {
+        graphics.moveTo(startPos.x, startPos.y);
+        graphics.lineTo(endPos.x, endPos.y);
+    }
+    return graphics;
+}
+
 /**
  * Creates a display object of quadratic curve.
  *
@@ -95,6 +168,10 @@ export const makeLine = _.curry(function (style, startPos, endPos) {
  * @param {Color} style.color
  * The color of the line.
  *
+ * @param {Array<Number>} [style.dash]
+ * The lengths of the dashes and gaps, alternating. Leave this empty for a
+ * solid line.
+ *
  * @param {Vec2} startPos
  * Where to start the line.
  *
@@ -108,18 +185,41 @@ export const makeLine = _.curry(function (style, startPos, endPos) {
  * The created display object.
  */
 export const makeQuadraticCurve = _.curry(function (style, startPos, controlPos, endPos) {
-    const result = new PIXI.Graphics();
-    result.lineStyle(style.width, style.color.hex, style.color.alpha);
-    result.moveTo(startPos.x, startPos.y);
-    result.quadraticCurveTo(
-        controlPos.x,
-        controlPos.y,
-        endPos.x,
-        endPos.y
-    );
-    return result;
+    return drawQuadraticCurve(new PIXI.Graphics(), style, startPos, controlPos, endPos);
 });
 
+/**
+ * Draws a quadratic curve on the given graphics object. Check the
+ * documentation of makeQuadraticCurve for the other parameters.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to draw on.
+ *
+ * @return {Graphics}
+ * The graphics object.
+ */
+export function drawQuadraticCurve(graphics, style, startPos, controlPos, endPos) {
+    graphics.lineStyle(style.width, style.color.hex, style.color.alpha);
+    if (isDashed(style)) {
+        drawDashedPolyline(graphics, style.dash, sampleCurve(t => {
+            const u = 1 - t;
+            return {
+                x: u * u * startPos.x + 2 * u * t * controlPos.x + t * t * endPos.x,
+                y: u * u * startPos.y + 2 * u * t * controlPos.y + t * t * endPos.y,
+            };
+        }));
+    } else {
+        graphics.moveTo(startPos.x, startPos.y);
+        graphics.quadraticCurveTo(
+            controlPos.x,
+            controlPos.y,
+            endPos.x,
+            endPos.y
+        );
+    }
+    return graphics;
+}
+
 /**
  * Creates a display object of quadratic curve.
  *
@@ -132,6 +232,10 @@ export const makeQuadraticCurve = _.curry(function (style, startPos, controlPos,
  * @param {Color} style.color
  * The color of the line.
  *
+ * @param {Array<Number>} [style.dash]
+ * The lengths of the dashes and gaps, alternating. Leave this empty for a
+ * solid line.
+ *
  * @param {Vec2} startPos
  * Where to start the line.
  *
@@ -148,20 +252,162 @@ export const makeQuadraticCurve = _.curry(function (style, startPos, controlPos,
  * The created display object.
  */
 export const makeBezierCurve = _.curry(function (style, startPos, controlPos1, controlPos2, endPos) {
-    const result = new PIXI.Graphics();
-    result.lineStyle(style.width, style.color.hex, style.color.alpha);
-    result.moveTo(startPos.x, startPos.y);
-    result.bezierCurveTo(
-        controlPos1.x,
-        controlPos1.y,
-        controlPos2.x,
-        controlPos2.y,
-        endPos.x,
-        endPos.y
-    );
-    return result;
+    return drawBezierCurve(new PIXI.Graphics(), style, startPos, controlPos1, controlPos2, endPos);
 });
 
+/**
+ * Draws a cubic bezier curve on the given graphics object. Check the
+ * documentation of makeBezierCurve for the other parameters.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to draw on.
+ *
+ * @return {Graphics}
+ * The graphics object.
+ */
+export function drawBezierCurve(graphics, style, startPos, controlPos1, controlPos2, endPos) {
+    graphics.lineStyle(style.width, style.color.hex, style.color.alpha);
+    if (isDashed(style)) {
+        drawDashedPolyline(graphics, style.dash, sampleCurve(t => {
+            const u = 1 - t;
+            return {
+                x: u * u * u * startPos.x + 3 * u * u * t * controlPos1.x + 3 * u * t * t * controlPos2.x + t * t * t * endPos.x,
+                y: u * u * u * startPos.y + 3 * u * u * t * controlPos1.y + 3 * u * t * t * controlPos2.y + t * t * t * endPos.y,
+            };
+        }));
+    } else {
+        graphics.moveTo(startPos.x, startPos.y);
+        graphics.bezierCurveTo(
+            controlPos1.x,
+            controlPos1.y,
+            controlPos2.x,
+            controlPos2.y,
+            endPos.x,
+            endPos.y
+        );
+    }
+    return graphics;
+}
+
+/**
+ * Creates a display object of a line through the given points.
+ *
+ * @param {Object} style
+ * How the line should look. Check the documentation of makeLine for the
+ * structure of this object.
+ *
+ * @param {Array<Vec2>} points
+ * The points to connect.
+ *
+ * @return {DisplayObject}
+ * The created display object.
+ */
+export const makePolyline = _.curry(function (style, points) {
+    return drawPolyline(new PIXI.Graphics(), style, points);
+});
+
+/**
+ * Draws a line through the given points on the given graphics object. Check
+ * the documentation of makePolyline for the other parameters.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to draw on.
+ *
+ * @return {Graphics}
+ * The graphics object.
+ */
+export function drawPolyline(graphics, style, points) {
+    graphics.lineStyle(style.width, style.color.hex, style.color.alpha);
+    if (isDashed(style)) {
+        drawDashedPolyline(graphics, style.dash, points);
+    } else {
+        graphics.moveTo(points[0].x, points[0].y);
+        for (let point of points.slice(1)) {
+            graphics.lineTo(point.x, point.y);
+        }
+    }
+    return graphics;
+}
+
+/**
+ * Checks whether the given line style has a dash pattern. Patterns with
+ * lengths that are not positive are ignored, since drawing them would never
+ * make progress along the line.
+ *
+ * @param {Object} style
+ * The style of the line.
+ *
+ * @return {Boolean}
+ * Whether the line is dashed.
+ */
+export function isDashed(style) {
+    return Array.isArray(style.dash) &&
+        style.dash.length > 0 &&
+        style.dash.every(length => length > 0);
+}
+
+/**
+ * Samples points along a curve.
+ *
+ * @param {Function} f
+ * Gets a value between 0 and 1 and returns the point of the curve.
+ *
+ * @param {Number} [n]
+ * The number of segments.
+ *
+ * @return {Array<Object>}
+ * The points.
+ */
+function sampleCurve(f, n = 50) {
+    return _.range(n + 1).map(i => f(i / n));
+}
+
+/**
+ * Draws a dashed line through the given points. The pattern continues across
+ * the corners.
+ *
+ * @param {Graphics} graphics
+ * The graphics object to draw on. Its line style must already be set.
+ *
+ * @param {Array<Number>} dash
+ * The lengths of the dashes and gaps, alternating.
+ *
+ * @param {Array<Object>} points
+ * The points to connect.
+ */
+function drawDashedPolyline(graphics, dash, points) {
+    let index     = 0;
+    let remaining = dash[0];
+
+    graphics.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        let   start  = points[i - 1];
+        const end    = points[i];
+        let   length = Math.hypot(end.x - start.x, end.y - start.y);
+
+        while (length > 0) {
+            const step = Math.min(remaining, length);
+            const next = {
+                x: start.x + (end.x - start.x) * step / length,
+                y: start.y + (end.y - start.y) * step / length,
+            };
+            if (index % 2 === 0) {
+                graphics.lineTo(next.x, next.y);
+            } else {
+                graphics.moveTo(next.x, next.y);
+            }
+
+            start      = next;
+            length    -= step;
+            remaining -= step;
+            if (remaining <= 0) {
+                index     = (index + 1) % (dash.length % 2 === 0 ? dash.length : 2 * dash.length);
+                remaining = dash[index % dash.length];
+            }
+        }
+    }
+}
+
 /**
  * Creates a display object of a circle. This function is curried.
  *
@@ -195,6 +441,10 @@ export const makeCircle = _.curry(function (style, radius) {
         0,
         radius
     );
+    result.boundary = {
+        shape:  "circle",
+        radius: radius + style.border.width / 2,
+    };
     return result;
 });
 
@@ -235,6 +485,11 @@ export const makeEllipse = _.curry(function (style, halfWidth, halfHeight) {
         halfWidth,
         halfHeight
     );
+    result.boundary = {
+        shape:      "ellipse",
+        halfWidth:  halfWidth  + style.border.width / 2,
+        halfHeight: halfHeight + style.border.width / 2,
+    };
     return result;
 });
 
@@ -275,6 +530,7 @@ export const makeRect = _.curry(function (style, width, height) {
         width,
         height
     );
+    result.boundary = makeRectBoundary("rect", width + style.border.width, height + style.border.width);
     return result;
 });
 
@@ -319,6 +575,8 @@ export const makeRoundedRect = _.curry(function (style, width, height, radius) {
         height,
         radius
     );
+    result.boundary = makeRectBoundary("roundedRect", width + style.border.width, height + style.border.width);
+    result.boundary.radius = radius;
     return result;
 });
 
@@ -602,6 +860,7 @@ export const makeBoxedLabel = _.curry(function (style, text) {
     result.addChild(margin);
     result.addChild(box);
     result.addChild(label);
+    result.boundary = box.boundary;
     return result;
 });
 
@@ -873,4 +1132,534 @@ export function computeAnchor(displayObject) {
         x: -x / width,
         y: -y / height,
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a function that tests whether a point is inside the shape of the
+ * given display object. The shape is read from its boundary property, which
+ * is set by makeCircle, makeEllipse, makeRect and makeRoundedRect and kept by
+ * makeBoxedLabel and makeCanvasSprite. Other display objects, like images and
+ * tables, are treated as their bounding box.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object to test against. Its position, pivot and rotation at the
+ * time of the call are taken into account. The scale stored in origScaleX and
+ * origScaleY is used if it exists, so the test does not depend on filters that
+ * scale the display object every frame, like the size scaling of GraphView.
+ *
+ * @return {Function}
+ * A function that gets a point in the coordinate system of the parent of the
+ * display object and returns whether it is inside the shape.
+ */
+export function makeBoundaryTest(displayObject) {
+    let boundary = displayObject.boundary;
+    if (!boundary) {
+        const {x, y, width, height} = displayObject.getLocalBounds();
+        boundary = {shape: "rect", x, y, width, height};
+    }
+
+    const {x, y, rotation, pivot} = displayObject;
+    const scaleX = displayObject.origScaleX !== undefined ? displayObject.origScaleX : displayObject.scale.x;
+    const scaleY = displayObject.origScaleY !== undefined ? displayObject.origScaleY : displayObject.scale.y;
+    const cos    = Math.cos(rotation);
+    const sin    = Math.sin(rotation);
+
+    return point => {
+        const dx = point.x - x;
+        const dy = point.y - y;
+        return isInBoundary(boundary, {
+            x: ( cos * dx + sin * dy) / scaleX + pivot.x,
+            y: (-sin * dx + cos * dy) / scaleY + pivot.y,
+        });
+    };
+}
+
+/**
+ * Computes which part of a curve lies outside the nodes it connects. The
+ * curve has to start inside the source node and end inside the target node.
+ *
+ * @param {Function} f
+ * The function of the curve. It maps parameters between 0 and 1 to points.
+ *
+ * @param {Object} [endpoints]
+ * Describes where the curve should end.
+ *
+ * @param {Function} [endpoints.source]
+ * Tests whether a point is inside the source node. The curve is not clipped
+ * at its start if this is undefined.
+ *
+ * @param {Function} [endpoints.target]
+ * Tests whether a point is inside the target node. The curve is not clipped
+ * at its end if this is undefined.
+ *
+ * @param {String|Number} [endpoints.arrowPosition]
+ * Where to place the arrow. Use "end" to put it at the end of the visible part
+ * or a number between 0 and 1 to put it at this parameter of the curve.
+ *
+ * @param {Vec2} [endpoints.sourcePos]
+ * The position of the source node on the stage. It is not used here, but line
+ * styles with absolute points need it to make them relative to the line.
+ *
+ * @param {Number} [middle]
+ * A parameter whose point is outside of both nodes. The boundary of the source
+ * node is searched before and the one of the target node after it. This is
+ * needed for curves that return to their source node, like loops. By default
+ * the whole curve is searched.
+ *
+ * @return {Object}
+ * The parameters where the visible part starts and ends and the parameter of
+ * the arrow. The whole curve is visible if the nodes overlap.
+ */
+export function clipCurve(f, {source, target, arrowPosition = "end"} = {}, middle = undefined) {
+    let start = source ? findBoundary(t => source(f(t)), 0, middle === undefined ? 1 : middle) : 0;
+    let end   = target ? findBoundary(t => target(f(t)), 1, middle === undefined ? start : middle) : 1;
+    if (end <= start) {
+        start = 0;
+        end   = 1;
+    }
+
+    return {
+        start,
+        end,
+        arrow: typeof arrowPosition === "number" ? arrowPosition : end,
+    };
+}
+
+/**
+ * Measures the distance between the center of a node and its boundary in the
+ * given direction.
+ *
+ * @param {Function} isInside
+ * Tests whether a point relative to the center is inside the node.
+ *
+ * @param {Number} angle
+ * The direction as an angle in radians.
+ *
+ * @return {Number}
+ * The distance to the boundary.
+ */
+export function measureExtent(isInside, angle) {
+    const direction  = new Vec2(Math.cos(angle), Math.sin(angle));
+    const isInsideAt = distance => isInside(direction.mul(distance));
+
+    let outside = 1;
+    for (let i = 0; i < 30 && isInsideAt(outside); i++) {
+        outside *= 2;
+    }
+
+    return findBoundary(isInsideAt, 0, outside);
+}
+
+/**
+ * Computes the control points of the part of a bezier curve between the given
+ * parameters with the algorithm of de Casteljau.
+ *
+ * @param {Array<Vec2>} points
+ * The start point, the control points and the end point of the curve.
+ *
+ * @param {Number} start
+ * The parameter where the part starts.
+ *
+ * @param {Number} end
+ * The parameter where the part ends.
+ *
+ * @return {Array<Vec2>}
+ * The start point, the control points and the end point of the part.
+ */
+export function trimBezier(points, start, end) {
+    const [, tail] = splitBezier(points, start);
+    const [part]   = splitBezier(tail, start < 1 ? (end - start) / (1 - start) : 0);
+    return part;
+}
+
+/**
+ * Parametrizes a line through the given points by its length, so it can be
+ * passed to clipCurve.
+ *
+ * @param {Array<Vec2>} points
+ * The points the line connects.
+ *
+ * @return {Function}
+ * A function that maps parameters between 0 and 1 to an object with the point
+ * at this fraction of the length as pos and the angle of the segment there as
+ * angle.
+ */
+export function parametrizePolyline(points) {
+    const lengths = computeCumulativeLengths(points);
+    const total   = lengths[lengths.length - 1];
+
+    return t => {
+        const distance = _.clamp(t, 0, 1) * total;
+        let i = 1;
+        while (i < points.length - 1 && lengths[i] < distance) {
+            i++;
+        }
+
+        const start   = points[i - 1];
+        const segment = points[i].sub(start);
+        const length  = lengths[i] - lengths[i - 1];
+        return {
+            pos:   length > 0 ? start.add(segment.mul((distance - lengths[i - 1]) / length)) : start,
+            angle: Math.atan2(segment.y, segment.x),
+        };
+    };
+}
+
+/**
+ * Computes the points of the part of a line through the given points between
+ * the given parameters. The parameters are fractions of the length like in
+ * parametrizePolyline.
+ *
+ * @param {Array<Vec2>} points
+ * The points the line connects.
+ *
+ * @param {Number} start
+ * The parameter where the part starts.
+ *
+ * @param {Number} end
+ * The parameter where the part ends.
+ *
+ * @return {Array<Vec2>}
+ * The points of the part.
+ */
+export function trimPolyline(points, start, end) {
+    const lengths = computeCumulativeLengths(points);
+    const total   = lengths[lengths.length - 1];
+    const f       = parametrizePolyline(points);
+
+    const inner = points.filter((p, i) => lengths[i] > start * total && lengths[i] < end * total);
+    return [f(start).pos, ...inner, f(end).pos];
+}
+
+/**
+ * Computes the length of a line through the given points up to each point.
+ *
+ * @param {Array<Vec2>} points
+ * The points the line connects.
+ *
+ * @return {Array<Number>}
+ * The lengths. The first one is always 0.
+ *
+ * @ignore
+ */
+function computeCumulativeLengths(points) {
+    const result = [0];
+    for (let i = 1; i < points.length; i++) {
+        const {x, y} = points[i].sub(points[i - 1]);
+        result.push(result[i - 1] + Math.hypot(x, y));
+    }
+    return result;
+}
+
+/**
+ * Splits a bezier curve at the given parameter.
+ *
+ * @param {Array<Vec2>} points
+ * The start point, the control points and the end point of the curve.
+ *
+ * @param {Number} t
+ * Where to split the curve.
+ *
+ * @return {Array<Array<Vec2>>}
+ * The points of the part before and after the split.
+ *
+ * @ignore
+ */
+function splitBezier(points, t) {
+    const before = [];
+    const after  = [];
+
+    let current = points;
+    while (current.length > 0) {
+        before.push(current[0]);
+        after.unshift(current[current.length - 1]);
+        current = current.slice(1).map((p, i) => current[i].add(p.sub(current[i]).mul(t)));
+    }
+
+    return [before, after];
+}
+
+/**
+ * Searches the parameter where a curve crosses the boundary of a node with
+ * bisection.
+ *
+ * @param {Function} isInside
+ * Tests whether the point at a parameter is inside the node.
+ *
+ * @param {Number} inside
+ * A parameter whose point is inside the node.
+ *
+ * @param {Number} outside
+ * A parameter whose point is outside the node.
+ *
+ * @return {Number}
+ * The parameter of the crossing or the first parameter if the points are not
+ * on different sides of the boundary.
+ *
+ * @ignore
+ */
+function findBoundary(isInside, inside, outside) {
+    if (!isInside(inside) || isInside(outside)) {
+        return inside;
+    }
+
+    for (let i = 0; i < 30; i++) {
+        const middle = (inside + outside) / 2;
+        if (isInside(middle)) {
+            inside = middle;
+        } else {
+            outside = middle;
+        }
+    }
+
+    return outside;
+}
+
+/**
+ * Describes a rectangle centered at the origin as the boundary of a shape.
+ *
+ * @param {String} shape
+ * Either "rect" or "roundedRect".
+ *
+ * @param {Number} width
+ * The width of the rectangle.
+ *
+ * @param {Number} height
+ * The height of the rectangle.
+ *
+ * @return {Object}
+ * The boundary.
+ *
+ * @ignore
+ */
+function makeRectBoundary(shape, width, height) {
+    return {shape, x: -width / 2, y: -height / 2, width, height};
+}
+
+/**
+ * Tests whether a point is inside a boundary.
+ *
+ * @param {Object} boundary
+ * The boundary to test against.
+ *
+ * @param {Object} point
+ * The point in the coordinate system of the boundary.
+ *
+ * @return {Boolean}
+ * Whether the point is inside.
+ *
+ * @ignore
+ */
+function isInBoundary(boundary, {x, y}) {
+    switch (boundary.shape) {
+    case "circle":
+        return x**2 + y**2 <= boundary.radius**2;
+    case "ellipse":
+        return (x / boundary.halfWidth)**2 + (y / boundary.halfHeight)**2 <= 1;
+    case "rect":
+    case "roundedRect": {
+        const {width: w, height: h, radius: r = 0} = boundary;
+        const dx = Math.abs(x - boundary.x - w / 2) - w / 2;
+        const dy = Math.abs(y - boundary.y - h / 2) - h / 2;
+        if (dx > 0 || dy > 0) {
+            return false;
+        }
+        return dx < -r || dy < -r || (dx + r)**2 + (dy + r)**2 <= r**2;
+    }
+    default:
+        return false;
+    }
+}
+
+/**
+ * Returns the value of an attribute of a node or edge object. The attribute is
+ * looked up in the attributes object of the element first and as a property
+ * of the element afterwards. Nested properties can be accessed with a path like
+ * "meta.weight".
+ *
+ * @param {String|Function} key
+ * The name of the attribute. If a function is provided, it is called with the
+ * element and its result is returned instead.
+ *
+ * @param {Object} element
+ * The node or edge object to read.
+ *
+ * @return {*}
+ * The value of the attribute or undefined if it does not exist.
+ */
+export function getAttribute(key, element) {
+    if (typeof key === "function") {
+        return key(element);
+    }
+    if (element.attributes && _.has(element.attributes, key)) {
+        return _.get(element.attributes, key);
+    }
+    return _.get(element, key);
+}
+
+/**
+ * Computes a non-negative 32-bit hash of the given string using the FNV-1a
+ * algorithm. This is used to derive stable pseudo-random values from IDs.
+ *
+ * @param {String} s
+ * The string to hash.
+ *
+ * @return {Number}
+ * The hash value.
+ */
+export function hashString(s) {
+    let result = 2166136261;
+    for (let i = 0; i < s.length; i++) {
+        result ^= s.charCodeAt(i);
+        result  = Math.imul(result, 16777619);
+    }
+    return result >>> 0;
+}
+
+/**
+ * Returns the topmost ancestor of the given display object. For node and edge
+ * graphics this is the stage.
+ *
+ * @param {DisplayObject} displayObject
+ * The display object to start from.
+ *
+ * @return {DisplayObject}
+ * The root of the scene graph.
+ */
+export function getRoot(displayObject) {
+    let result = displayObject;
+    while (result.parent) {
+        result = result.parent;
+    }
+    return result;
+}
+
+/**
+ * Reserves the pointer for the given owner until it is released again. This
+ * prevents several behaviors from reacting to the same drag gesture. Claiming
+ * succeeds if the pointer is free or already owned by the same owner.
+ *
+ * @param {DisplayObject} stage
+ * The stage the gesture happens on.
+ *
+ * @param {*} owner
+ * Identifies the behavior that wants the pointer.
+ *
+ * @return {Boolean}
+ * Whether the owner holds the pointer afterwards.
+ */
+export function claimPointer(stage, owner) {
+    if (stage.pointerOwner === undefined) {
+        stage.pointerOwner = owner;
+    }
+    return stage.pointerOwner === owner;
+}
+
+/**
+ * Releases the pointer if it is held by the given owner.
+ *
+ * @param {DisplayObject} stage
+ * The stage the gesture happens on.
+ *
+ * @param {*} owner
+ * Identifies the behavior that holds the pointer.
+ */
+export function releasePointer(stage, owner) {
+    if (stage.pointerOwner === owner) {
+        stage.pointerOwner = undefined;
+    }
+}
+
+/**
+ * Checks if any behavior holds the pointer.
+ *
+ * @param {DisplayObject} stage
+ * The stage the gesture happens on.
+ *
+ * @return {Boolean}
+ * Whether the pointer is claimed.
+ */
+export function isPointerClaimed(stage) {
+    return stage.pointerOwner !== undefined;
+}
+
+/**
+ * Checks if the given point lies inside the polygon using the even-odd rule.
+ *
+ * @param {Object} point
+ * The point to check. It needs an x- and a y-coordinate.
+ *
+ * @param {Array<Object>} polygon
+ * The corners of the polygon. Each of them needs an x- and a y-coordinate.
+ *
+ * @return {Boolean}
+ * Whether the point is inside.
+ */
+export function isPointInPolygon({x, y}, polygon) {
+    let result = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            result = !result;
+        }
+    }
+    return result;
+}
+
+/**
+ * Turns a color number as used by PIXI into a CSS color string.
+ *
+ * @param {Number} hex
+ * The color number.
+ *
+ * @return {String}
+ * The CSS color.
+ */
+export function hexToCSS(hex) {
+    return `#${`000000${hex.toString(16)}`.slice(-6)}`;
+}
+
+/**
+ * Creates a color from a color number as used by PIXI.
+ *
+ * @param {Number} hex
+ * The color number.
+ *
+ * @param {Number} [alpha]
+ * The opacity of the color.
+ *
+ * @return {Color}
+ * The created color.
+ */
+export function hexToColor(hex, alpha = 1) {
+    return new Color((hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff, alpha);
+}
+
+/**
+ * Parses a color given as "#rgb", "#rrggbb", "#rrggbbaa" or as the name of a
+ * predefined color. Names are compared case-insensitively.
+ *
+ * @param {String} s
+ * The string to parse.
+ *
+ * @return {Color}
+ * The parsed color or undefined if the string is no valid color.
+ */
+export function parseColor(s) {
+    s = String(s).trim();
+
+    let match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(s);
+    if (match) {
+        return hexToColor(parseInt(match.slice(1).map(c => c + c).join(""), 16));
+    }
+
+    match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(s);
+    if (match) {
+        const alpha = match[2] !== undefined ? parseInt(match[2], 16) / 255 : 1;
+        return hexToColor(parseInt(match[1], 16), alpha);
+    }
+
+    const name = Object.keys(predefinedColors).find(key => key.toLowerCase() === s.toLowerCase());
+    return name !== undefined ? predefinedColors[name] : undefined;
+}
@@ -1,4 +1,3 @@
-import $ from "jquery";
 import GraphView from "./src/GraphView.js";
 
 import {predefinedColors} from "@ignavia/util";
@@ -133,7 +132,7 @@ function resize() {
 }
 
 const $container = document.getElementById("container");
-$(window).on("resize", resize);
+window.addEventListener("resize", resize);
 $container.innerHTML = "";
 $container.appendChild(view.getView());
 